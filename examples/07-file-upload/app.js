@@ -1,14 +1,14 @@
 /**
  * Example 07: File Upload
  *
- * File upload handling with Multer.
+ * File upload handling with the mini-express multipart parser
+ * (express.multipart()), no external dependencies.
  */
 
-const express = require('express')
-const multer = require('multer')
+const crypto = require('crypto')
 const path = require('path')
 const fs = require('fs')
-const { v4: uuidv4 } = require('uuid')
+const express = require('../../src/12-complete-framework/lib')
 
 const app = express()
 app.use(express.json())
@@ -18,65 +18,51 @@ app.use(express.json())
 // ============================================
 
 const uploadDir = path.join(__dirname, 'uploads')
-const tempDir = path.join(__dirname, 'temp')
 
-// Create directories if they don't exist
-;[uploadDir, tempDir].forEach(dir => {
-  if (!fs.existsSync(dir)) {
-    fs.mkdirSync(dir, { recursive: true })
-  }
-})
+// Create the directory if it doesn't exist
+fs.mkdirSync(uploadDir, { recursive: true })
 
 // ============================================
-// Multer Configuration
+// Multipart Configuration
 // ============================================
 
-// Storage configuration
-const storage = multer.diskStorage({
-  destination: (req, file, cb) => {
-    cb(null, uploadDir)
-  },
-  filename: (req, file, cb) => {
-    // Generate unique filename
-    const uniqueName = `${uuidv4()}${path.extname(file.originalname)}`
-    cb(null, uniqueName)
-  }
-})
-
-// File filter
-const fileFilter = (req, file, cb) => {
-  // Define allowed types
-  const allowedTypes = {
-    image: ['image/jpeg', 'image/png', 'image/gif', 'image/webp'],
-    document: ['application/pdf', 'application/msword', 'text/plain'],
-    all: ['image/jpeg', 'image/png', 'image/gif', 'image/webp',
-          'application/pdf', 'application/msword', 'text/plain']
-  }
+// Allowed MIME types per upload type
+const allowedTypes = {
+  image: ['image/jpeg', 'image/png', 'image/gif', 'image/webp'],
+  document: ['application/pdf', 'application/msword', 'text/plain'],
+  all: ['image/jpeg', 'image/png', 'image/gif', 'image/webp',
+        'application/pdf', 'application/msword', 'text/plain']
+}
 
+// File filter: throwing fails the upload, returning false skips the file
+const fileFilter = (req, file) => {
   const uploadType = req.params.type || 'all'
   const allowed = allowedTypes[uploadType] || allowedTypes.all
 
-  if (allowed.includes(file.mimetype)) {
-    cb(null, true)
-  } else {
-    cb(new Error(`Invalid file type. Allowed: ${allowed.join(', ')}`), false)
+  if (!allowed.includes(file.mimetype)) {
+    const err = new Error(`Invalid file type. Allowed: ${allowed.join(', ')}`)
+    err.type = 'file.type.rejected'
+    err.statusCode = 415
+    throw err
   }
+
+  return true
 }
 
-// Create multer instances
-const upload = multer({
-  storage,
+// Files are written to uploadDir under a random name that keeps the
+// extension; partial files are removed if the upload fails
+const upload = express.multipart({
+  dest: uploadDir,
   fileFilter,
   limits: {
-    fileSize: 5 * 1024 * 1024, // 5MB
+    fileSize: '5mb',
     files: 10
   }
 })
 
-// Memory storage for processing
-const memoryUpload = multer({
-  storage: multer.memoryStorage(),
-  limits: { fileSize: 2 * 1024 * 1024 }
+// Without dest, files stay in memory (file.buffer)
+const memoryUpload = express.multipart({
+  limits: { fileSize: '2mb' }
 })
 
 // ============================================
@@ -96,7 +82,7 @@ app.post('/upload/single', upload.single('file'), (req, res) => {
   }
 
   const fileInfo = {
-    id: uuidv4(),
+    id: crypto.randomUUID(),
     originalName: req.file.originalname,
     filename: req.file.filename,
     mimetype: req.file.mimetype,
@@ -121,7 +107,7 @@ app.post('/upload/multiple', upload.array('files', 5), (req, res) => {
 
   const uploadedFiles = req.files.map(file => {
     const fileInfo = {
-      id: uuidv4(),
+      id: crypto.randomUUID(),
       originalName: file.originalname,
       filename: file.filename,
       mimetype: file.mimetype,
@@ -166,50 +152,50 @@ app.post('/upload/fields', upload.fields([
   })
 })
 
-// Type-specific upload
-app.post('/upload/:type', upload.single('file'), (req, res) => {
+// Memory upload (for processing without saving)
+app.post('/upload/process', memoryUpload.single('file'), (req, res) => {
   if (!req.file) {
     return res.status(400).json({ error: 'No file uploaded' })
   }
 
+  // File is in req.file.buffer
   const fileInfo = {
-    id: uuidv4(),
-    type: req.params.type,
     originalName: req.file.originalname,
-    filename: req.file.filename,
     mimetype: req.file.mimetype,
     size: req.file.size,
-    path: `/files/${req.file.filename}`,
-    uploadedAt: new Date().toISOString()
+    bufferLength: req.file.buffer.length
   }
 
-  files.push(fileInfo)
+  // Process file in memory (e.g., parse CSV, analyze image)
+  // const processed = processFile(req.file.buffer)
 
-  res.status(201).json({
-    message: `${req.params.type} uploaded successfully`,
+  res.json({
+    message: 'File processed (not saved)',
     file: fileInfo
   })
 })
 
-// Memory upload (for processing without saving)
-app.post('/upload/process', memoryUpload.single('file'), (req, res) => {
+// Type-specific upload
+app.post('/upload/:type', upload.single('file'), (req, res) => {
   if (!req.file) {
     return res.status(400).json({ error: 'No file uploaded' })
   }
 
-  // File is in req.file.buffer
   const fileInfo = {
+    id: crypto.randomUUID(),
+    type: req.params.type,
     originalName: req.file.originalname,
+    filename: req.file.filename,
     mimetype: req.file.mimetype,
     size: req.file.size,
-    bufferLength: req.file.buffer.length
+    path: `/files/${req.file.filename}`,
+    uploadedAt: new Date().toISOString()
   }
 
-  // Process file in memory (e.g., parse CSV, analyze image)
-  // const processed = processFile(req.file.buffer)
+  files.push(fileInfo)
 
-  res.json({
-    message: 'File processed (not saved)',
+  res.status(201).json({
+    message: `${req.params.type} uploaded successfully`,
     file: fileInfo
   })
 })
@@ -232,35 +218,23 @@ app.get('/files', (req, res) => {
   })
 })
 
-// Serve uploaded files
+// Serve uploaded files (root keeps requests inside uploadDir)
 app.get('/files/:filename', (req, res) => {
-  const filePath = path.join(uploadDir, req.params.filename)
-
-  if (!fs.existsSync(filePath)) {
-    return res.status(404).json({ error: 'File not found' })
-  }
-
-  res.sendFile(filePath)
+  res.sendFile(req.params.filename, { root: uploadDir })
 })
 
 // Download file with original name
 app.get('/download/:filename', (req, res) => {
-  const filePath = path.join(uploadDir, req.params.filename)
-
-  if (!fs.existsSync(filePath)) {
-    return res.status(404).json({ error: 'File not found' })
-  }
-
   // Find original name
   const fileInfo = files.find(f => f.filename === req.params.filename)
   const downloadName = fileInfo ? fileInfo.originalName : req.params.filename
 
-  res.download(filePath, downloadName)
+  res.download(req.params.filename, downloadName, { root: uploadDir })
 })
 
 // Delete file
 app.delete('/files/:filename', (req, res) => {
-  const filePath = path.join(uploadDir, req.params.filename)
+  const filePath = path.join(uploadDir, path.basename(req.params.filename))
 
   if (!fs.existsSync(filePath)) {
     return res.status(404).json({ error: 'File not found' })
@@ -292,23 +266,22 @@ app.get('/files/:filename/info', (req, res) => {
 // Error Handling
 // ============================================
 
-// Multer error handler
+// Upload error handler: parser errors carry a type and a status
+const uploadErrors = {
+  'file.too.large': 'File too large',
+  'files.limit.exceeded': 'Too many files',
+  'file.unexpected': 'Unexpected field name'
+}
+
 app.use((err, req, res, next) => {
-  if (err instanceof multer.MulterError) {
-    switch (err.code) {
-      case 'LIMIT_FILE_SIZE':
-        return res.status(400).json({ error: 'File too large' })
-      case 'LIMIT_FILE_COUNT':
-        return res.status(400).json({ error: 'Too many files' })
-      case 'LIMIT_UNEXPECTED_FILE':
-        return res.status(400).json({ error: 'Unexpected field name' })
-      default:
-        return res.status(400).json({ error: err.message })
-    }
+  // sendFile() and download(): 404 for a missing file, 403 for a name
+  // that points outside uploadDir
+  if (err.status === 404 || err.status === 403) {
+    return res.status(404).json({ error: 'File not found' })
   }
 
-  if (err.message && err.message.includes('Invalid file type')) {
-    return res.status(400).json({ error: err.message })
+  if (err.type && err.statusCode < 500) {
+    return res.status(err.statusCode).json({ error: uploadErrors[err.type] || err.message })
   }
 
   next(err)
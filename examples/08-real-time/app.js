@@ -1,21 +1,17 @@
 /**
  * Example 08: Real-Time Communication
  *
- * WebSocket integration with Socket.io.
+ * WebSocket chat on the mini-express framework: app.ws() routes and a
+ * socket hub for rooms and broadcasting, no external dependencies.
+ *
+ * Messages in both directions are JSON: { "event": "...", "data": ... }
  */
 
-const express = require('express')
-const { createServer } = require('http')
-const { Server } = require('socket.io')
+const crypto = require('crypto')
+const express = require('../../src/12-complete-framework/lib')
 
 const app = express()
-const httpServer = createServer(app)
-const io = new Server(httpServer, {
-  cors: {
-    origin: '*',
-    methods: ['GET', 'POST']
-  }
-})
+const hub = express.socketHub()
 
 app.use(express.json())
 
@@ -25,201 +21,205 @@ app.use(express.json())
 
 const state = {
   users: new Map(),      // socketId -> user info
-  rooms: new Map(),      // roomName -> Set of socketIds
+  sockets: new Map(),    // socketId -> WebSocket
   messages: []           // Message history
 }
 
 // ============================================
-// Socket.io Middleware
+// Event Helpers
 // ============================================
 
-// Authentication middleware
-io.use((socket, next) => {
-  const username = socket.handshake.auth.username
+// Send an event to one socket
+function emit(ws, event, data) {
+  ws.send(JSON.stringify({ event, data }))
+}
+
+// Send an event to everyone, or a room ({ room, except })
+function broadcast(event, data, options) {
+  hub.broadcast(JSON.stringify({ event, data }), options)
+}
+
+// Users currently in a room
+function roomUsers(roomName) {
+  return Array.from(hub.rooms.get(roomName) || [])
+    .map(ws => state.users.get(ws.id))
+    .filter(Boolean)
+}
+
+// ============================================
+// Authentication Middleware
+// ============================================
+
+// Runs before the WebSocket handshake; a rejection is a normal HTTP response
+function authenticate(req, res, next) {
+  const username = String(req.query.username || '').trim()
 
   if (!username) {
-    return next(new Error('Username required'))
+    return res.status(401).json({ error: 'Username required' })
   }
 
   // Check if username is taken
   for (const [, user] of state.users) {
     if (user.username === username) {
-      return next(new Error('Username already taken'))
+      return res.status(409).json({ error: 'Username already taken' })
     }
   }
 
-  socket.username = username
+  req.username = username
   next()
-})
+}
 
 // ============================================
-// Socket.io Connection Handler
+// WebSocket Connection Handler
 // ============================================
 
-io.on('connection', (socket) => {
-  console.log(`User connected: ${socket.username} (${socket.id})`)
+app.ws('/chat', authenticate, (ws, req) => {
+  ws.id = crypto.randomUUID()
+  ws.username = req.username
+  hub.add(ws)
+
+  // Rooms this user is in, for the disconnect notices
+  const joined = new Set()
+
+  console.log(`User connected: ${ws.username} (${ws.id})`)
 
   // Store user
-  state.users.set(socket.id, {
-    id: socket.id,
-    username: socket.username,
+  state.sockets.set(ws.id, ws)
+  state.users.set(ws.id, {
+    id: ws.id,
+    username: ws.username,
     connectedAt: new Date().toISOString()
   })
 
   // Notify others
-  socket.broadcast.emit('user:joined', {
-    id: socket.id,
-    username: socket.username
-  })
+  broadcast('user:joined', { id: ws.id, username: ws.username }, { except: ws })
 
   // Send current users list
-  socket.emit('users:list', Array.from(state.users.values()))
+  emit(ws, 'users:list', Array.from(state.users.values()))
 
   // Send recent messages
-  socket.emit('messages:history', state.messages.slice(-50))
-
-  // ========================================
-  // Chat Messages
-  // ========================================
-
-  socket.on('message:send', (data) => {
-    const message = {
-      id: Date.now().toString(),
-      userId: socket.id,
-      username: socket.username,
-      text: data.text,
-      room: data.room || null,
-      timestamp: new Date().toISOString()
-    }
-
-    // Store message
-    state.messages.push(message)
-    if (state.messages.length > 100) {
-      state.messages.shift()
-    }
-
-    if (data.room) {
-      // Room message
-      io.to(data.room).emit('message:received', message)
-    } else {
-      // Broadcast to all
-      io.emit('message:received', message)
-    }
-  })
-
-  // Private message
-  socket.on('message:private', (data) => {
-    const { to, text } = data
-
-    const message = {
-      id: Date.now().toString(),
-      from: socket.id,
-      fromUsername: socket.username,
-      to,
-      text,
-      timestamp: new Date().toISOString()
-    }
-
-    // Send to recipient
-    io.to(to).emit('message:private', message)
-    // Send back to sender
-    socket.emit('message:private', message)
-  })
-
-  // Typing indicator
-  socket.on('typing:start', (data) => {
-    if (data.room) {
-      socket.to(data.room).emit('typing:update', {
-        userId: socket.id,
-        username: socket.username,
-        isTyping: true
-      })
-    } else {
-      socket.broadcast.emit('typing:update', {
-        userId: socket.id,
-        username: socket.username,
-        isTyping: true
-      })
-    }
-  })
-
-  socket.on('typing:stop', (data) => {
-    if (data.room) {
-      socket.to(data.room).emit('typing:update', {
-        userId: socket.id,
-        username: socket.username,
-        isTyping: false
-      })
-    } else {
-      socket.broadcast.emit('typing:update', {
-        userId: socket.id,
-        username: socket.username,
-        isTyping: false
-      })
-    }
-  })
+  emit(ws, 'messages:history', state.messages.slice(-50))
+
+  const handlers = {
+    // ========================================
+    // Chat Messages
+    // ========================================
+
+    'message:send': (data) => {
+      const message = {
+        id: Date.now().toString(),
+        userId: ws.id,
+        username: ws.username,
+        text: data.text,
+        room: data.room || null,
+        timestamp: new Date().toISOString()
+      }
 
-  // ========================================
-  // Rooms
-  // ========================================
+      // Store message
+      state.messages.push(message)
+      if (state.messages.length > 100) {
+        state.messages.shift()
+      }
 
-  socket.on('room:join', (roomName) => {
-    socket.join(roomName)
+      // Room message, or broadcast to all
+      broadcast('message:received', message, data.room ? { room: data.room } : {})
+    },
+
+    // Private message
+    'message:private': (data) => {
+      const { to, text } = data
+
+      const message = {
+        id: Date.now().toString(),
+        from: ws.id,
+        fromUsername: ws.username,
+        to,
+        text,
+        timestamp: new Date().toISOString()
+      }
 
-    if (!state.rooms.has(roomName)) {
-      state.rooms.set(roomName, new Set())
+      // Send to recipient
+      const recipient = state.sockets.get(to)
+      if (recipient) {
+        emit(recipient, 'message:private', message)
+      }
+      // Send back to sender
+      emit(ws, 'message:private', message)
+    },
+
+    // Typing indicator
+    'typing:start': (data) => typing(data, true),
+    'typing:stop': (data) => typing(data, false),
+
+    // ========================================
+    // Rooms
+    // ========================================
+
+    'room:join': (roomName) => {
+      hub.join(ws, roomName)
+      joined.add(roomName)
+
+      // Notify room
+      broadcast('room:userJoined', {
+        room: roomName,
+        userId: ws.id,
+        username: ws.username
+      }, { room: roomName })
+
+      // Send room users
+      emit(ws, 'room:users', { room: roomName, users: roomUsers(roomName) })
+    },
+
+    'room:leave': (roomName) => {
+      hub.leave(ws, roomName)
+      joined.delete(roomName)
+
+      broadcast('room:userLeft', {
+        room: roomName,
+        userId: ws.id,
+        username: ws.username
+      }, { room: roomName })
+    },
+
+    'room:list': () => {
+      const rooms = Array.from(hub.rooms.entries()).map(([name, members]) => ({
+        name,
+        userCount: members.size
+      }))
+      emit(ws, 'room:list', rooms)
+    },
+
+    // ========================================
+    // Presence
+    // ========================================
+
+    'presence:update': (status) => {
+      const user = state.users.get(ws.id)
+      if (user) {
+        user.status = status
+        broadcast('presence:updated', { userId: ws.id, status })
+      }
     }
-    state.rooms.get(roomName).add(socket.id)
-
-    // Notify room
-    io.to(roomName).emit('room:userJoined', {
-      room: roomName,
-      userId: socket.id,
-      username: socket.username
-    })
-
-    // Send room users
-    const roomUsers = Array.from(state.rooms.get(roomName))
-      .map(id => state.users.get(id))
-      .filter(Boolean)
+  }
 
-    socket.emit('room:users', { room: roomName, users: roomUsers })
-  })
+  function typing(data, isTyping) {
+    const update = { userId: ws.id, username: ws.username, isTyping }
+    broadcast('typing:update', update, { room: (data && data.room) || undefined, except: ws })
+  }
 
-  socket.on('room:leave', (roomName) => {
-    socket.leave(roomName)
+  ws.on('message', (raw, isBinary) => {
+    if (isBinary) return
 
-    if (state.rooms.has(roomName)) {
-      state.rooms.get(roomName).delete(socket.id)
+    let message
+    try {
+      message = JSON.parse(raw)
+    } catch (err) {
+      return
     }
 
-    io.to(roomName).emit('room:userLeft', {
-      room: roomName,
-      userId: socket.id,
-      username: socket.username
-    })
-  })
-
-  socket.on('room:list', () => {
-    const rooms = Array.from(state.rooms.entries()).map(([name, users]) => ({
-      name,
-      userCount: users.size
-    }))
-    socket.emit('room:list', rooms)
-  })
-
-  // ========================================
-  // Presence
-  // ========================================
-
-  socket.on('presence:update', (status) => {
-    const user = state.users.get(socket.id)
-    if (user) {
-      user.status = status
-      io.emit('presence:updated', {
-        userId: socket.id,
-        status
-      })
+    const handler = handlers[message.event]
+    if (handler) {
+      handler(message.data || {})
     }
   })
 
@@ -227,28 +227,26 @@ io.on('connection', (socket) => {
   // Disconnect
   // ========================================
 
-  socket.on('disconnect', () => {
-    console.log(`User disconnected: ${socket.username}`)
-
-    // Remove from rooms
-    for (const [roomName, users] of state.rooms) {
-      if (users.has(socket.id)) {
-        users.delete(socket.id)
-        io.to(roomName).emit('room:userLeft', {
-          room: roomName,
-          userId: socket.id,
-          username: socket.username
-        })
-      }
+  ws.on('close', () => {
+    console.log(`User disconnected: ${ws.username}`)
+
+    // The hub takes the socket out of its rooms; tell those rooms
+    for (const roomName of joined) {
+      broadcast('room:userLeft', {
+        room: roomName,
+        userId: ws.id,
+        username: ws.username
+      }, { room: roomName })
     }
 
     // Remove user
-    state.users.delete(socket.id)
+    state.users.delete(ws.id)
+    state.sockets.delete(ws.id)
 
     // Notify others
-    io.emit('user:left', {
-      id: socket.id,
-      username: socket.username
+    broadcast('user:left', {
+      id: ws.id,
+      username: ws.username
     })
   })
 })
@@ -264,9 +262,9 @@ app.get('/api/users', (req, res) => {
 
 // Get rooms
 app.get('/api/rooms', (req, res) => {
-  const rooms = Array.from(state.rooms.entries()).map(([name, users]) => ({
+  const rooms = Array.from(hub.rooms.entries()).map(([name, members]) => ({
     name,
-    userCount: users.size
+    userCount: members.size
   }))
   res.json(rooms)
 })
@@ -285,7 +283,7 @@ app.post('/api/broadcast', (req, res) => {
     return res.status(400).json({ error: 'Message required' })
   }
 
-  io.emit('message:system', {
+  broadcast('message:system', {
     id: Date.now().toString(),
     text: message,
     timestamp: new Date().toISOString()
@@ -304,7 +302,6 @@ app.get('/', (req, res) => {
     <html>
     <head>
       <title>Real-Time Chat</title>
-      <script src="/socket.io/socket.io.js"></script>
       <style>
         * { box-sizing: border-box; }
         body { font-family: sans-serif; margin: 0; padding: 20px; }
@@ -372,48 +369,62 @@ app.get('/', (req, res) => {
         let currentRoom = null;
         let typingTimeout;
 
+        // socket.io-style helpers over a plain WebSocket
+        const listeners = {};
+        function on(event, fn) { listeners[event] = fn; }
+        function emit(event, data) { socket.send(JSON.stringify({ event, data })); }
+
         function connect() {
           const username = document.getElementById('username').value.trim();
           if (!username) return alert('Enter username');
 
-          socket = io({ auth: { username } });
+          const scheme = location.protocol === 'https:' ? 'wss://' : 'ws://';
+          socket = new WebSocket(scheme + location.host + '/chat?username=' + encodeURIComponent(username));
 
-          socket.on('connect', () => {
+          socket.onopen = () => {
             document.getElementById('login').style.display = 'none';
             document.getElementById('chat').style.display = 'block';
-          });
+          };
 
-          socket.on('connect_error', (err) => {
-            alert(err.message);
-          });
+          // The handshake is refused with 401/409 before the socket opens
+          socket.onerror = () => {
+            if (socket.readyState !== WebSocket.OPEN) {
+              alert('Could not join - is the username taken?');
+            }
+          };
+
+          socket.onmessage = (e) => {
+            const { event, data } = JSON.parse(e.data);
+            if (listeners[event]) listeners[event](data);
+          };
 
-          socket.on('users:list', (users) => {
+          on('users:list', (users) => {
             updateUsersList(users);
           });
 
-          socket.on('user:joined', (user) => {
+          on('user:joined', (user) => {
             addSystemMessage(user.username + ' joined');
           });
 
-          socket.on('user:left', (user) => {
+          on('user:left', (user) => {
             addSystemMessage(user.username + ' left');
           });
 
-          socket.on('messages:history', (messages) => {
+          on('messages:history', (messages) => {
             messages.forEach(addMessage);
           });
 
-          socket.on('message:received', addMessage);
+          on('message:received', addMessage);
 
-          socket.on('message:private', (msg) => {
+          on('message:private', (msg) => {
             addMessage({ ...msg, private: true });
           });
 
-          socket.on('message:system', (msg) => {
+          on('message:system', (msg) => {
             addSystemMessage(msg.text);
           });
 
-          socket.on('typing:update', (data) => {
+          on('typing:update', (data) => {
             if (data.isTyping) {
               document.getElementById('typing').textContent = data.username + ' is typing...';
             } else {
@@ -421,13 +432,13 @@ app.get('/', (req, res) => {
             }
           });
 
-          socket.on('room:userJoined', (data) => {
+          on('room:userJoined', (data) => {
             if (data.room === currentRoom) {
               addSystemMessage(data.username + ' joined ' + data.room);
             }
           });
 
-          socket.on('room:userLeft', (data) => {
+          on('room:userLeft', (data) => {
             if (data.room === currentRoom) {
               addSystemMessage(data.username + ' left ' + data.room);
             }
@@ -463,25 +474,25 @@ app.get('/', (req, res) => {
           const text = input.value.trim();
           if (!text) return;
 
-          socket.emit('message:send', { text, room: currentRoom });
+          emit('message:send', { text, room: currentRoom });
           input.value = '';
-          socket.emit('typing:stop', { room: currentRoom });
+          emit('typing:stop', { room: currentRoom });
         }
 
         function handleTyping(e) {
           if (e.key === 'Enter') return sendMessage();
 
-          socket.emit('typing:start', { room: currentRoom });
+          emit('typing:start', { room: currentRoom });
           clearTimeout(typingTimeout);
           typingTimeout = setTimeout(() => {
-            socket.emit('typing:stop', { room: currentRoom });
+            emit('typing:stop', { room: currentRoom });
           }, 1000);
         }
 
         function joinRoom(room) {
-          if (currentRoom) socket.emit('room:leave', currentRoom);
+          if (currentRoom) emit('room:leave', currentRoom);
           currentRoom = room;
-          if (room) socket.emit('room:join', room);
+          if (room) emit('room:join', room);
 
           document.querySelectorAll('.room-btn').forEach(btn => {
             btn.classList.toggle('active', btn.textContent.toLowerCase() === (room || 'global'));
@@ -497,7 +508,7 @@ app.get('/', (req, res) => {
 
 // Start server
 const PORT = process.env.PORT || 3000
-httpServer.listen(PORT, () => {
+app.listen(PORT, () => {
   console.log(`Real-time server running on http://localhost:${PORT}`)
   console.log('\nFeatures:')
   console.log('  - Global chat')
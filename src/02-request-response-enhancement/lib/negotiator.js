@@ -0,0 +1,368 @@
+/**
+ * Content Negotiation
+ *
+ * Parses the Accept, Accept-Charset, Accept-Encoding and Accept-Language
+ * headers and ranks what the server can provide against them.
+ *
+ * Ranking follows RFC 7231: a provided value takes the quality (q) of
+ * the most specific range it matches. Values are ordered by quality,
+ * then by how specific the match was, then by the order of the ranges
+ * in the header, then by the order the server listed them. A quality
+ * of 0 means "not acceptable".
+ *
+ *   Accept: text/*;q=0.5, application/json, text/html
+ *
+ *   negotiator.mediaTypes(['text/plain', 'text/html', 'application/json'])
+ *   // => ['application/json', 'text/html', 'text/plain']
+ */
+
+'use strict';
+
+const { lookup } = require('./utils');
+
+/**
+ * Negotiator for one request's Accept-* headers.
+ */
+class Negotiator {
+  /**
+   * @param {Object} headers - Request headers (lower-case keys)
+   */
+  constructor(headers) {
+    this.headers = headers || {};
+  }
+
+  /**
+   * Get the acceptable media types, best first.
+   *
+   * @param {string[]} [available] - Types the server can send; when
+   *   omitted, the types listed in the header are returned
+   * @returns {string[]} Acceptable types
+   */
+  mediaTypes(available) {
+    const accepted = parseList(this.headers.accept || '*/*', parseMediaRange);
+    return preferred(accepted, available, parseMediaRange, specifyMediaType);
+  }
+
+  /**
+   * Get the best media type.
+   *
+   * @param {string[]} [available] - Types the server can send
+   * @returns {string|undefined} Best type
+   */
+  mediaType(available) {
+    return this.mediaTypes(available)[0];
+  }
+
+  /**
+   * Get the acceptable charsets, best first.
+   *
+   * @param {string[]} [available] - Charsets the server can send
+   * @returns {string[]} Acceptable charsets
+   */
+  charsets(available) {
+    const accepted = parseList(this.headers['accept-charset'] || '*', parseToken);
+    return preferred(accepted, available, parseToken, specifyToken);
+  }
+
+  /**
+   * Get the best charset.
+   *
+   * @param {string[]} [available] - Charsets the server can send
+   * @returns {string|undefined} Best charset
+   */
+  charset(available) {
+    return this.charsets(available)[0];
+  }
+
+  /**
+   * Get the acceptable content codings, best first.
+   *
+   * `identity` is acceptable unless the header rules it out with
+   * `identity;q=0` (or `*;q=0` without an identity entry).
+   *
+   * @param {string[]} [available] - Codings the server can apply
+   * @returns {string[]} Acceptable codings
+   */
+  encodings(available) {
+    const accepted = parseList(this.headers['accept-encoding'] || '', parseToken);
+
+    if (!accepted.some(spec => spec.value.toLowerCase() === 'identity' || spec.value === '*')) {
+      const lowest = accepted.reduce((q, spec) => Math.min(q, spec.q), 1);
+      accepted.push({ value: 'identity', params: {}, q: lowest, i: accepted.length });
+    }
+
+    return preferred(accepted, available, parseToken, specifyToken);
+  }
+
+  /**
+   * Get the best content coding.
+   *
+   * @param {string[]} [available] - Codings the server can apply
+   * @returns {string|undefined} Best coding
+   */
+  encoding(available) {
+    return this.encodings(available)[0];
+  }
+
+  /**
+   * Get the acceptable languages, best first.
+   *
+   * Language ranges match tags they are a prefix of, so `en` accepts
+   * `en-GB`; a more specific range (`en-GB;q=0.2`) overrides it.
+   *
+   * @param {string[]} [available] - Languages the server can send
+   * @returns {string[]} Acceptable languages
+   */
+  languages(available) {
+    const accepted = parseList(this.headers['accept-language'] || '*', parseToken);
+    return preferred(accepted, available, parseToken, specifyLanguage);
+  }
+
+  /**
+   * Get the best language.
+   *
+   * @param {string[]} [available] - Languages the server can send
+   * @returns {string|undefined} Best language
+   */
+  language(available) {
+    return this.languages(available)[0];
+  }
+}
+
+/**
+ * Parse a comma separated header into specs, dropping invalid entries.
+ */
+function parseList(header, parse) {
+  const specs = [];
+
+  for (const part of header.split(',')) {
+    const spec = parse(part.trim());
+
+    if (spec) {
+      spec.i = specs.length;
+      specs.push(spec);
+    }
+  }
+
+  return specs;
+}
+
+/**
+ * Parse a charset, coding or language entry: `name;key=value;q=0.5`
+ * into { value, params, q }.
+ */
+function parseToken(str) {
+  const [value, ...rest] = str.split(';');
+  const params = {};
+  let q = 1;
+
+  for (const pair of rest) {
+    const eq = pair.indexOf('=');
+    if (eq === -1) continue;
+
+    const key = pair.slice(0, eq).trim().toLowerCase();
+    const val = pair.slice(eq + 1).trim().replace(/^"(.*)"$/, '$1');
+
+    if (key === 'q') {
+      q = parseFloat(val);
+    } else {
+      params[key] = val;
+    }
+  }
+
+  if (!value.trim() || isNaN(q) || q < 0 || q > 1) {
+    return null;
+  }
+
+  return { value: value.trim(), params, q };
+}
+
+/**
+ * Parse a media range: type/subtype;params;q=...
+ */
+function parseMediaRange(str) {
+  const spec = parseToken(str);
+  if (!spec) return null;
+
+  const slash = spec.value.indexOf('/');
+  if (slash === -1) return null;
+
+  spec.type = spec.value.slice(0, slash).toLowerCase();
+  spec.subtype = spec.value.slice(slash + 1).toLowerCase();
+  return spec;
+}
+
+/**
+ * Specificity of a media range for a provided type, or -1 if no match.
+ * Exact type, exact subtype and matching parameters each add weight.
+ */
+function specifyMediaType(provided, spec) {
+  let s = 0;
+
+  if (spec.type === provided.type) {
+    s |= 4;
+  } else if (spec.type !== '*') {
+    return -1;
+  }
+
+  if (spec.subtype === provided.subtype) {
+    s |= 2;
+  } else if (spec.subtype !== '*') {
+    return -1;
+  }
+
+  const keys = Object.keys(spec.params);
+  if (keys.length > 0) {
+    const matches = keys.every(key => {
+      return String(provided.params[key] || '').toLowerCase() === spec.params[key].toLowerCase();
+    });
+
+    if (!matches) return -1;
+    s |= 1;
+  }
+
+  return s;
+}
+
+/**
+ * Specificity of a charset or coding: exact match beats '*'.
+ */
+function specifyToken(provided, spec) {
+  if (spec.value.toLowerCase() === provided.value.toLowerCase()) return 1;
+  if (spec.value === '*') return 0;
+  return -1;
+}
+
+/**
+ * Specificity of a language range for a provided tag.
+ */
+function specifyLanguage(provided, spec) {
+  const range = spec.value.toLowerCase();
+  const tag = provided.value.toLowerCase();
+
+  if (range === tag) return 4;
+  if (range === '*') return 0;
+
+  // en matches en-GB, en-GB-oxendict; en-GB matches en
+  if (tag.startsWith(range + '-')) return 2;
+  if (range.startsWith(tag + '-')) return 1;
+
+  return -1;
+}
+
+/**
+ * Rank provided values (or the header's own values) by preference.
+ */
+function preferred(accepted, available, parse, specify) {
+  if (!available) {
+    return accepted
+      .filter(spec => spec.q > 0)
+      .sort((a, b) => (b.q - a.q) || (a.i - b.i))
+      .map(spec => spec.value);
+  }
+
+  return available
+    .map((value, index) => getPriority(parse(String(value)), accepted, index, specify))
+    .filter(priority => priority.q > 0)
+    .sort(comparePriorities)
+    .map(priority => available[priority.index]);
+}
+
+/**
+ * Find the range that decides the quality of a provided value.
+ * The most specific match wins, then the higher quality, then the
+ * earlier range in the header.
+ */
+function getPriority(provided, accepted, index, specify) {
+  let priority = { q: 0, s: -1, o: -1, index };
+
+  if (!provided) {
+    return priority;
+  }
+
+  for (const spec of accepted) {
+    const s = specify(provided, spec);
+
+    if (s >= 0 && (priority.s - s || priority.q - spec.q || priority.o - spec.i) < 0) {
+      priority = { q: spec.q, s, o: spec.i, index };
+    }
+  }
+
+  return priority;
+}
+
+/**
+ * Sort by quality, specificity, header order, then server order.
+ */
+function comparePriorities(a, b) {
+  return (b.q - a.q) || (b.s - a.s) || (a.o - b.o) || (a.index - b.index);
+}
+
+/**
+ * Normalize a type for req.accepts(): extension shorthands ('json',
+ * 'html') are looked up; full MIME types are kept.
+ *
+ * @param {string} type - Shorthand or MIME type
+ * @returns {string|false} MIME type without parameters, or false if unknown
+ */
+function normalizeType(type) {
+  if (type.includes('/')) {
+    return type;
+  }
+
+  const mime = lookup(type);
+  return mime ? mime.split(';')[0] : false;
+}
+
+/**
+ * Pick the best of the given types (shorthands allowed).
+ *
+ * @param {Object} headers - Request headers
+ * @param {string[]} types - Candidate types; none lists the header's types
+ * @returns {string|string[]|false} The matching candidate as given, or false
+ */
+function acceptsTypes(headers, types) {
+  const negotiator = new Negotiator(headers);
+
+  if (types.length === 0) {
+    return negotiator.mediaTypes();
+  }
+
+  // No header: the first type is as good as any
+  if (!headers.accept) {
+    return types[0];
+  }
+
+  const mimes = types.map(normalizeType);
+  const valid = mimes.filter(Boolean);
+  const best = negotiator.mediaType(valid);
+
+  return best ? types[mimes.indexOf(best)] : false;
+}
+
+/**
+ * Build req.acceptsCharsets / acceptsEncodings / acceptsLanguages helpers.
+ *
+ * @param {string} method - Negotiator method ('charsets', 'encodings', 'languages')
+ * @returns {Function} fn(headers, values) => best value, all values, or false
+ */
+function acceptsBy(method) {
+  return function(headers, values) {
+    const negotiator = new Negotiator(headers);
+
+    if (values.length === 0) {
+      return negotiator[method]();
+    }
+
+    return negotiator[method](values)[0] || false;
+  };
+}
+
+module.exports = {
+  Negotiator,
+  normalizeType,
+  acceptsTypes,
+  acceptsCharsets: acceptsBy('charsets'),
+  acceptsEncodings: acceptsBy('encodings'),
+  acceptsLanguages: acceptsBy('languages')
+};
@@ -12,6 +12,7 @@
 
 const http = require('http');
 const { URL } = require('url');
+const negotiator = require('./negotiator');
 
 /**
  * Reference to IncomingMessage prototype.
@@ -127,8 +128,13 @@ req.is = function is(types) {
  * Check if the given `type(s)` is acceptable, returning the best
  * match when true, otherwise `false`.
  *
+ * The client's q-values decide the order, and the most specific
+ * media range wins (`text/html;q=0.1` overrides `text/*`). Types may
+ * be extension shorthands. With no arguments, the accepted types are
+ * returned, best first.
+ *
  * @param {...string|string[]} types - MIME type(s)
- * @returns {string|false} Best matching type or false
+ * @returns {string|string[]|false} Best matching type or false
  *
  * @example
  * // Accept: text/html
@@ -136,115 +142,44 @@ req.is = function is(types) {
  * req.accepts('text/html')    // 'text/html'
  * req.accepts('json', 'html') // 'html'
  *
- * // Accept: application/json
- * req.accepts('json')         // 'json'
- * req.accepts('html')         // false
+ * // Accept: application/json;q=0.5, text/html
+ * req.accepts('json', 'html') // 'html'
+ * req.accepts('xml')          // false
  */
 req.accepts = function accepts(...types) {
-  // Flatten array argument
-  if (types.length === 1 && Array.isArray(types[0])) {
-    types = types[0];
-  }
-
-  const accept = this.get('Accept') || '*/*';
-  const acceptLower = accept.toLowerCase();
-
-  // Parse accept header into weighted list
-  const acceptTypes = acceptLower
-    .split(',')
-    .map(part => {
-      const [type, ...params] = part.trim().split(';');
-      let q = 1;
-
-      for (const param of params) {
-        const [key, val] = param.trim().split('=');
-        if (key === 'q') {
-          q = parseFloat(val) || 1;
-        }
-      }
-
-      return { type: type.trim(), q };
-    })
-    .sort((a, b) => b.q - a.q);
-
-  // Check each requested type
-  for (const requestedType of types) {
-    let normalizedType = requestedType.toLowerCase();
-
-    // Handle shorthand
-    if (!normalizedType.includes('/')) {
-      const typeMap = {
-        'json': 'application/json',
-        'html': 'text/html',
-        'text': 'text/plain',
-        'xml': 'application/xml',
-        'css': 'text/css',
-        'js': 'application/javascript'
-      };
-      normalizedType = typeMap[normalizedType] || `application/${normalizedType}`;
-    }
-
-    // Check against accept header
-    for (const { type } of acceptTypes) {
-      // Wildcard match
-      if (type === '*/*') {
-        return requestedType;
-      }
-
-      // Type wildcard (e.g., text/*)
-      if (type.endsWith('/*')) {
-        const prefix = type.slice(0, -1);
-        if (normalizedType.startsWith(prefix)) {
-          return requestedType;
-        }
-      }
-
-      // Exact match
-      if (type === normalizedType) {
-        return requestedType;
-      }
-    }
-  }
+  return negotiator.acceptsTypes(this.headers, types.flat());
+};
 
-  return false;
+/**
+ * Check if the request accepts the given charset(s).
+ *
+ * @param {...string|string[]} charsets - Charset(s) to check
+ * @returns {string|string[]|false} Best matching charset or false
+ */
+req.acceptsCharsets = function acceptsCharsets(...charsets) {
+  return negotiator.acceptsCharsets(this.headers, charsets.flat());
 };
 
 /**
  * Check if the request accepts the given encoding(s).
  *
- * @param {...string} encodings - Encoding(s) to check
- * @returns {string|false} Best matching encoding or false
+ * @param {...string|string[]} encodings - Encoding(s) to check
+ * @returns {string|string[]|false} Best matching encoding or false
  */
 req.acceptsEncodings = function acceptsEncodings(...encodings) {
-  const acceptEncoding = this.get('Accept-Encoding') || 'identity';
-  const encodingLower = acceptEncoding.toLowerCase();
-
-  for (const encoding of encodings) {
-    if (encodingLower.includes(encoding.toLowerCase()) || encodingLower.includes('*')) {
-      return encoding;
-    }
-  }
-
-  return false;
+  return negotiator.acceptsEncodings(this.headers, encodings.flat());
 };
 
 /**
  * Check if the request accepts the given language(s).
  *
- * @param {...string} languages - Language(s) to check
- * @returns {string|false} Best matching language or false
+ * `en` in Accept-Language accepts `en-US` and `en-GB`.
+ *
+ * @param {...string|string[]} languages - Language(s) to check
+ * @returns {string|string[]|false} Best matching language or false
  */
 req.acceptsLanguages = function acceptsLanguages(...languages) {
-  const acceptLanguage = this.get('Accept-Language') || '*';
-  const languageLower = acceptLanguage.toLowerCase();
-
-  for (const lang of languages) {
-    if (languageLower.includes(lang.toLowerCase()) || languageLower.includes('*')) {
-      return lang;
-    }
-  }
-
-  return false;
+  return negotiator.acceptsLanguages(this.headers, languages.flat());
 };
 
 /**
@@ -13,6 +13,7 @@
 const http = require('http');
 const path = require('path');
 const fs = require('fs');
+const { normalizeType } = require('./negotiator');
 
 /**
  * Reference to ServerResponse prototype.
@@ -593,14 +594,17 @@ res.vary = function vary(field) {
  * Respond to the Acceptable formats using an `obj`
  * of mime-type callbacks.
  *
+ * Keys may be MIME types or extension shorthands ('json', 'html').
+ * Vary: Accept is always set, since the response depends on it.
+ *
  * @param {Object} obj - Object mapping content types to handlers
  * @returns {ServerResponse} this
  *
  * @example
  * res.format({
  *   'text/plain': () => res.send('hey'),
- *   'text/html': () => res.send('<p>hey</p>'),
- *   'application/json': () => res.json({ message: 'hey' }),
+ *   html: () => res.send('<p>hey</p>'),
+ *   json: () => res.json({ message: 'hey' }),
  *   default: () => res.status(406).send('Not Acceptable')
  * })
  */
@@ -613,7 +617,7 @@ res.format = function format(obj) {
   this.vary('Accept');
 
   if (key) {
-    this.set('Content-Type', key);
+    this.set('Content-Type', normalizeType(key));
     obj[key](req, this);
   } else if (obj.default) {
     obj.default(req, this);
@@ -0,0 +1,108 @@
+/**
+ * Content Negotiation Tests
+ */
+
+'use strict';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const {
+  Negotiator,
+  acceptsTypes,
+  acceptsCharsets,
+  acceptsEncodings,
+  acceptsLanguages
+} = require('../lib/negotiator');
+
+describe('Negotiator#mediaTypes()', () => {
+  it('should order by q-value', () => {
+    const negotiator = new Negotiator({ accept: 'text/plain;q=0.2, application/json;q=0.8, text/html' });
+
+    assert.deepStrictEqual(
+      negotiator.mediaTypes(['text/plain', 'application/json', 'text/html']),
+      ['text/html', 'application/json', 'text/plain']
+    );
+  });
+
+  it('should let the most specific range decide the quality', () => {
+    const negotiator = new Negotiator({ accept: 'text/*, text/html;q=0.1' });
+
+    assert.deepStrictEqual(negotiator.mediaTypes(['text/html', 'text/plain']), ['text/plain', 'text/html']);
+  });
+
+  it('should match media type parameters', () => {
+    const negotiator = new Negotiator({ accept: 'text/html;level=1, text/html;q=0.3' });
+
+    assert.strictEqual(negotiator.mediaType(['text/html', 'text/html;level=1']), 'text/html;level=1');
+  });
+
+  it('should exclude q=0 types', () => {
+    const negotiator = new Negotiator({ accept: '*/*, image/png;q=0' });
+
+    assert.deepStrictEqual(negotiator.mediaTypes(['image/png', 'image/gif']), ['image/gif']);
+  });
+
+  it('should keep server order for equal preferences', () => {
+    const negotiator = new Negotiator({ accept: '*/*' });
+
+    assert.deepStrictEqual(negotiator.mediaTypes(['text/html', 'application/json']), ['text/html', 'application/json']);
+  });
+
+  it('should list the header types when nothing is provided', () => {
+    const negotiator = new Negotiator({ accept: 'text/html;q=0.5, application/json' });
+
+    assert.deepStrictEqual(negotiator.mediaTypes(), ['application/json', 'text/html']);
+  });
+});
+
+describe('acceptsTypes()', () => {
+  it('should resolve extension shorthands and return them as given', () => {
+    assert.strictEqual(acceptsTypes({ accept: 'application/json;q=0.5, text/html' }, ['json', 'html']), 'html');
+    assert.strictEqual(acceptsTypes({ accept: 'text/*' }, ['json', 'text']), 'text');
+  });
+
+  it('should return false when nothing is acceptable', () => {
+    assert.strictEqual(acceptsTypes({ accept: 'text/html' }, ['json']), false);
+  });
+
+  it('should return the first type without an Accept header', () => {
+    assert.strictEqual(acceptsTypes({}, ['json', 'html']), 'json');
+  });
+});
+
+describe('acceptsCharsets() / acceptsEncodings()', () => {
+  it('should rank charsets', () => {
+    const headers = { 'accept-charset': 'iso-8859-1;q=0.4, utf-8' };
+
+    assert.strictEqual(acceptsCharsets(headers, ['iso-8859-1', 'utf-8']), 'utf-8');
+    assert.strictEqual(acceptsCharsets(headers, ['utf-16']), false);
+  });
+
+  it('should always allow identity unless excluded', () => {
+    assert.strictEqual(acceptsEncodings({}, ['gzip', 'identity']), 'identity');
+    assert.strictEqual(acceptsEncodings({ 'accept-encoding': 'gzip;q=0.8, br' }, ['gzip', 'br']), 'br');
+    assert.strictEqual(acceptsEncodings({ 'accept-encoding': 'gzip' }, ['identity']), 'identity');
+    assert.strictEqual(acceptsEncodings({ 'accept-encoding': 'gzip, identity;q=0' }, ['identity']), false);
+    assert.strictEqual(acceptsEncodings({ 'accept-encoding': 'gzip, *;q=0' }, ['identity']), false);
+  });
+});
+
+describe('acceptsLanguages()', () => {
+  it('should match language ranges against tags', () => {
+    const headers = { 'accept-language': 'en;q=0.8, fr-CA, *;q=0.1' };
+
+    assert.strictEqual(acceptsLanguages(headers, ['en-GB', 'fr-CA']), 'fr-CA');
+    assert.strictEqual(acceptsLanguages(headers, ['de', 'en-US']), 'en-US');
+    assert.strictEqual(acceptsLanguages(headers, ['de']), 'de');
+  });
+
+  it('should let a specific tag override its primary range', () => {
+    const headers = { 'accept-language': 'en, en-GB;q=0.2' };
+
+    assert.strictEqual(acceptsLanguages(headers, ['en-GB', 'en-US']), 'en-US');
+  });
+
+  it('should list the header languages with no arguments', () => {
+    assert.deepStrictEqual(acceptsLanguages({ 'accept-language': 'da, en-GB;q=0.8' }, []), ['da', 'en-GB']);
+  });
+});
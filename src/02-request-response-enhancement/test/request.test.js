@@ -303,6 +303,32 @@ describe('req.accepts()', () => {
       await closeServer(server);
     }
   });
+
+  it('should prefer the type with the higher q-value', async () => {
+    const PORT = getPort();
+    let result;
+
+    const server = createServer((req, res) => {
+      result = req.accepts('json', 'html');
+      res.json({ result });
+    });
+
+    await new Promise(r => server.listen(PORT, r));
+
+    try {
+      await request({
+        hostname: 'localhost',
+        port: PORT,
+        path: '/',
+        method: 'GET',
+        headers: { 'Accept': 'application/json;q=0.5, text/html' }
+      });
+
+      assert.strictEqual(result, 'html');
+    } finally {
+      await closeServer(server);
+    }
+  });
 });
 
 describe('req.path', () => {
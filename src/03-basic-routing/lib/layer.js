@@ -12,7 +12,7 @@
 
 'use strict';
 
-const { pathToRegexp, extractParams } = require('./path-to-regexp');
+const { pathToRegexp, extractParams, decodeValue } = require('./path-to-regexp');
 
 class Layer {
   /**
@@ -81,14 +81,8 @@ class Layer {
       const key = this.keys[i];
       const value = match[i + 1];
 
-      if (value !== undefined) {
-        try {
-          this.params[key.name] = decodeURIComponent(value);
-        } catch (e) {
-          this.params[key.name] = value;
-        }
-      } else if (key.optional) {
-        this.params[key.name] = undefined;
+      if (value !== undefined || key.optional) {
+        this.params[key.name] = decodeValue(value, key);
       }
     }
 
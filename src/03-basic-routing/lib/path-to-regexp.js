@@ -15,19 +15,274 @@
  * Characters that have special meaning in regular expressions.
  * We need to escape these when they appear in path patterns.
  */
-const SPECIAL_CHARS = /[\\^$.*+?()[\]{}|]/g;
+const SPECIAL_CHARS = /[\\^$.*+?()[\]{}|/]/g;
 
 /**
- * Pattern for matching route parameters.
- * Matches :name, :id, :userId, etc.
+ * Characters allowed in parameter names (:name, *name).
  */
-const PARAM_PATTERN = /:([a-zA-Z_][a-zA-Z0-9_]*)/g;
+const NAME_CHAR = /[a-zA-Z0-9_]/;
+const NAME_START = /[a-zA-Z_]/;
 
 /**
- * Pattern for matching optional parameters.
- * Matches :name?, :id?, etc.
+ * Default pattern for a parameter: one path segment.
+ * Lazy so that `/:name{.:ext}` leaves the extension to `ext`.
  */
-const OPTIONAL_PARAM_PATTERN = /:([a-zA-Z_][a-zA-Z0-9_]*)\?/g;
+const DEFAULT_PATTERN = '[^\\/]+?';
+
+/**
+ * Parse a path pattern into tokens.
+ *
+ * Token types:
+ * - { type: 'text', value } - literal text
+ * - { type: 'param', name, pattern, modifier } - :name, :name(\\d+), :name?, :name+, :name*
+ * - { type: 'wildcard', name } - * (numbered) or *name (named splat)
+ * - { type: 'group', tokens } - {...} optional group
+ * - { type: 'optional' } - a bare ? making the previous character optional
+ *
+ * A backslash escapes the next character, so `\\:` is a literal colon.
+ *
+ * @param {string} path - Path pattern
+ * @returns {Array<Object>} Tokens
+ * @throws {TypeError} On malformed patterns
+ *
+ * @example
+ * parse('/users/:id(\\d+)')
+ * // => [{ type: 'text', value: '/users/' },
+ * //     { type: 'param', name: 'id', pattern: '\\d+', modifier: '' }]
+ */
+function parse(path) {
+  let i = 0;
+  let wildcardIndex = 0;
+
+  function readName() {
+    let name = '';
+    if (i < path.length && NAME_START.test(path[i])) {
+      while (i < path.length && NAME_CHAR.test(path[i])) {
+        name += path[i++];
+      }
+    }
+    return name;
+  }
+
+  function readPattern() {
+    // Called with path[i] === '('
+    const start = i;
+    let depth = 1;
+    let pattern = '';
+    i++;
+
+    while (i < path.length) {
+      const char = path[i];
+
+      if (char === '\\') {
+        pattern += char + (path[i + 1] || '');
+        i += 2;
+        continue;
+      }
+
+      if (char === ')') {
+        depth--;
+        if (depth === 0) {
+          i++;
+          break;
+        }
+      } else if (char === '(') {
+        depth++;
+        if (path[i + 1] !== '?') {
+          throw new TypeError(`Capturing groups are not allowed in "${path}" at ${i}`);
+        }
+      }
+
+      pattern += char;
+      i++;
+    }
+
+    if (depth !== 0) {
+      throw new TypeError(`Unbalanced pattern in "${path}" at ${start}`);
+    }
+    if (!pattern) {
+      throw new TypeError(`Missing pattern in "${path}" at ${start}`);
+    }
+
+    return pattern;
+  }
+
+  function readTokens(inGroup) {
+    const tokens = [];
+    let text = '';
+
+    const flushText = () => {
+      if (text) {
+        tokens.push({ type: 'text', value: text });
+        text = '';
+      }
+    };
+
+    while (i < path.length) {
+      const char = path[i];
+
+      if (char === '\\') {
+        text += path[i + 1] || '';
+        i += 2;
+        continue;
+      }
+
+      if (char === ':') {
+        i++;
+        const name = readName();
+        if (!name) {
+          throw new TypeError(`Missing parameter name in "${path}" at ${i - 1}`);
+        }
+
+        const pattern = path[i] === '(' ? readPattern() : null;
+
+        let modifier = '';
+        if (path[i] === '?' || path[i] === '+' || path[i] === '*') {
+          modifier = path[i++];
+        }
+
+        flushText();
+        tokens.push({ type: 'param', name, pattern, modifier });
+        continue;
+      }
+
+      if (char === '*') {
+        i++;
+        const name = readName() || String(wildcardIndex++);
+        flushText();
+        tokens.push({ type: 'wildcard', name });
+        continue;
+      }
+
+      if (char === '{') {
+        i++;
+        flushText();
+        tokens.push({ type: 'group', tokens: readTokens(true) });
+        continue;
+      }
+
+      if (char === '}') {
+        if (!inGroup) {
+          throw new TypeError(`Unexpected "}" in "${path}" at ${i}`);
+        }
+        i++;
+        flushText();
+        return tokens;
+      }
+
+      if (char === '?') {
+        i++;
+        flushText();
+        tokens.push({ type: 'optional' });
+        continue;
+      }
+
+      text += char;
+      i++;
+    }
+
+    if (inGroup) {
+      throw new TypeError(`Unterminated "{" in "${path}"`);
+    }
+
+    flushText();
+    return tokens;
+  }
+
+  return readTokens(false);
+}
+
+/**
+ * Escape literal text for use in a regular expression.
+ *
+ * @param {string} str - Literal text
+ * @returns {string} Escaped text
+ */
+function escapeString(str) {
+  return str.replace(SPECIAL_CHARS, '\\$&');
+}
+
+/**
+ * Compile tokens into a regexp source string, collecting keys.
+ *
+ * Every key gets exactly one capture group, in order, so
+ * `match[i + 1]` always belongs to `keys[i]`.
+ *
+ * @param {Array<Object>} tokens - Parsed tokens
+ * @param {Array<Object>} keys - Keys array to fill
+ * @param {boolean} optional - Whether tokens are inside an optional group
+ * @returns {string} Regexp source
+ */
+function tokensToSource(tokens, keys, optional) {
+  let source = '';
+
+  for (let t = 0; t < tokens.length; t++) {
+    const token = tokens[t];
+
+    if (token.type === 'text') {
+      // A slash right before an optional or repeated param belongs to it,
+      // so '/api/:version?' also matches '/api'
+      const next = tokens[t + 1];
+      let value = token.value;
+      if (next && next.type === 'param' && (next.modifier === '?' || next.modifier === '*') && value.endsWith('/')) {
+        value = value.slice(0, -1);
+        next.prefix = '/';
+      }
+      source += escapeString(value);
+      continue;
+    }
+
+    if (token.type === 'optional') {
+      source += '?';
+      continue;
+    }
+
+    if (token.type === 'wildcard') {
+      keys.push({
+        name: token.name,
+        optional,
+        repeat: false,
+        wildcard: true,
+        pattern: '.*',
+        modifier: ''
+      });
+      source += '(.*)';
+      continue;
+    }
+
+    if (token.type === 'group') {
+      source += `(?:${tokensToSource(token.tokens, keys, true)})?`;
+      continue;
+    }
+
+    // Parameter
+    const pattern = token.pattern || DEFAULT_PATTERN;
+    const prefix = token.prefix ? escapeString(token.prefix) : '';
+    const repeat = token.modifier === '+' || token.modifier === '*';
+    const isOptional = optional || token.modifier === '?' || token.modifier === '*';
+
+    keys.push({
+      name: token.name,
+      optional: isOptional,
+      repeat,
+      wildcard: false,
+      pattern,
+      modifier: token.modifier
+    });
+
+    const capture = repeat
+      ? `((?:${pattern})(?:\\/(?:${pattern}))*)`
+      : `(${token.pattern ? `(?:${pattern})` : pattern})`;
+
+    if (token.modifier === '?' || token.modifier === '*') {
+      source += `(?:${prefix}${capture})?`;
+    } else {
+      source += prefix + capture;
+    }
+  }
+
+  return source;
+}
 
 /**
  * Convert a path pattern to a regular expression.
@@ -37,21 +292,31 @@ const OPTIONAL_PARAM_PATTERN = /:([a-zA-Z_][a-zA-Z0-9_]*)\?/g;
  * - Parameters: /users/:id -> matches /users/123, extracts { id: '123' }
  * - Multiple params: /users/:id/posts/:postId -> { id, postId }
  * - Wildcards: /files/* -> matches /files/a/b/c
+ * - Named wildcards: /files/*path -> { path: 'a/b/c' }
  * - Optional params: /users/:id? -> matches /users and /users/123
+ * - Inline patterns: /users/:id(\\d+) -> only numeric ids
+ * - Repeating params: /docs/:segments+ (one or more), /docs/:segments* (zero
+ *   or more) -> { segments: ['a', 'b'] }
+ * - Optional groups: /files/:name{.:ext} -> matches /files/a and /files/a.txt
+ * - Escaping: /literal\\:colon -> matches /literal:colon
+ *
+ * Each key describes its parameter:
+ * `{ name, optional, repeat, wildcard, pattern, modifier }`
  *
- * @param {string|RegExp} path - Path pattern or RegExp
+ * @param {string|RegExp|Array} path - Path pattern, RegExp, or array of either
  * @param {Object} [options] - Options
  * @param {boolean} [options.end=true] - Match to end of string
  * @param {boolean} [options.strict=false] - Require trailing slash
  * @param {boolean} [options.sensitive=false] - Case sensitive
- * @returns {{ regexp: RegExp, keys: Array<{ name: string, optional: boolean }> }}
+ * @returns {{ regexp: RegExp, keys: Array<Object> }}
+ * @throws {TypeError} On malformed patterns
  *
  * @example
  * pathToRegexp('/users/:id')
- * // => { regexp: /^\/users\/([^/]+)$/, keys: [{ name: 'id', optional: false }] }
+ * // => { regexp: /^\/users\/([^\/]+?)(?:\/)?$/i, keys: [{ name: 'id', optional: false, ... }] }
  *
  * pathToRegexp('/files/*')
- * // => { regexp: /^\/files\/(.*)$/, keys: [{ name: '0', optional: false }] }
+ * // => { regexp: /^\/files\/(.*)(?:\/)?$/i, keys: [{ name: '0', wildcard: true, ... }] }
  */
 function pathToRegexp(path, options = {}) {
   const {
@@ -77,53 +342,17 @@ function pathToRegexp(path, options = {}) {
     };
   }
 
-  // Start building the pattern
-  let pattern = path;
-  let wildcardIndex = 0;
-
-  // Escape special regex characters (but not our patterns)
-  // Do this first, before we add our own patterns
-  pattern = pattern.replace(SPECIAL_CHARS, (char) => {
-    // Don't escape our special patterns
-    if (char === ':' || char === '*' || char === '?') {
-      return char;
-    }
-    return '\\' + char;
-  });
-
-  // Handle optional parameters first (before regular params)
-  // :param? -> optional capture group
-  // The pattern /:param? needs to match both /api and /api/v2
-  // We look for \/:param? pattern and make the whole thing optional
-  pattern = pattern.replace(/\\\/:([a-zA-Z_][a-zA-Z0-9_]*)\?/g, (match, name) => {
-    keys.push({ name, optional: true });
-    // The entire /:param segment is optional
-    return '(?:\\/([^\\/]+))?';
-  });
-
-  // Also handle :param? without leading slash (at start of path)
-  pattern = pattern.replace(/:([a-zA-Z_][a-zA-Z0-9_]*)\?/g, (match, name) => {
-    keys.push({ name, optional: true });
-    return '([^\\/]*)?';
-  });
-
-  // Handle regular parameters
-  // :param -> capture group
-  pattern = pattern.replace(PARAM_PATTERN, (match, name) => {
-    keys.push({ name, optional: false });
-    return '([^\\/]+)';
-  });
-
-  // Handle wildcards
-  // * -> match anything
-  pattern = pattern.replace(/\*/g, () => {
-    keys.push({ name: String(wildcardIndex++), optional: false });
-    return '(.*)';
-  });
+  const tokens = parse(path);
 
   // Handle trailing slash
+  const last = tokens[tokens.length - 1];
+  if (!strict && last && last.type === 'text' && last.value.endsWith('/')) {
+    last.value = last.value.slice(0, -1);
+  }
+
+  let pattern = tokensToSource(tokens, keys, false);
+
   if (!strict) {
-    pattern = pattern.replace(/\/$/, '');
     pattern += '(?:\\/)?';
   }
 
@@ -167,21 +396,45 @@ function extractParams(path, compiled) {
     const key = keys[i];
     const value = match[i + 1];
 
-    if (value !== undefined) {
-      // Decode URI component
-      try {
-        params[key.name] = decodeURIComponent(value);
-      } catch (e) {
-        params[key.name] = value;
-      }
-    } else if (key.optional) {
-      params[key.name] = undefined;
+    if (value !== undefined || key.optional) {
+      params[key.name] = decodeValue(value, key);
     }
   }
 
   return params;
 }
 
+/**
+ * Decode a captured value for a key.
+ *
+ * Repeating params are split into an array of decoded segments; a
+ * zero-or-more (`*`) param that matched nothing is an empty array.
+ *
+ * @param {string|undefined} value - Captured value
+ * @param {Object} key - Key metadata
+ * @returns {string|string[]|undefined} Decoded value
+ */
+function decodeValue(value, key) {
+  if (value === undefined) {
+    return key && key.modifier === '*' ? [] : undefined;
+  }
+  if (key && key.repeat) {
+    return value.split('/').map(decodeSegment);
+  }
+  return decodeSegment(value);
+}
+
+/**
+ * Decode a URI component, keeping the raw value if it is malformed.
+ */
+function decodeSegment(value) {
+  try {
+    return decodeURIComponent(value);
+  } catch (e) {
+    return value;
+  }
+}
+
 /**
  * Check if a path matches a pattern.
  *
@@ -214,6 +467,102 @@ function compile(pattern, options = {}) {
   };
 }
 
+/**
+ * Build a path from a pattern and parameter values (reverse routing).
+ *
+ * The inverse of matching: `format('/users/:id', { id: 42 })` gives
+ * '/users/42'. Values are URI-encoded; repeating params and wildcards
+ * accept arrays (or slash-separated strings) and keep their slashes.
+ * Optional params and brace groups are left out when their values are
+ * missing.
+ *
+ * @param {string} path - Path pattern
+ * @param {Object} [params] - Parameter values
+ * @returns {string} Formatted path
+ * @throws {TypeError} If a required param is missing or fails its pattern
+ *
+ * @example
+ * format('/files/:name{.:ext}', { name: 'report' });           // => '/files/report'
+ * format('/docs/:segments+', { segments: ['api', 'routing'] }); // => '/docs/api/routing'
+ * format('/users/:id(\\d+)', { id: 'abc' });                    // throws TypeError
+ */
+function format(path, params = {}) {
+  if (typeof path !== 'string') {
+    throw new TypeError('Only string paths can be formatted');
+  }
+
+  return formatTokens(parse(path), params, path);
+}
+
+/**
+ * Format tokens, returning null when a group is missing a value.
+ */
+function formatTokens(tokens, params, path, inGroup = false) {
+  let result = '';
+
+  for (const token of tokens) {
+    if (token.type === 'text') {
+      result += token.value;
+      continue;
+    }
+
+    // A bare '?' only made the previous character optional; keep it
+    if (token.type === 'optional') {
+      continue;
+    }
+
+    if (token.type === 'group') {
+      const group = formatTokens(token.tokens, params, path, true);
+      if (group !== null) {
+        result += group;
+      }
+      continue;
+    }
+
+    const value = params[token.name];
+    const optional = token.type === 'param' && (token.modifier === '?' || token.modifier === '*');
+
+    if (value === undefined || value === null || value === '' ||
+        (Array.isArray(value) && value.length === 0)) {
+      if (inGroup) {
+        return null;
+      }
+      if (optional) {
+        // Drop the slash that belongs to the optional param
+        if (result.endsWith('/')) {
+          result = result.slice(0, -1);
+        }
+        continue;
+      }
+      throw new TypeError(`Missing required param "${token.name}" for "${path}"`);
+    }
+
+    // Wildcards and repeats keep their slashes, other params are one segment
+    const repeat = token.type === 'wildcard' || token.modifier === '+' || token.modifier === '*';
+    let values = Array.isArray(value) ? value : [value];
+    if (repeat && !Array.isArray(value)) {
+      values = String(value).split('/');
+    }
+
+    if (values.length > 1 && !repeat) {
+      throw new TypeError(`Expected "${token.name}" to be a single value for "${path}"`);
+    }
+
+    if (token.pattern) {
+      const check = new RegExp(`^(?:${token.pattern})$`);
+      for (const v of values) {
+        if (!check.test(String(v))) {
+          throw new TypeError(`Expected "${token.name}" to match "${token.pattern}" but got "${v}"`);
+        }
+      }
+    }
+
+    result += values.map(v => encodeURIComponent(String(v))).join('/');
+  }
+
+  return result;
+}
+
 /**
  * Join path segments, normalizing slashes.
  *
@@ -256,10 +605,13 @@ function normalizePath(path) {
 }
 
 module.exports = {
+  parse,
   pathToRegexp,
   extractParams,
+  decodeValue,
   match,
   compile,
+  format,
   joinPaths,
   normalizePath
 };
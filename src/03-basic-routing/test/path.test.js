@@ -6,7 +6,7 @@
 
 const { describe, it } = require('node:test');
 const assert = require('node:assert');
-const { pathToRegexp, extractParams, match, compile } = require('../lib/path-to-regexp');
+const { parse, pathToRegexp, extractParams, match, compile, format } = require('../lib/path-to-regexp');
 
 describe('pathToRegexp', () => {
   it('should match exact paths', () => {
@@ -93,6 +93,87 @@ describe('pathToRegexp', () => {
   });
 });
 
+describe('pathToRegexp extended syntax', () => {
+  it('should support inline parameter patterns', () => {
+    const compiled = pathToRegexp('/users/:id(\\d+)');
+
+    assert.deepStrictEqual(extractParams('/users/42', compiled), { id: '42' });
+    assert.strictEqual(extractParams('/users/abc', compiled), null);
+    assert.strictEqual(compiled.keys[0].pattern, '\\d+');
+  });
+
+  it('should reject capturing groups in inline patterns', () => {
+    assert.throws(() => pathToRegexp('/users/:id((\\d+))'), TypeError);
+    assert.doesNotThrow(() => pathToRegexp('/users/:id((?:\\d+))'));
+  });
+
+  it('should support named wildcards', () => {
+    const compiled = pathToRegexp('/files/*path');
+
+    assert.deepStrictEqual(extractParams('/files/a/b/c.txt', compiled), { path: 'a/b/c.txt' });
+    assert.strictEqual(compiled.keys[0].name, 'path');
+    assert.strictEqual(compiled.keys[0].wildcard, true);
+  });
+
+  it('should support one-or-more repeating params', () => {
+    const compiled = pathToRegexp('/docs/:segments+');
+
+    assert.deepStrictEqual(extractParams('/docs/guide/intro%20page', compiled), {
+      segments: ['guide', 'intro page']
+    });
+    assert.strictEqual(extractParams('/docs', compiled), null);
+    assert.strictEqual(compiled.keys[0].repeat, true);
+    assert.strictEqual(compiled.keys[0].optional, false);
+  });
+
+  it('should support zero-or-more repeating params', () => {
+    const compiled = pathToRegexp('/docs/:segments*');
+
+    assert.deepStrictEqual(extractParams('/docs/a/b', compiled), { segments: ['a', 'b'] });
+    assert.deepStrictEqual(extractParams('/docs', compiled), { segments: [] });
+    assert.strictEqual(compiled.keys[0].optional, true);
+  });
+
+  it('should support optional brace groups', () => {
+    const compiled = pathToRegexp('/files/:name{.:ext}');
+
+    assert.deepStrictEqual(extractParams('/files/report.pdf', compiled), { name: 'report', ext: 'pdf' });
+    assert.deepStrictEqual(extractParams('/files/report', compiled), { name: 'report', ext: undefined });
+    assert.strictEqual(compiled.keys[1].optional, true);
+  });
+
+  it('should treat escaped characters literally', () => {
+    const { regexp, keys } = pathToRegexp('/time/12\\:30');
+
+    assert.ok(regexp.test('/time/12:30'));
+    assert.strictEqual(keys.length, 0);
+  });
+
+  it('should keep matching at segment boundaries for middleware', () => {
+    const { regexp } = pathToRegexp('/api/:version(v\\d)', { end: false });
+
+    assert.ok(regexp.test('/api/v1/users'));
+    assert.ok(!regexp.test('/api/v1x/users'));
+  });
+
+  it('should throw on malformed patterns', () => {
+    assert.throws(() => pathToRegexp('/users/:'), TypeError);
+    assert.throws(() => pathToRegexp('/files{.:ext'), TypeError);
+    assert.throws(() => pathToRegexp('/users/:id(\\d+'), TypeError);
+  });
+});
+
+describe('parse', () => {
+  it('should tokenize a path pattern', () => {
+    assert.deepStrictEqual(parse('/users/:id(\\d+)/*rest'), [
+      { type: 'text', value: '/users/' },
+      { type: 'param', name: 'id', pattern: '\\d+', modifier: '' },
+      { type: 'text', value: '/' },
+      { type: 'wildcard', name: 'rest' }
+    ]);
+  });
+});
+
 describe('extractParams', () => {
   it('should extract single parameter', () => {
     const compiled = pathToRegexp('/users/:id');
@@ -161,3 +242,27 @@ describe('compile', () => {
     assert.strictEqual(matcher('/posts/123'), null);
   });
 });
+
+describe('format', () => {
+  it('should fill in and encode parameters', () => {
+    assert.strictEqual(format('/users/:id', { id: 42 }), '/users/42');
+    assert.strictEqual(format('/search/:query', { query: 'hello world' }), '/search/hello%20world');
+  });
+
+  it('should omit missing optional params and groups', () => {
+    assert.strictEqual(format('/api/:version?', {}), '/api');
+    assert.strictEqual(format('/files/:name{.:ext}', { name: 'a' }), '/files/a');
+    assert.strictEqual(format('/files/:name{.:ext}', { name: 'a', ext: 'txt' }), '/files/a.txt');
+  });
+
+  it('should join repeated params and wildcards with slashes', () => {
+    assert.strictEqual(format('/docs/:segments+', { segments: ['a', 'b c'] }), '/docs/a/b%20c');
+    assert.strictEqual(format('/files/*path', { path: 'a/b.txt' }), '/files/a/b.txt');
+  });
+
+  it('should throw on missing or invalid params', () => {
+    assert.throws(() => format('/users/:id', {}), /Missing required param "id"/);
+    assert.throws(() => format('/users/:id(\\d+)', { id: 'abc' }), TypeError);
+    assert.throws(() => format('/users/:id', { id: ['a', 'b'] }), TypeError);
+  });
+});
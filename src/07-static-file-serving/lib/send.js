@@ -2,12 +2,20 @@
  * Send File Utilities
  *
  * Handles streaming files with proper headers, caching, and error handling.
+ *
+ * The send engine covers:
+ * - conditional GET (If-None-Match / If-Modified-Since -> 304)
+ * - byte ranges (206, multipart/byteranges for several ranges, 416)
+ * - If-Range, so a changed file is sent whole instead of a stale slice
+ * - Cache-Control (max-age, immutable), custom headers, dotfiles and a
+ *   root directory that paths cannot escape
  */
 
 'use strict';
 
 const fs = require('node:fs');
 const path = require('node:path');
+const crypto = require('node:crypto');
 const mime = require('./mime');
 
 /**
@@ -23,39 +31,56 @@ function generateETag(stat) {
 
 /**
  * Check if the request is fresh (client cache is valid)
+ *
+ * If-None-Match takes precedence over If-Modified-Since, and a request
+ * sent with Cache-Control: no-cache is never fresh.
+ *
  * @param {object} req - Request object
  * @param {object} res - Response object
  * @returns {boolean} True if fresh
  */
 function isFresh(req, res) {
-  // Check If-None-Match (ETag)
   const ifNoneMatch = req.headers['if-none-match'];
-  const etag = res.getHeader('ETag');
+  const ifModifiedSince = req.headers['if-modified-since'];
 
-  if (ifNoneMatch && etag) {
-    // Handle weak ETags
-    const clientEtag = ifNoneMatch.replace(/^W\//, '');
-    const serverEtag = etag.replace(/^W\//, '');
+  if (!ifNoneMatch && !ifModifiedSince) {
+    return false;
+  }
+
+  // Client asked for an end-to-end reload
+  const cacheControl = req.headers['cache-control'];
+  if (cacheControl && /(?:^|,)\s*no-cache\s*(?:,|$)/.test(cacheControl)) {
+    return false;
+  }
 
-    if (clientEtag === serverEtag || clientEtag === '*') {
+  // Check If-None-Match (ETag)
+  if (ifNoneMatch) {
+    if (ifNoneMatch.trim() === '*') {
       return true;
     }
+
+    const etag = res.getHeader('ETag');
+    if (!etag) {
+      return false;
+    }
+
+    // Handle weak ETags
+    const serverEtag = String(etag).replace(/^W\//, '');
+    return ifNoneMatch
+      .split(',')
+      .some(tag => tag.trim().replace(/^W\//, '') === serverEtag);
   }
 
   // Check If-Modified-Since
-  const ifModifiedSince = req.headers['if-modified-since'];
   const lastModified = res.getHeader('Last-Modified');
-
-  if (ifModifiedSince && lastModified) {
-    const clientDate = new Date(ifModifiedSince);
-    const serverDate = new Date(lastModified);
-
-    if (!isNaN(clientDate.getTime()) && clientDate >= serverDate) {
-      return true;
-    }
+  if (!lastModified) {
+    return false;
   }
 
-  return false;
+  const clientDate = Date.parse(ifModifiedSince);
+  const serverDate = Date.parse(lastModified);
+
+  return !isNaN(clientDate) && !isNaN(serverDate) && serverDate <= clientDate;
 }
 
 /**
@@ -93,127 +118,451 @@ function parseRange(range, size) {
   return { start, end };
 }
 
+/**
+ * Parse a Range header that may list several ranges
+ *
+ * Overlapping and adjacent ranges are combined, so a client cannot ask
+ * for the same bytes many times over.
+ *
+ * @param {string} header - Range header value
+ * @param {number} size - File size
+ * @returns {Array<{start: number, end: number}>|number} Sorted ranges,
+ *   -1 if none can be satisfied, or -2 if the header is malformed
+ */
+function parseRanges(header, size) {
+  if (!header.startsWith('bytes=')) {
+    return -2;
+  }
+
+  const ranges = [];
+
+  for (const part of header.slice(6).split(',')) {
+    const match = /^\s*(\d*)-(\d*)\s*$/.exec(part);
+
+    if (!match || (match[1] === '' && match[2] === '')) {
+      return -2;
+    }
+
+    let start;
+    let end;
+
+    if (match[1] === '') {
+      // Suffix range: -500 means last 500 bytes
+      start = size - Number(match[2]);
+      end = size - 1;
+    } else {
+      start = Number(match[1]);
+      end = match[2] === '' ? size - 1 : Number(match[2]);
+
+      // A reversed range is invalid rather than unsatisfiable (RFC 7233 2.1)
+      if (start > end) {
+        return -2;
+      }
+
+      end = Math.min(end, size - 1);
+    }
+
+    start = Math.max(0, start);
+
+    if (start <= end && start < size) {
+      ranges.push({ start, end });
+    }
+  }
+
+  if (ranges.length === 0) {
+    return -1;
+  }
+
+  return combineRanges(ranges);
+}
+
+/**
+ * Merge overlapping or adjacent ranges
+ */
+function combineRanges(ranges) {
+  const sorted = ranges.slice().sort((a, b) => a.start - b.start);
+  const combined = [sorted[0]];
+
+  for (const range of sorted.slice(1)) {
+    const last = combined[combined.length - 1];
+
+    if (range.start <= last.end + 1) {
+      last.end = Math.max(last.end, range.end);
+    } else {
+      combined.push(range);
+    }
+  }
+
+  return combined;
+}
+
+/**
+ * Check If-Range: a range may only be served if the file is unchanged
+ *
+ * @param {object} req - Request object
+ * @param {object} res - Response object
+ * @returns {boolean} True if the Range header should be honoured
+ */
+function isRangeFresh(req, res) {
+  const ifRange = req.headers['if-range'];
+
+  if (!ifRange) {
+    return true;
+  }
+
+  // ETag form needs a strong match
+  if (ifRange.includes('"')) {
+    const etag = res.getHeader('ETag');
+    return Boolean(etag) && !ifRange.startsWith('W/') && String(etag) === ifRange.trim();
+  }
+
+  // HTTP-date form
+  const lastModified = Date.parse(res.getHeader('Last-Modified'));
+  return !isNaN(lastModified) && lastModified <= Date.parse(ifRange);
+}
+
+/**
+ * Parse max-age option
+ * @param {number|string} val - Milliseconds or a duration string ('1d', '2h', '30m', '10s')
+ * @returns {number} Milliseconds
+ */
+function parseMaxAge(val) {
+  if (typeof val === 'number') {
+    return val;
+  }
+
+  if (typeof val === 'string') {
+    // Parse duration string (1d, 1h, 1m, 1s)
+    const match = val.match(/^(\d+)(d|h|m|s)?$/i);
+    if (match) {
+      const num = parseInt(match[1], 10);
+      const unit = (match[2] || 's').toLowerCase();
+      const multipliers = { d: 86400000, h: 3600000, m: 60000, s: 1000 };
+      return num * (multipliers[unit] || 1000);
+    }
+  }
+
+  return 0;
+}
+
+/**
+ * Check if path contains dotfile
+ * @param {string} filePath - Path to check
+ * @returns {boolean} True if any segment starts with '.'
+ */
+function containsDotFile(filePath) {
+  const parts = filePath.split(/[/\\]/);
+  for (const part of parts) {
+    if (part.startsWith('.') && part !== '.' && part !== '..') {
+      return true;
+    }
+  }
+  return false;
+}
+
+/**
+ * Build a Content-Disposition header (RFC 6266 / RFC 5987)
+ *
+ * Non-ASCII names get an ASCII fallback in `filename` and the exact
+ * name, percent-encoded as UTF-8, in `filename*`.
+ *
+ * @param {string} [filename] - File name (path components are dropped)
+ * @param {string} [type='attachment'] - 'attachment' or 'inline'
+ * @returns {string} Header value
+ */
+function contentDisposition(filename, type = 'attachment') {
+  if (!filename) {
+    return type;
+  }
+
+  const name = path.basename(filename);
+  const fallback = name.replace(/[^\x20-\x7e]/g, '?').replace(/["\\]/g, '\\$&');
+  let header = `${type}; filename="${fallback}"`;
+
+  if (/[^\x20-\x7e]/.test(name)) {
+    const encoded = encodeURIComponent(name)
+      .replace(/['()*]/g, c => '%' + c.charCodeAt(0).toString(16).toUpperCase());
+    header += `; filename*=UTF-8''${encoded}`;
+  }
+
+  return header;
+}
+
+/**
+ * Create an error carrying an HTTP status
+ */
+function createError(status, message) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+/**
+ * Resolve a path against an optional root, refusing to leave it
+ *
+ * @param {string} filePath - Path (relative to root when given)
+ * @param {string} [root] - Root directory
+ * @returns {string} Absolute path
+ * @throws {Error} 403 when the path escapes root or contains a null byte
+ */
+function resolvePath(filePath, root) {
+  if (filePath.includes('\0')) {
+    throw createError(400, 'Bad Request');
+  }
+
+  if (!root) {
+    return path.resolve(filePath);
+  }
+
+  // Refuse '..' segments outright rather than normalizing them away
+  if (filePath.split(/[/\\]/).includes('..')) {
+    throw createError(403, 'Forbidden');
+  }
+
+  const rootPath = path.resolve(root);
+  const fullPath = path.join(rootPath, filePath);
+  const relative = path.relative(rootPath, fullPath);
+
+  if (relative.startsWith('..') || path.isAbsolute(relative)) {
+    throw createError(403, 'Forbidden');
+  }
+
+  return fullPath;
+}
+
+/**
+ * Remove headers that describe a body we are not sending
+ */
+function removeContentHeaders(res) {
+  for (const name of ['Content-Type', 'Content-Length', 'Content-Range', 'Content-Encoding']) {
+    res.removeHeader(name);
+  }
+}
+
 /**
  * Send a file to the response
  * @param {object} req - Request object
  * @param {object} res - Response object
- * @param {string} filePath - Absolute path to file
+ * @param {string} filePath - File path (absolute, or relative to options.root)
  * @param {object} options - Options
+ * @param {string} [options.root] - Directory the path is relative to; cannot be escaped
+ * @param {string} [options.dotfiles='allow'] - 'allow', 'deny' (403) or 'ignore' (404)
+ * @param {boolean} [options.etag=true] - Send ETag
+ * @param {boolean} [options.lastModified=true] - Send Last-Modified
+ * @param {number|string} [options.maxAge=0] - Cache max-age in ms or as '1d'
+ * @param {boolean} [options.cacheControl=true] - Send Cache-Control
+ * @param {boolean} [options.immutable=false] - Add the immutable directive
+ * @param {boolean} [options.acceptRanges=true] - Serve byte ranges
+ * @param {object} [options.headers] - Extra headers to set
  * @returns {Promise<void>}
  */
 async function sendFile(req, res, filePath, options = {}) {
   const {
+    root,
+    dotfiles = 'allow',
     etag = true,
     lastModified = true,
     maxAge = 0,
     cacheControl = true,
+    immutable = false,
     acceptRanges = true,
     headers = {}
   } = options;
 
-  return new Promise((resolve, reject) => {
-    // Get file stats
-    fs.stat(filePath, (err, stat) => {
+  const fullPath = resolvePath(filePath, root);
+
+  // Dotfiles are judged on the path we were given, not on root
+  if (dotfiles !== 'allow' && containsDotFile(root ? filePath : fullPath)) {
+    throw dotfiles === 'deny' ? createError(403, 'Forbidden') : createError(404, 'Not Found');
+  }
+
+  const stat = await new Promise((resolve, reject) => {
+    fs.stat(fullPath, (err, result) => {
       if (err) {
-        if (err.code === 'ENOENT' || err.code === 'ENOTDIR') {
+        if (err.code === 'ENOENT' || err.code === 'ENOTDIR' || err.code === 'ENAMETOOLONG') {
           err.status = 404;
         } else if (err.code === 'EACCES') {
           err.status = 403;
         }
         return reject(err);
       }
+      resolve(result);
+    });
+  });
 
-      // Must be a file
-      if (!stat.isFile()) {
-        const error = new Error('Not a file');
-        error.status = 404;
-        return reject(error);
-      }
+  // Must be a file
+  if (!stat.isFile()) {
+    throw createError(404, 'Not a file');
+  }
 
-      // Set Content-Type
-      const contentType = mime.contentType(filePath);
-      res.setHeader('Content-Type', contentType);
+  // Set custom headers
+  for (const [key, value] of Object.entries(headers)) {
+    res.setHeader(key, value);
+  }
 
-      // Set custom headers
-      for (const [key, value] of Object.entries(headers)) {
-        res.setHeader(key, value);
-      }
+  // Set Content-Type
+  const contentType = res.getHeader('Content-Type') || mime.contentType(fullPath);
+  res.setHeader('Content-Type', contentType);
 
-      // Set caching headers
-      if (etag) {
-        res.setHeader('ETag', generateETag(stat));
-      }
+  // Set caching headers
+  if (etag && !res.getHeader('ETag')) {
+    res.setHeader('ETag', generateETag(stat));
+  }
 
-      if (lastModified) {
-        res.setHeader('Last-Modified', stat.mtime.toUTCString());
-      }
+  if (lastModified && !res.getHeader('Last-Modified')) {
+    res.setHeader('Last-Modified', stat.mtime.toUTCString());
+  }
 
-      if (cacheControl) {
-        const maxAgeSeconds = typeof maxAge === 'number'
-          ? Math.floor(maxAge / 1000)
-          : 0;
-        res.setHeader('Cache-Control', `public, max-age=${maxAgeSeconds}`);
-      }
+  if (cacheControl && !res.getHeader('Cache-Control')) {
+    const maxAgeSeconds = Math.floor(Math.min(Math.max(0, parseMaxAge(maxAge)), 31536000000) / 1000);
+    res.setHeader('Cache-Control', `public, max-age=${maxAgeSeconds}${immutable ? ', immutable' : ''}`);
+  }
 
-      if (acceptRanges) {
-        res.setHeader('Accept-Ranges', 'bytes');
-      }
+  if (acceptRanges) {
+    res.setHeader('Accept-Ranges', 'bytes');
+  }
 
-      // Check if client cache is fresh
-      if (isFresh(req, res)) {
-        res.statusCode = 304;
-        res.end();
-        return resolve();
-      }
+  // Check if client cache is fresh
+  if ((req.method === 'GET' || req.method === 'HEAD') && isFresh(req, res)) {
+    removeContentHeaders(res);
+    res.statusCode = 304;
+    res.end();
+    return;
+  }
 
-      // Handle HEAD request
-      if (req.method === 'HEAD') {
-        res.setHeader('Content-Length', stat.size);
-        res.end();
-        return resolve();
-      }
+  // Handle range requests
+  let ranges = null;
+  const rangeHeader = req.headers.range;
 
-      // Handle range requests
-      const rangeHeader = req.headers.range;
-      const range = acceptRanges ? parseRange(rangeHeader, stat.size) : null;
+  if (acceptRanges && rangeHeader && isRangeFresh(req, res)) {
+    ranges = parseRanges(rangeHeader, stat.size);
 
-      if (rangeHeader && !range) {
-        // Invalid range
-        res.statusCode = 416; // Range Not Satisfiable
-        res.setHeader('Content-Range', `bytes */${stat.size}`);
-        res.end();
-        return resolve();
-      }
+    if (ranges === -1) {
+      // Range Not Satisfiable
+      removeContentHeaders(res);
+      res.statusCode = 416;
+      res.setHeader('Content-Range', `bytes */${stat.size}`);
+      res.end();
+      return;
+    }
 
-      let start = 0;
-      let end = stat.size - 1;
+    // Malformed ranges are ignored: send the whole file
+    if (ranges === -2) {
+      ranges = null;
+    }
+  }
 
-      if (range) {
-        start = range.start;
-        end = range.end;
-        res.statusCode = 206; // Partial Content
-        res.setHeader('Content-Range', `bytes ${start}-${end}/${stat.size}`);
-        res.setHeader('Content-Length', end - start + 1);
-      } else {
-        res.setHeader('Content-Length', stat.size);
-      }
+  if (ranges && ranges.length > 1) {
+    return sendMultipart(req, res, fullPath, stat.size, ranges, contentType);
+  }
 
-      // Create read stream and pipe to response
-      const stream = fs.createReadStream(filePath, { start, end });
+  let start = 0;
+  let end = stat.size - 1;
 
-      stream.on('error', (streamErr) => {
-        // Don't fail if response is already ended
-        if (!res.writableEnded) {
-          reject(streamErr);
-        }
-      });
+  if (ranges) {
+    start = ranges[0].start;
+    end = ranges[0].end;
+    res.statusCode = 206; // Partial Content
+    res.setHeader('Content-Range', `bytes ${start}-${end}/${stat.size}`);
+  }
 
-      stream.on('end', () => {
+  res.setHeader('Content-Length', end - start + 1);
+
+  // Handle HEAD request
+  if (req.method === 'HEAD' || stat.size === 0) {
+    res.end();
+    return;
+  }
+
+  return streamFile(res, fullPath, { start, end });
+}
+
+/**
+ * Stream a file (or part of it) and end the response
+ */
+function streamFile(res, filePath, range) {
+  return new Promise((resolve, reject) => {
+    const stream = fs.createReadStream(filePath, range);
+
+    stream.on('error', (streamErr) => {
+      // The response is complete already: nothing left to fail
+      if (res.writableEnded) {
         resolve();
-      });
+      } else {
+        reject(streamErr);
+      }
+    });
+
+    stream.on('end', () => {
+      resolve();
+    });
 
-      stream.pipe(res);
+    // Stop reading if the client goes away
+    res.on('close', () => {
+      stream.destroy();
+      resolve();
     });
+
+    stream.pipe(res);
+  });
+}
+
+/**
+ * Send several ranges as multipart/byteranges
+ */
+async function sendMultipart(req, res, filePath, size, ranges, contentType) {
+  const boundary = crypto.randomBytes(12).toString('hex');
+
+  const parts = ranges.map(range => ({
+    range,
+    head: `--${boundary}\r\nContent-Type: ${contentType}\r\n` +
+      `Content-Range: bytes ${range.start}-${range.end}/${size}\r\n\r\n`
+  }));
+  const tail = `--${boundary}--\r\n`;
+
+  const length = parts.reduce((total, part) => {
+    return total + Buffer.byteLength(part.head) + (part.range.end - part.range.start + 1) + 2;
+  }, Buffer.byteLength(tail));
+
+  res.statusCode = 206;
+  res.setHeader('Content-Type', `multipart/byteranges; boundary=${boundary}`);
+  res.setHeader('Content-Length', length);
+
+  if (req.method === 'HEAD') {
+    res.end();
+    return;
+  }
+
+  for (const { range, head } of parts) {
+    res.write(head);
+
+    for await (const chunk of fs.createReadStream(filePath, range)) {
+      if (res.destroyed) return;
+
+      // Respect backpressure
+      if (!res.write(chunk)) {
+        await waitForDrain(res);
+      }
+    }
+
+    res.write('\r\n');
+  }
+
+  res.end(tail);
+}
+
+/**
+ * Wait until the response can take more data or is closed
+ */
+function waitForDrain(res) {
+  return new Promise(resolve => {
+    const done = () => {
+      res.removeListener('drain', done);
+      res.removeListener('close', done);
+      resolve();
+    };
+    res.on('drain', done);
+    res.on('close', done);
   });
 }
 
@@ -226,7 +575,7 @@ async function sendFile(req, res, filePath, options = {}) {
  * @param {object} options - Options
  */
 async function sendFileDownload(req, res, filePath, filename, options = {}) {
-  const disposition = `attachment; filename="${encodeURIComponent(filename || path.basename(filePath))}"`;
+  const disposition = contentDisposition(filename || path.basename(filePath));
 
   return sendFile(req, res, filePath, {
     ...options,
@@ -242,5 +591,13 @@ module.exports = {
   sendFileDownload,
   generateETag,
   isFresh,
-  parseRange
+  isRangeFresh,
+  parseRange,
+  parseRanges,
+  parseMaxAge,
+  containsDotFile,
+  contentDisposition,
+  resolvePath,
+  streamFile,
+  waitForDrain
 };
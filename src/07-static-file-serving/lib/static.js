@@ -9,7 +9,7 @@
 
 const fs = require('node:fs');
 const path = require('node:path');
-const { sendFile } = require('./send');
+const { sendFile, parseMaxAge, containsDotFile } = require('./send');
 
 /**
  * Create static file serving middleware
@@ -220,41 +220,6 @@ function parseUrl(url) {
   return queryIndex === -1 ? url : url.slice(0, queryIndex);
 }
 
-/**
- * Check if path contains dotfile
- */
-function containsDotFile(urlPath) {
-  const parts = urlPath.split(/[/\\]/);
-  for (const part of parts) {
-    if (part.startsWith('.') && part !== '.' && part !== '..') {
-      return true;
-    }
-  }
-  return false;
-}
-
-/**
- * Parse max-age option
- */
-function parseMaxAge(val) {
-  if (typeof val === 'number') {
-    return val;
-  }
-
-  if (typeof val === 'string') {
-    // Parse duration string (1d, 1h, 1m, 1s)
-    const match = val.match(/^(\d+)(d|h|m|s)?$/i);
-    if (match) {
-      const num = parseInt(match[1], 10);
-      const unit = (match[2] || 's').toLowerCase();
-      const multipliers = { d: 86400000, h: 3600000, m: 60000, s: 1000 };
-      return num * (multipliers[unit] || 1000);
-    }
-  }
-
-  return 0;
-}
-
 /**
  * Promisified fs.stat
  */
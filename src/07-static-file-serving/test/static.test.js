@@ -380,4 +380,94 @@ describe('Static Middleware', () => {
       assert.strictEqual(res.body, '');
     });
   });
+
+  describe('Range Requests', () => {
+    it('should serve a single range', async () => {
+      const app = createApp();
+      app.use(createApp.static(fixturesDir));
+
+      const port = getPort();
+      server = app.listen(port);
+      await new Promise(r => server.on('listening', r));
+
+      const res = await request({ port, path: '/plain.txt', method: 'GET', headers: { Range: 'bytes=0-4' } });
+      assert.strictEqual(res.statusCode, 206);
+      assert.strictEqual(res.body, 'Plain');
+      assert.strictEqual(res.headers['content-range'], 'bytes 0-4/15');
+    });
+
+    it('should serve several ranges as multipart/byteranges', async () => {
+      const app = createApp();
+      app.use(createApp.static(fixturesDir));
+
+      const port = getPort();
+      server = app.listen(port);
+      await new Promise(r => server.on('listening', r));
+
+      const res = await request({ port, path: '/plain.txt', method: 'GET', headers: { Range: 'bytes=0-4, 11-' } });
+      assert.strictEqual(res.statusCode, 206);
+      assert.match(res.headers['content-type'], /^multipart\/byteranges; boundary=/);
+      assert.strictEqual(Number(res.headers['content-length']), res.buffer.length);
+      assert.ok(res.body.includes('Content-Range: bytes 0-4/15\r\n\r\nPlain\r\n'));
+      assert.ok(res.body.includes('Content-Range: bytes 11-14/15\r\n\r\nfile\r\n'));
+    });
+
+    it('should return 416 for unsatisfiable ranges', async () => {
+      const app = createApp();
+      app.use(createApp.static(fixturesDir));
+
+      const port = getPort();
+      server = app.listen(port);
+      await new Promise(r => server.on('listening', r));
+
+      const res = await request({ port, path: '/plain.txt', method: 'GET', headers: { Range: 'bytes=50-60' } });
+      assert.strictEqual(res.statusCode, 416);
+      assert.strictEqual(res.headers['content-range'], 'bytes */15');
+    });
+
+    it('should ignore a reversed range and send the whole file', async () => {
+      const app = createApp();
+      app.use(createApp.static(fixturesDir));
+
+      const port = getPort();
+      server = app.listen(port);
+      await new Promise(r => server.on('listening', r));
+
+      const res = await request({ port, path: '/plain.txt', method: 'GET', headers: { Range: 'bytes=10-4' } });
+      assert.strictEqual(res.statusCode, 200);
+      assert.strictEqual(res.headers['content-range'], undefined);
+      assert.strictEqual(res.body, 'Plain text file');
+    });
+  });
+});
+
+describe('Send Engine Helpers', () => {
+  const { parseRanges, contentDisposition, streamFile } = require('../lib/send');
+
+  it('should settle when the file fails after the response ended', async () => {
+    const { Writable } = require('node:stream');
+    const res = new Writable({ emitClose: false, write(chunk, encoding, callback) { callback(); } });
+    res.end();
+
+    await streamFile(res, path.join(fixturesDir, 'missing.txt'));
+  });
+
+  it('should parse and combine ranges', () => {
+    assert.deepStrictEqual(parseRanges('bytes=0-9, 5-14, 20-', 30), [{ start: 0, end: 14 }, { start: 20, end: 29 }]);
+    assert.deepStrictEqual(parseRanges('bytes=-5', 30), [{ start: 25, end: 29 }]);
+    assert.strictEqual(parseRanges('bytes=40-50', 30), -1);
+    assert.strictEqual(parseRanges('bytes=abc', 30), -2);
+    assert.strictEqual(parseRanges('bytes=20-10', 30), -2);
+    assert.strictEqual(parseRanges('bytes=0-4, 500-100', 30), -2);
+    assert.strictEqual(parseRanges('items=0-1', 30), -2);
+  });
+
+  it('should build Content-Disposition headers', () => {
+    assert.strictEqual(contentDisposition('report.pdf'), 'attachment; filename="report.pdf"');
+    assert.strictEqual(contentDisposition('/tmp/a "b".txt', 'inline'), 'inline; filename="a \\"b\\".txt"');
+    assert.strictEqual(
+      contentDisposition('€ rates.txt'),
+      'attachment; filename="? rates.txt"; filename*=UTF-8\'\'%E2%82%AC%20rates.txt'
+    );
+  });
 });
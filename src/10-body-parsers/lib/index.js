@@ -2,7 +2,7 @@
  * Step 10: Body Parsers
  *
  * Demonstrates how Express.js parses request bodies.
- * Includes JSON, URL-encoded, raw, and text parsers.
+ * Includes JSON, URL-encoded, raw, text, and multipart parsers.
  */
 
 'use strict';
@@ -16,10 +16,13 @@ const jsonParser = require('./json');
 const urlencodedParser = require('./urlencoded');
 const rawParser = require('./raw');
 const textParser = require('./text');
+const multipartParser = require('./multipart');
 
 // Import utilities
 const { parseBytes, formatBytes } = require('./bytes');
 const { typeIs, parseContentType, normalizeType, getCharset } = require('./content-type');
+const { sanitizeFilename } = require('./multipart');
+const { verifyHmac } = require('./verify');
 
 /**
  * Layer class - represents a middleware or route
@@ -300,6 +303,7 @@ module.exports.json = jsonParser;
 module.exports.urlencoded = urlencodedParser;
 module.exports.raw = rawParser;
 module.exports.text = textParser;
+module.exports.multipart = multipartParser;
 
 // Export utilities
 module.exports.parseBytes = parseBytes;
@@ -308,3 +312,5 @@ module.exports.typeIs = typeIs;
 module.exports.parseContentType = parseContentType;
 module.exports.normalizeType = normalizeType;
 module.exports.getCharset = getCharset;
+module.exports.sanitizeFilename = sanitizeFilename;
+module.exports.verifyHmac = verifyHmac;
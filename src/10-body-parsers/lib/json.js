@@ -16,7 +16,13 @@ const { parseBytes } = require('./bytes');
  *
  * @param {Object} options - Parser options
  * @param {string|number} [options.limit='100kb'] - Max body size
+ * @param {boolean} [options.inflate=true] - Decompress gzip, deflate and br bodies
+ * @param {Function} [options.verify] - fn(req, res, buf, encoding) to check the
+ *   raw bytes; throw to reject the request with 403 (entity.verify.failed)
+ * @param {boolean} [options.rawBody=false] - Keep the raw bytes as req.rawBody
  * @param {boolean} [options.strict=true] - Only accept arrays/objects
+ * @param {string[]} [options.charsets=['utf-8', 'utf-16le', 'utf-16be']] - Allowed
+ *   charsets; others are rejected with 415 (charset.unsupported)
  * @param {string|string[]|Function} [options.type='application/json'] - Content types to parse
  * @param {Function} [options.reviver] - JSON.parse reviver function
  * @returns {Function} Express middleware
@@ -28,7 +34,11 @@ const { parseBytes } = require('./bytes');
 function json(options = {}) {
   const {
     limit = '100kb',
+    inflate = true,
+    verify,
+    rawBody = false,
     strict = true,
+    charsets = ['utf-8', 'utf-16le', 'utf-16be'],
     type = 'application/json',
     reviver = null
   } = options;
@@ -64,7 +74,12 @@ function json(options = {}) {
     readBodyAsString(req, {
       limit: bytesLimit,
       length: contentLength,
-      encoding: charset
+      inflate,
+      verify,
+      rawBody,
+      res,
+      charset,
+      charsets
     })
       .then(body => {
         // Handle empty body
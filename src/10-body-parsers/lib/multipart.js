@@ -0,0 +1,780 @@
+/**
+ * Multipart Body Parser
+ *
+ * Parses multipart/form-data request bodies (HTML forms with file
+ * inputs). Equivalent to multer.
+ *
+ * The body is never buffered as a whole: a streaming boundary parser
+ * splits it into parts as chunks arrive. Text fields go to req.body;
+ * files are written to disk (with `dest`) or kept in memory, one chunk
+ * at a time, and the request is paused while a chunk is being stored.
+ *
+ * If anything goes wrong (a limit, a malformed body, a rejected file,
+ * the client disconnecting) the files written so far are removed.
+ */
+
+'use strict';
+
+const fs = require('node:fs');
+const path = require('node:path');
+const crypto = require('node:crypto');
+const { typeIs, parseContentType } = require('./content-type');
+const { parseBytes } = require('./bytes');
+const { hasBody } = require('./json');
+const { contentStream } = require('./read-body');
+
+// Longest header block accepted for one part
+const MAX_HEADER_SIZE = 16 * 1024;
+
+// Bytes collected for the sniff hook
+const SNIFF_BYTES = 512;
+
+// Longest filename most filesystems accept, in bytes
+const MAX_FILENAME_BYTES = 255;
+
+// Control characters and characters Windows reserves in filenames
+const UNSAFE_FILENAME_CHARS = /[\u0000-\u001f\u007f<>:"|?*]/g;
+
+/**
+ * Create an error in the shape the other parsers use
+ */
+function createError(message, type, statusCode, props = {}) {
+  const err = new Error(message);
+  err.type = type;
+  err.statusCode = statusCode;
+  return Object.assign(err, props);
+}
+
+/**
+ * Streaming multipart/form-data parser
+ *
+ * write() takes body chunks in any size and returns the events they
+ * complete, in order:
+ *   { type: 'part', headers }  - a part starts (header names lower-cased)
+ *   { type: 'data', data }     - part body bytes
+ *   { type: 'partEnd' }        - the part is complete
+ *   { type: 'end' }            - closing boundary seen
+ */
+class MultipartParser {
+  /**
+   * @param {string} boundary - Boundary from the Content-Type header
+   */
+  constructor(boundary) {
+    this.delimiter = Buffer.from(`\r\n--${boundary}`);
+    // A leading CRLF lets the first boundary match like the others
+    this.buffer = Buffer.from('\r\n');
+    this.state = 'preamble';
+  }
+
+  /**
+   * Parse a chunk
+   *
+   * @param {Buffer} chunk - Body data
+   * @returns {Array<Object>} Events
+   * @throws {Error} On a malformed body (400, multipart.parse.failed)
+   */
+  write(chunk) {
+    this.buffer = Buffer.concat([this.buffer, chunk]);
+
+    const events = [];
+    while (this._step(events));
+    return events;
+  }
+
+  /**
+   * Check that the body ended with the closing boundary
+   *
+   * @throws {Error} If the body was cut short
+   */
+  end() {
+    if (this.state !== 'end') {
+      throw createError('Unexpected end of multipart body', 'multipart.parse.failed', 400);
+    }
+  }
+
+  /**
+   * Advance by one step; false when more data is needed
+   */
+  _step(events) {
+    const buf = this.buffer;
+    const delimiter = this.delimiter;
+
+    switch (this.state) {
+      case 'preamble': {
+        const index = buf.indexOf(delimiter);
+        if (index === -1) {
+          this.buffer = buf.subarray(Math.max(0, buf.length - delimiter.length + 1));
+          return false;
+        }
+        this.buffer = buf.subarray(index + delimiter.length);
+        this.state = 'delimiter';
+        return true;
+      }
+
+      case 'delimiter': {
+        if (buf.length < 2) return false;
+
+        if (buf[0] === 0x2d && buf[1] === 0x2d) {
+          // "--": closing boundary; the epilogue is ignored
+          this.buffer = Buffer.alloc(0);
+          this.state = 'end';
+          events.push({ type: 'end' });
+          return false;
+        }
+
+        const eol = buf.indexOf('\r\n');
+        if (eol === -1) {
+          if (buf.length > 256) throw malformed();
+          return false;
+        }
+
+        // Only transport padding may follow the boundary
+        if (buf.subarray(0, eol).toString('latin1').trim() !== '') {
+          throw malformed();
+        }
+
+        this.buffer = buf.subarray(eol + 2);
+        this.state = 'headers';
+        return true;
+      }
+
+      case 'headers': {
+        // A part without headers starts with the blank line
+        const end = buf.subarray(0, 2).toString('latin1') === '\r\n' ? -2 : buf.indexOf('\r\n\r\n');
+        if (end === -1) {
+          if (buf.length > MAX_HEADER_SIZE) {
+            throw createError('Multipart headers too large', 'multipart.parse.failed', 400);
+          }
+          return false;
+        }
+
+        events.push({ type: 'part', headers: parseHeaders(end < 0 ? '' : buf.subarray(0, end).toString('utf8')) });
+        this.buffer = buf.subarray(end + 4);
+        this.state = 'body';
+        return true;
+      }
+
+      case 'body': {
+        const index = buf.indexOf(delimiter);
+
+        if (index === -1) {
+          // Keep what could be the start of a delimiter
+          const safe = buf.length - delimiter.length + 1;
+          if (safe > 0) {
+            events.push({ type: 'data', data: buf.subarray(0, safe) });
+            this.buffer = buf.subarray(safe);
+          }
+          return false;
+        }
+
+        if (index > 0) {
+          events.push({ type: 'data', data: buf.subarray(0, index) });
+        }
+        events.push({ type: 'partEnd' });
+        this.buffer = buf.subarray(index + delimiter.length);
+        this.state = 'delimiter';
+        return true;
+      }
+
+      default:
+        return false;
+    }
+  }
+}
+
+/**
+ * Error for a body that does not follow the multipart syntax
+ */
+function malformed() {
+  return createError('Malformed multipart body', 'multipart.parse.failed', 400);
+}
+
+/**
+ * Parse a part's header block
+ */
+function parseHeaders(block) {
+  const headers = {};
+
+  for (const line of block.split('\r\n')) {
+    const colon = line.indexOf(':');
+    if (colon <= 0) continue;
+    headers[line.slice(0, colon).trim().toLowerCase()] = line.slice(colon + 1).trim();
+  }
+
+  return headers;
+}
+
+/**
+ * Parse a Content-Disposition header
+ *
+ * @param {string} header - e.g. 'form-data; name="avatar"; filename="me.png"'
+ * @returns {Object|null} { type, params }; filename* (RFC 5987) wins over filename
+ */
+function parseDisposition(header) {
+  if (!header) return null;
+
+  const semi = header.indexOf(';');
+  const type = (semi === -1 ? header : header.slice(0, semi)).trim().toLowerCase();
+  const params = {};
+  const re = /;\s*([^\s=;]+)\s*=\s*("(?:[^"\\]|\\.)*"|[^;]*)/g;
+  let match;
+
+  while ((match = re.exec(header)) !== null) {
+    const key = match[1].toLowerCase();
+    let value = match[2].trim();
+
+    if (value.startsWith('"')) {
+      value = value.slice(1, -1).replace(/\\(.)/g, '$1');
+    }
+
+    if (key === 'filename*') {
+      const extended = /^([\w!#$%&+^`{}~-]+)'[^']*'(.*)$/.exec(value);
+      if (extended) {
+        try {
+          params.filename = extended[1].toLowerCase() === 'utf-8'
+            ? decodeURIComponent(extended[2])
+            : extended[2].replace(/%([0-9a-f]{2})/gi, (m, hex) => String.fromCharCode(parseInt(hex, 16)));
+          params['filename*'] = true;
+        } catch (e) {
+          // Keep the plain filename
+        }
+      }
+      continue;
+    }
+
+    if (key === 'filename' && params['filename*']) continue;
+    params[key] = value;
+  }
+
+  delete params['filename*'];
+  return { type, params };
+}
+
+/**
+ * Make a client filename safe to display and to use on disk
+ *
+ * Drops any directory part, control and reserved characters, leading
+ * dots (no hidden files, no '..') and trailing dots/spaces, and keeps
+ * it within 255 bytes by shortening the name before its extension.
+ *
+ * @param {string} name - Filename from the client
+ * @returns {string} Safe filename ('file' if nothing is left)
+ *
+ * @example
+ * sanitizeFilename('../../etc/passwd')    // => 'passwd'
+ * sanitizeFilename('C:\\fakepath\\a?.png') // => 'a_.png'
+ */
+function sanitizeFilename(name) {
+  let clean = String(name)
+    .split(/[\\/]/)
+    .pop()
+    .normalize('NFC')
+    .replace(UNSAFE_FILENAME_CHARS, '_')
+    .replace(/^[.\s]+/, '')
+    .replace(/[.\s]+$/, '');
+
+  if (Buffer.byteLength(clean) > MAX_FILENAME_BYTES) {
+    // Shorten the end of the stem so the extension survives
+    const ext = path.extname(clean);
+    const stem = truncateBytes(clean.slice(0, clean.length - ext.length), MAX_FILENAME_BYTES - Buffer.byteLength(ext));
+    clean = stem ? stem + ext : truncateBytes(clean, MAX_FILENAME_BYTES).replace(/[.\s]+$/, '');
+  }
+
+  return clean || 'file';
+}
+
+/**
+ * Longest prefix of a string that fits in max UTF-8 bytes, without
+ * splitting a character
+ */
+function truncateBytes(str, max) {
+  let result = '';
+  let bytes = 0;
+
+  for (const char of str) {
+    bytes += Buffer.byteLength(char);
+    if (bytes > max) break;
+    result += char;
+  }
+
+  return result;
+}
+
+/**
+ * Default name for a stored file: random, keeping a plain extension
+ */
+function defaultFilename(req, file) {
+  const ext = path.extname(file.originalname).toLowerCase();
+  return crypto.randomBytes(16).toString('hex') + (/^\.[a-z0-9]{1,10}$/.test(ext) ? ext : '');
+}
+
+/**
+ * Create multipart/form-data parser middleware
+ *
+ * The returned middleware accepts files in any field (like .any());
+ * the selectors restrict which file fields are allowed and how they
+ * show up on the request:
+ * - .single(name)           one file          -> req.file
+ * - .array(name, maxCount)  files of a field  -> req.files (array)
+ * - .fields([{ name, maxCount }])             -> req.files[name] (arrays)
+ * - .any()                  any file field    -> req.files (array)
+ * - .none()                 text fields only
+ * A file in any other field fails with 400 (file.unexpected).
+ *
+ * Each file is { fieldname, originalname (sanitized), encoding,
+ * mimetype, size } plus { destination, filename, path } on disk or
+ * { buffer } in memory.
+ *
+ * @param {Object} [options] - Parser options
+ * @param {string} [options.dest] - Directory for files; memory if omitted
+ * @param {Function} [options.filename] - fn(req, file) => name in dest
+ *   (sanitized again); default: random hex + extension
+ * @param {string|number} [options.limit='10mb'] - Max total body size
+ *   (decompressed, for gzip, deflate and br bodies)
+ * @param {boolean} [options.inflate=true] - Decompress gzip, deflate and br bodies
+ * @param {Object} [options.limits] - Per-part limits
+ * @param {string|number} [options.limits.fileSize=limit] - Max size of one file
+ * @param {number} [options.limits.files=10] - Max number of files
+ * @param {number} [options.limits.fields=100] - Max number of text fields
+ * @param {string|number} [options.limits.fieldSize='100kb'] - Max size of one field
+ * @param {Function} [options.fileFilter] - fn(req, file) => boolean (or a
+ *   Promise); false skips the file
+ * @param {Function} [options.sniff] - fn(file, head) with the first bytes
+ *   of the file; return a MIME type to replace the client's, false to
+ *   reject the upload (415, file.type.rejected), or nothing (may be async)
+ * @param {string|string[]|Function} [options.type='multipart/form-data'] - Content types
+ * @returns {Function} Express middleware, with the selectors attached
+ *
+ * @example
+ * const upload = multipart({ dest: 'uploads/', limits: { fileSize: '5mb' } });
+ *
+ * app.post('/avatar', upload.single('avatar'), (req, res) => {
+ *   res.json({ name: req.body.name, saved: req.file.path });
+ * });
+ */
+function multipart(options = {}) {
+  const {
+    dest = null,
+    filename = defaultFilename,
+    limit = '10mb',
+    inflate = true,
+    limits = {},
+    fileFilter = null,
+    sniff = null,
+    type = 'multipart/form-data'
+  } = options;
+
+  const config = {
+    dest,
+    filename,
+    fileFilter,
+    sniff,
+    type,
+    inflate,
+    limit: parseBytes(limit),
+    fileSize: parseBytes(limits.fileSize === undefined ? limit : limits.fileSize),
+    files: limits.files === undefined ? 10 : limits.files,
+    fields: limits.fields === undefined ? 100 : limits.fields,
+    fieldSize: parseBytes(limits.fieldSize === undefined ? '100kb' : limits.fieldSize)
+  };
+
+  if (dest) {
+    fs.mkdirSync(dest, { recursive: true });
+  }
+
+  const middleware = createParser(config, { any: true, result: 'array' });
+
+  middleware.single = (name) => createParser(config, { allowed: { [name]: 1 }, result: 'single', name });
+  middleware.array = (name, maxCount = Infinity) => createParser(config, { allowed: { [name]: maxCount }, result: 'array' });
+  middleware.fields = (fields) => createParser(config, {
+    allowed: Object.fromEntries(fields.map(field => [field.name, field.maxCount === undefined ? Infinity : field.maxCount])),
+    result: 'fields'
+  });
+  middleware.any = () => createParser(config, { any: true, result: 'array' });
+  middleware.none = () => createParser(config, { allowed: {}, result: 'none' });
+
+  return middleware;
+}
+
+/**
+ * Build the middleware for one selector
+ */
+function createParser(config, selection) {
+  return function multipartParser(req, res, next) {
+    // Skip if body already parsed
+    if (req.body !== undefined) {
+      return next();
+    }
+
+    // Skip if no body
+    if (!hasBody(req)) {
+      req.body = {};
+      return next();
+    }
+
+    // Check content type - skip to next middleware if not matching
+    if (!typeIs(req, config.type)) {
+      return next();
+    }
+
+    const boundary = parseContentType(req.headers['content-type']).parameters.boundary;
+    if (!boundary || boundary.length > 70) {
+      return next(createError('Missing or invalid multipart boundary', 'multipart.boundary.invalid', 400));
+    }
+
+    let source;
+    try {
+      source = contentStream(req, config.inflate);
+    } catch (err) {
+      return next(err);
+    }
+
+    // Content-Length counts compressed bytes; only the output size matters
+    const contentLength = source.encoding === 'identity' && req.headers['content-length']
+      ? parseInt(req.headers['content-length'], 10)
+      : null;
+
+    if (contentLength !== null && contentLength > config.limit) {
+      return next(createError('Request body too large', 'entity.too.large', 413, {
+        expected: contentLength,
+        limit: config.limit
+      }));
+    }
+
+    parseForm(req, source.stream, boundary, config, selection)
+      .then(({ body, files }) => {
+        req.body = body;
+
+        if (selection.result === 'single') {
+          req.file = files[0];
+        } else if (selection.result === 'fields') {
+          req.files = {};
+          for (const file of files) {
+            (req.files[file.fieldname] = req.files[file.fieldname] || []).push(file);
+          }
+        } else if (selection.result === 'array') {
+          req.files = files;
+        }
+
+        next();
+      })
+      .catch(next);
+  };
+}
+
+/**
+ * Read and parse the whole form
+ *
+ * @param {Object} req - Request
+ * @param {Stream} stream - Body stream: req itself, or its decompressor
+ * @returns {Promise<{body: Object, files: Object[]}>} Fields and stored files
+ */
+function parseForm(req, stream, boundary, config, selection) {
+  const parser = new MultipartParser(boundary);
+  const form = {
+    req,
+    config,
+    selection,
+    body: {},
+    files: [],
+    // Paths written so far, removed on failure
+    created: [],
+    counts: { files: 0, fields: 0, perField: {} },
+    part: null
+  };
+
+  return new Promise((resolve, reject) => {
+    let received = 0;
+    let queue = Promise.resolve();
+    let done = false;
+
+    const fail = (err) => {
+      if (done) return;
+      done = true;
+
+      cleanup();
+      // Discard the rest of the body so the response can still be sent
+      if (stream !== req) {
+        req.unpipe(stream);
+        stream.destroy();
+      }
+      req.resume();
+      removeFiles(form).then(() => reject(err));
+    };
+
+    const onData = (chunk) => {
+      received += chunk.length;
+
+      if (received > config.limit) {
+        fail(createError('Request body too large', 'entity.too.large', 413, { received, limit: config.limit }));
+        return;
+      }
+
+      // Hold the stream until this chunk has been stored
+      stream.pause();
+      queue = queue
+        .then(async () => {
+          for (const event of parser.write(chunk)) {
+            await handleEvent(form, event);
+          }
+        })
+        .then(() => {
+          if (!done) stream.resume();
+        }, fail);
+    };
+
+    const onEnd = () => {
+      queue.then(() => {
+        if (done) return;
+        parser.end();
+        done = true;
+        cleanup();
+        resolve({ body: form.body, files: form.files });
+      }).catch(fail);
+    };
+
+    const onError = (err) => {
+      err.type = err.type || 'stream.error';
+      err.statusCode = err.statusCode || 400;
+      fail(err);
+    };
+
+    const onClose = () => {
+      if (!req.complete) {
+        fail(createError('Request aborted', 'request.aborted', 400));
+      }
+    };
+
+    const cleanup = () => {
+      stream.removeListener('data', onData);
+      stream.removeListener('end', onEnd);
+      stream.removeListener('error', onError);
+      req.removeListener('error', onError);
+      req.removeListener('close', onClose);
+    };
+
+    stream.on('data', onData);
+    stream.on('end', onEnd);
+    stream.on('error', onError);
+    if (stream !== req) {
+      req.on('error', onError);
+    }
+    req.on('close', onClose);
+  });
+}
+
+/**
+ * Apply one parser event to the form
+ */
+async function handleEvent(form, event) {
+  switch (event.type) {
+    case 'part':
+      form.part = await startPart(form, event.headers);
+      return;
+
+    case 'data':
+      await writePart(form, form.part, event.data);
+      return;
+
+    case 'partEnd':
+      await endPart(form, form.part);
+      form.part = null;
+      return;
+  }
+}
+
+/**
+ * Set up storage for a new part
+ */
+async function startPart(form, headers) {
+  const { config, selection, counts } = form;
+  const disposition = parseDisposition(headers['content-disposition']);
+
+  if (!disposition || disposition.type !== 'form-data' || !disposition.params.name) {
+    throw createError('Multipart part without a form-data name', 'multipart.parse.failed', 400);
+  }
+
+  const name = disposition.params.name;
+
+  // Text field
+  if (disposition.params.filename === undefined) {
+    if (++counts.fields > config.fields) {
+      throw createError('Too many fields', 'fields.limit.exceeded', 413, { limit: config.fields });
+    }
+    return { kind: 'field', name, chunks: [], size: 0 };
+  }
+
+  // A file input left empty
+  if (disposition.params.filename === '') {
+    return { kind: 'skip' };
+  }
+
+  if (++counts.files > config.files) {
+    throw createError('Too many files', 'files.limit.exceeded', 413, { limit: config.files });
+  }
+
+  counts.perField[name] = (counts.perField[name] || 0) + 1;
+  const max = selection.any ? Infinity : selection.allowed[name];
+  if (max === undefined || counts.perField[name] > max) {
+    throw createError(`Unexpected file field: ${name}`, 'file.unexpected', 400, { field: name });
+  }
+
+  const file = {
+    fieldname: name,
+    originalname: sanitizeFilename(disposition.params.filename),
+    encoding: headers['content-transfer-encoding'] || '7bit',
+    mimetype: headers['content-type'] || 'application/octet-stream',
+    size: 0
+  };
+
+  if (config.fileFilter && !(await config.fileFilter(form.req, file))) {
+    return { kind: 'skip' };
+  }
+
+  const part = { kind: 'file', file, chunks: [], stream: null, head: config.sniff ? [] : null, headSize: 0 };
+
+  if (config.dest) {
+    file.destination = config.dest;
+    file.filename = sanitizeFilename(await config.filename(form.req, file));
+    file.path = path.join(config.dest, file.filename);
+
+    // 'wx': never overwrite an existing file
+    part.stream = fs.createWriteStream(file.path, { flags: 'wx' });
+    part.stream.on('error', () => {});
+    form.created.push(part);
+  }
+
+  return part;
+}
+
+/**
+ * Store a chunk of the current part
+ */
+async function writePart(form, part, data) {
+  const { config } = form;
+
+  if (part.kind === 'skip') return;
+
+  if (part.kind === 'field') {
+    part.size += data.length;
+    if (part.size > config.fieldSize) {
+      throw createError(`Field too large: ${part.name}`, 'field.too.large', 413, { field: part.name, limit: config.fieldSize });
+    }
+    part.chunks.push(data);
+    return;
+  }
+
+  part.file.size += data.length;
+  if (part.file.size > config.fileSize) {
+    throw createError(`File too large: ${part.file.originalname}`, 'file.too.large', 413, {
+      field: part.file.fieldname,
+      limit: config.fileSize
+    });
+  }
+
+  // Collect the first bytes for the sniff hook before storing anything
+  if (part.head) {
+    part.head.push(data);
+    part.headSize += data.length;
+    if (part.headSize < SNIFF_BYTES) return;
+    data = await runSniff(config, part);
+  }
+
+  await storeChunk(part, data);
+}
+
+/**
+ * Finish the current part
+ */
+async function endPart(form, part) {
+  if (part.kind === 'skip') return;
+
+  if (part.kind === 'field') {
+    appendField(form.body, part.name, Buffer.concat(part.chunks).toString('utf8'));
+    return;
+  }
+
+  if (part.head) {
+    await storeChunk(part, await runSniff(form.config, part));
+  }
+
+  if (part.stream) {
+    await new Promise((resolve, reject) => {
+      part.stream.end((err) => err ? reject(err) : resolve());
+    });
+  } else {
+    part.file.buffer = Buffer.concat(part.chunks);
+  }
+
+  form.files.push(part.file);
+}
+
+/**
+ * Call the sniff hook with the collected head; returns the bytes to store
+ */
+async function runSniff(config, part) {
+  const head = Buffer.concat(part.head);
+  part.head = null;
+
+  const result = await config.sniff(part.file, head.subarray(0, SNIFF_BYTES));
+
+  if (result === false) {
+    throw createError(`File type not allowed: ${part.file.originalname}`, 'file.type.rejected', 415, {
+      field: part.file.fieldname
+    });
+  }
+
+  if (typeof result === 'string') {
+    part.file.mimetype = result;
+  }
+
+  return head;
+}
+
+/**
+ * Write bytes to disk or memory
+ */
+function storeChunk(part, data) {
+  if (!part.stream) {
+    part.chunks.push(data);
+    return Promise.resolve();
+  }
+
+  return new Promise((resolve, reject) => {
+    part.stream.write(data, (err) => err ? reject(err) : resolve());
+  });
+}
+
+/**
+ * Add a field to the body; repeated names become arrays
+ */
+function appendField(body, name, value) {
+  if (name === '__proto__') return;
+
+  if (!Object.prototype.hasOwnProperty.call(body, name)) {
+    body[name] = value;
+  } else if (Array.isArray(body[name])) {
+    body[name].push(value);
+  } else {
+    body[name] = [body[name], value];
+  }
+}
+
+/**
+ * Remove the files written for a failed request
+ */
+async function removeFiles(form) {
+  await Promise.all(form.created.map(async (part) => {
+    if (!part.stream.closed) {
+      part.stream.destroy();
+      await new Promise(resolve => part.stream.once('close', resolve));
+    }
+    await fs.promises.unlink(part.file.path).catch(() => {});
+  }));
+}
+
+module.exports = multipart;
+module.exports.multipart = multipart;
+module.exports.MultipartParser = MultipartParser;
+module.exports.parseDisposition = parseDisposition;
+module.exports.sanitizeFilename = sanitizeFilename;
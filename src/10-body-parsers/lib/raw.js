@@ -16,6 +16,10 @@ const { parseBytes } = require('./bytes');
  *
  * @param {Object} options - Parser options
  * @param {string|number} [options.limit='100kb'] - Max body size
+ * @param {boolean} [options.inflate=true] - Decompress gzip, deflate and br bodies
+ * @param {Function} [options.verify] - fn(req, res, buf, encoding) to check the
+ *   raw bytes; throw to reject the request with 403 (entity.verify.failed)
+ * @param {boolean} [options.rawBody=false] - Keep the raw bytes as req.rawBody
  * @param {string|string[]|Function} [options.type='application/octet-stream'] - Content types
  * @returns {Function} Express middleware
  *
@@ -29,6 +33,9 @@ const { parseBytes } = require('./bytes');
 function raw(options = {}) {
   const {
     limit = '100kb',
+    inflate = true,
+    verify,
+    rawBody = false,
     type = 'application/octet-stream'
   } = options;
 
@@ -59,7 +66,11 @@ function raw(options = {}) {
     // Read body as buffer
     readBody(req, {
       limit: bytesLimit,
-      length: contentLength
+      length: contentLength,
+      inflate,
+      verify,
+      rawBody,
+      res
     })
       .then(buffer => {
         req.body = buffer;
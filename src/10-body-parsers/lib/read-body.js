@@ -2,13 +2,58 @@
  * Body Reader
  *
  * Reads the request body stream into a buffer.
- * Handles Content-Length validation and size limits.
+ * Handles Content-Encoding, Content-Length validation and size limits.
  */
 
 'use strict';
 
+const zlib = require('node:zlib');
 const { parseBytes } = require('./bytes');
 
+// Content-Encoding -> decompressor
+const DECODERS = {
+  gzip: () => zlib.createGunzip(),
+  'x-gzip': () => zlib.createGunzip(),
+  deflate: () => zlib.createInflate(),
+  br: () => zlib.createBrotliDecompress()
+};
+
+/**
+ * Get the stream to read the body from, decompressing it if needed
+ *
+ * @param {Object} req - HTTP request object
+ * @param {boolean} [inflate=true] - Decompress gzip, deflate and br bodies
+ * @returns {{stream: Stream, encoding: string}} Body stream and its coding
+ * @throws {Error} 415 (encoding.unsupported) for a coding that cannot be
+ *   read, or any coding when inflate is false
+ */
+function contentStream(req, inflate = true) {
+  const encoding = (req.headers['content-encoding'] || 'identity').trim().toLowerCase();
+
+  if (encoding === 'identity') {
+    return { stream: req, encoding };
+  }
+
+  if (!inflate || !DECODERS[encoding]) {
+    const err = new Error(`Unsupported content encoding "${encoding}"`);
+    err.type = 'encoding.unsupported';
+    err.statusCode = 415;
+    err.encoding = encoding;
+    throw err;
+  }
+
+  const stream = DECODERS[encoding]();
+
+  // Report corrupt data as a client error
+  stream.on('error', (err) => {
+    err.type = 'encoding.invalid';
+    err.statusCode = 400;
+  });
+
+  req.pipe(stream);
+  return { stream, encoding };
+}
+
 /**
  * Read request body into a buffer
  *
@@ -16,12 +61,56 @@ const { parseBytes } = require('./bytes');
  * @param {Object} options - Reading options
  * @param {number|string} [options.limit='100kb'] - Maximum body size
  * @param {number|null} [options.length] - Expected Content-Length
+ * @param {boolean} [options.inflate=true] - Decompress gzip, deflate and br
+ *   bodies; the limit then applies to the decompressed size
+ * @param {Function} [options.verify] - fn(req, res, buf, encoding), called
+ *   with the (decompressed) bytes before they are decoded; throwing (or
+ *   rejecting) fails the request with 403 (entity.verify.failed)
+ * @param {Object} [options.res] - Response, passed to verify
+ * @param {string} [options.charset] - Charset, passed to verify as encoding
+ * @param {boolean} [options.rawBody=false] - Keep the bytes as req.rawBody
  * @returns {Promise<Buffer>} Body as buffer
  */
-function readBody(req, options = {}) {
+async function readBody(req, options = {}) {
+  const buffer = await receiveBody(req, options);
+
+  if (options.verify) {
+    try {
+      await options.verify(req, options.res, buffer, options.charset || null);
+    } catch (err) {
+      const error = err instanceof Error ? err : new Error(String(err));
+      error.type = error.type || 'entity.verify.failed';
+      error.statusCode = error.statusCode || 403;
+      throw error;
+    }
+  }
+
+  if (options.rawBody) {
+    req.rawBody = buffer;
+  }
+
+  return buffer;
+}
+
+/**
+ * Collect the body stream, enforcing the limit
+ */
+function receiveBody(req, options) {
   return new Promise((resolve, reject) => {
     const limit = parseBytes(options.limit) || parseBytes('100kb');
-    const expectedLength = options.length;
+
+    let source;
+    try {
+      source = contentStream(req, options.inflate);
+    } catch (err) {
+      return reject(err);
+    }
+
+    const stream = source.stream;
+    const encoding = source.encoding;
+
+    // Content-Length counts compressed bytes; only the output size matters
+    const expectedLength = encoding === 'identity' ? options.length : null;
 
     // Validate Content-Length if present
     if (expectedLength !== undefined && expectedLength !== null) {
@@ -54,6 +143,7 @@ function readBody(req, options = {}) {
         err.received = received;
         err.limit = limit;
         cleanup();
+        stopInflating();
         reject(err);
         return;
       }
@@ -89,6 +179,7 @@ function readBody(req, options = {}) {
       done = true;
 
       cleanup();
+      stopInflating();
 
       err.type = err.type || 'stream.error';
       err.statusCode = err.statusCode || 400;
@@ -97,7 +188,8 @@ function readBody(req, options = {}) {
 
     // Handle aborted request
     const onAborted = () => {
-      if (done) return;
+      // The request closes before the decompressor has finished
+      if (done || req.complete) return;
       done = true;
 
       cleanup();
@@ -108,37 +200,126 @@ function readBody(req, options = {}) {
       reject(err);
     };
 
+    // Stop decompressing (a small body may expand without bound) and
+    // discard the rest of the request
+    const stopInflating = () => {
+      if (stream === req) return;
+      req.unpipe(stream);
+      stream.destroy();
+      req.resume();
+    };
+
     // Cleanup listeners
     const cleanup = () => {
-      req.removeListener('data', onData);
-      req.removeListener('end', onEnd);
+      stream.removeListener('data', onData);
+      stream.removeListener('end', onEnd);
+      stream.removeListener('error', onError);
       req.removeListener('error', onError);
       req.removeListener('close', onAborted);
     };
 
     // Attach listeners
-    req.on('data', onData);
-    req.on('end', onEnd);
-    req.on('error', onError);
+    stream.on('data', onData);
+    stream.on('end', onEnd);
+    stream.on('error', onError);
+    if (stream !== req) {
+      req.on('error', onError);
+    }
     req.on('close', onAborted);
   });
 }
 
+// windows-1252 code points for bytes 0x80-0x9F (undefined ones map to
+// themselves). Some Node versions decode windows-1252 as ISO-8859-1 and
+// return C1 control characters for this range instead.
+const WINDOWS_1252 = '\u20ac\x81\u201a\u0192\u201e\u2026\u2020\u2021\u02c6\u2030\u0160\u2039\u0152\x8d\u017d\x8f' +
+  '\x90\u2018\u2019\u201c\u201d\u2022\u2013\u2014\u02dc\u2122\u0161\u203a\u0153\x9d\u017e\u0178';
+
+const NATIVE_WINDOWS_1252 = new TextDecoder('windows-1252').decode(Buffer.from([0x80])) === '\u20ac';
+
+/**
+ * Get a decoder for a charset
+ *
+ * Accepts any label the WHATWG Encoding Standard knows (utf-8, latin1,
+ * windows-1252, shift_jis, ...); labels are compared by the encoding
+ * they name, so 'latin1' matches an allow-list entry 'iso-8859-1'.
+ *
+ * @param {string} [charset='utf-8'] - Charset label
+ * @param {string[]} [allowed] - Allowed charsets; any if omitted
+ * @returns {{encoding: string, decode: Function}} Decoder (a TextDecoder),
+ *   which strips a leading BOM
+ * @throws {Error} 415 (charset.unsupported) for an unknown or disallowed charset
+ *
+ * @example
+ * charsetDecoder('Shift_JIS').decode(buffer);
+ * charsetDecoder('latin1', ['utf-8']); // throws
+ */
+function charsetDecoder(charset = 'utf-8', allowed) {
+  let decoder = null;
+
+  try {
+    decoder = new TextDecoder(charset);
+  } catch (e) {
+    // Unknown label
+  }
+
+  // 'replacement' decodes everything to U+FFFD (e.g. iso-2022-kr)
+  const supported = decoder && decoder.encoding !== 'replacement' &&
+    (!allowed || allowed.some(label => canonicalCharset(label) === decoder.encoding));
+
+  if (!supported) {
+    const err = new Error(`Unsupported charset "${charset.toUpperCase()}"`);
+    err.type = 'charset.unsupported';
+    err.statusCode = 415;
+    err.charset = charset.toLowerCase();
+    throw err;
+  }
+
+  if (decoder.encoding === 'windows-1252' && !NATIVE_WINDOWS_1252) {
+    return {
+      encoding: decoder.encoding,
+      decode: (buffer) => decoder.decode(buffer).replace(/[\x80-\x9f]/g, c => WINDOWS_1252[c.charCodeAt(0) - 0x80])
+    };
+  }
+
+  return decoder;
+}
+
+/**
+ * Name of the encoding a charset label refers to, or null
+ *
+ * @param {string} label - Charset label
+ * @returns {string|null} e.g. 'windows-1252' for 'latin1'
+ */
+function canonicalCharset(label) {
+  try {
+    return new TextDecoder(label).encoding;
+  } catch (e) {
+    return null;
+  }
+}
+
 /**
  * Read body as string
  *
+ * The charset is checked before the body is read.
+ *
  * @param {Object} req - Request object
- * @param {Object} options - Options
- * @param {string} [options.encoding='utf-8'] - Character encoding
- * @returns {Promise<string>} Body as string
+ * @param {Object} options - Options (see readBody)
+ * @param {string} [options.charset='utf-8'] - Character encoding
+ * @param {string[]} [options.charsets] - Allowed charsets
+ * @returns {Promise<string>} Body as string, without a BOM
  */
 async function readBodyAsString(req, options = {}) {
-  const { encoding = 'utf-8' } = options;
+  const decoder = charsetDecoder(options.charset, options.charsets);
   const buffer = await readBody(req, options);
-  return buffer.toString(encoding);
+  return decoder.decode(buffer);
 }
 
 module.exports = {
   readBody,
-  readBodyAsString
+  readBodyAsString,
+  contentStream,
+  charsetDecoder,
+  canonicalCharset
 };
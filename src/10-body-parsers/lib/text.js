@@ -16,7 +16,14 @@ const { parseBytes } = require('./bytes');
  *
  * @param {Object} options - Parser options
  * @param {string|number} [options.limit='100kb'] - Max body size
- * @param {string} [options.defaultCharset='utf-8'] - Default charset
+ * @param {boolean} [options.inflate=true] - Decompress gzip, deflate and br bodies
+ * @param {Function} [options.verify] - fn(req, res, buf, encoding) to check the
+ *   raw bytes; throw to reject the request with 403 (entity.verify.failed)
+ * @param {boolean} [options.rawBody=false] - Keep the raw bytes as req.rawBody
+ * @param {string} [options.defaultCharset='utf-8'] - Charset when the
+ *   Content-Type has none
+ * @param {string[]} [options.charsets] - Allowed charsets (default: any
+ *   TextDecoder supports); others are rejected with 415 (charset.unsupported)
  * @param {string|string[]|Function} [options.type='text/plain'] - Content types
  * @returns {Function} Express middleware
  *
@@ -26,11 +33,18 @@ const { parseBytes } = require('./bytes');
  *
  * // Parse all text types
  * app.use(text({ type: 'text/*' }));
+ *
+ * // Legacy clients that send latin1 without saying so
+ * app.use(text({ defaultCharset: 'windows-1252' }));
  */
 function text(options = {}) {
   const {
     limit = '100kb',
+    inflate = true,
+    verify,
+    rawBody = false,
     defaultCharset = 'utf-8',
+    charsets,
     type = 'text/plain'
   } = options;
 
@@ -65,7 +79,12 @@ function text(options = {}) {
     readBodyAsString(req, {
       limit: bytesLimit,
       length: contentLength,
-      encoding: charset
+      inflate,
+      verify,
+      rawBody,
+      res,
+      charset,
+      charsets
     })
       .then(body => {
         req.body = body;
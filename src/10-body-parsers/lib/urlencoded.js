@@ -7,30 +7,73 @@
 
 'use strict';
 
-const { readBodyAsString } = require('./read-body');
+const { readBodyAsString, charsetDecoder } = require('./read-body');
 const { typeIs, getCharset } = require('./content-type');
 const { parseBytes } = require('./bytes');
 
+// Strategies for repeated keys
+const DUPLICATES = ['combine', 'first', 'last'];
+
+// utf8=✓ percent-encoded as UTF-8, and as the numeric character
+// reference (&#10003;) that browsers send from ISO-8859-1 pages
+const SENTINEL_UTF8 = 'utf8=%E2%9C%93';
+const SENTINEL_ISO = 'utf8=%26%2310003%3B';
+
+// Keys that lead to prototypes when used as a path
+const PROTOTYPE_KEYS = new Set(['__proto__', 'constructor', 'prototype']);
+
 /**
  * Create URL-encoded body parser middleware
  *
  * @param {Object} options - Parser options
- * @param {boolean} [options.extended=true] - Use extended parsing (nested objects)
+ * @param {boolean} [options.extended=true] - Use extended parsing (nested objects);
+ *   the extended options below are passed to parseExtended()
  * @param {string|number} [options.limit='100kb'] - Max body size
+ * @param {boolean} [options.inflate=true] - Decompress gzip, deflate and br bodies
+ * @param {Function} [options.verify] - fn(req, res, buf, encoding) to check the
+ *   raw bytes; throw to reject the request with 403 (entity.verify.failed)
+ * @param {boolean} [options.rawBody=false] - Keep the raw bytes as req.rawBody
  * @param {number} [options.parameterLimit=1000] - Max number of parameters
+ * @param {string} [options.defaultCharset='utf-8'] - Charset when the
+ *   Content-Type has none (browsers omit it; they use the page's charset)
+ * @param {string[]} [options.charsets] - Allowed charsets (default: any
+ *   TextDecoder supports); others are rejected with 415 (charset.unsupported)
+ * @param {number} [options.depth=5] - Extended: max bracket nesting
+ * @param {number} [options.arrayLimit=20] - Extended: max array index
+ * @param {boolean} [options.allowDots=false] - Extended: a.b means a[b]
+ * @param {boolean} [options.allowPrototypes=false] - Extended: allow
+ *   constructor/prototype keys
+ * @param {boolean} [options.parseArrays=true] - Extended: build arrays
+ * @param {string} [options.duplicates='combine'] - Extended: repeated keys
+ *   ('combine', 'first' or 'last')
+ * @param {boolean} [options.charsetSentinel=false] - Extended: pick the
+ *   charset from a utf8=✓ field
  * @param {string|string[]|Function} [options.type='application/x-www-form-urlencoded'] - Content types
  * @returns {Function} Express middleware
+ *
+ * @example
+ * app.use(urlencoded({ extended: true, depth: 2, allowDots: true }));
  */
 function urlencoded(options = {}) {
   const {
     extended = true,
     limit = '100kb',
+    inflate = true,
+    verify,
+    rawBody = false,
     parameterLimit = 1000,
+    defaultCharset = 'utf-8',
+    charsets,
     type = 'application/x-www-form-urlencoded'
   } = options;
 
   const bytesLimit = parseBytes(limit);
 
+  // Checked now rather than on the first request
+  if (extended) {
+    parseExtended('', options);
+  }
+
   return function urlencodedParser(req, res, next) {
     // Skip if body already parsed
     if (req.body !== undefined) {
@@ -49,7 +92,7 @@ function urlencoded(options = {}) {
     }
 
     // Get charset
-    const charset = getCharset(req.headers['content-type']) || 'utf-8';
+    const charset = getCharset(req.headers['content-type']) || defaultCharset;
 
     // Get content length
     const contentLength = req.headers['content-length']
@@ -60,7 +103,12 @@ function urlencoded(options = {}) {
     readBodyAsString(req, {
       limit: bytesLimit,
       length: contentLength,
-      encoding: charset
+      inflate,
+      verify,
+      rawBody,
+      res,
+      charset,
+      charsets
     })
       .then(body => {
         // Handle empty body
@@ -72,12 +120,17 @@ function urlencoded(options = {}) {
         // Parse URL-encoded data
         try {
           if (extended) {
-            req.body = parseExtended(body, { parameterLimit });
+            req.body = parseExtended(body, { ...options, parameterLimit, charset });
           } else {
-            req.body = parseSimple(body, { parameterLimit });
+            req.body = parseSimple(body, { parameterLimit, charset });
           }
           next();
         } catch (e) {
+          // Keep typed errors such as parameters.too.many
+          if (e.type) {
+            return next(e);
+          }
+
           const err = new Error('Invalid URL-encoded data');
           err.type = 'entity.parse.failed';
           err.statusCode = 400;
@@ -94,10 +147,14 @@ function urlencoded(options = {}) {
  *
  * @param {string} body - URL-encoded body
  * @param {Object} options - Parse options
+ * @param {number} [options.parameterLimit=1000] - Max number of parameters
+ * @param {string} [options.charset='utf-8'] - Charset of percent-escapes
+ * @param {Function} [options.decode] - Decodes keys and values (overrides charset)
  * @returns {Object} Parsed data
  */
 function parseSimple(body, options = {}) {
-  const { parameterLimit = 1000 } = options;
+  const { parameterLimit = 1000, charset = 'utf-8' } = options;
+  const decode = options.decode || componentDecoder(charset);
   const result = {};
   const pairs = body.split('&');
 
@@ -115,15 +172,17 @@ function parseSimple(body, options = {}) {
     let key, value;
 
     if (idx === -1) {
-      key = decodeURIComponent(pair);
+      key = decode(pair);
       value = '';
     } else {
-      key = decodeURIComponent(pair.slice(0, idx));
-      value = decodeURIComponent(pair.slice(idx + 1));
+      key = decode(pair.slice(0, idx));
+      value = decode(pair.slice(idx + 1));
     }
 
+    if (key === '__proto__') continue;
+
     // Handle duplicate keys - convert to array
-    if (key in result) {
+    if (hasOwn(result, key)) {
       if (Array.isArray(result[key])) {
         result[key].push(value);
       } else {
@@ -141,9 +200,31 @@ function parseSimple(body, options = {}) {
  * Extended URL-encoded parser (like qs module)
  * Supports nested objects and arrays
  *
+ * Bracket keys come from the client, so the shape they build is bounded:
+ * nesting stops at `depth` (the rest of the key is kept as one literal
+ * segment), indexes above `arrayLimit` turn the array into an object
+ * instead of allocating a huge sparse array, and keys that reach
+ * prototypes (__proto__, constructor, prototype) are dropped.
+ *
  * @param {string} body - URL-encoded body
  * @param {Object} options - Parse options
+ * @param {number} [options.parameterLimit=1000] - Max number of parameters
+ * @param {number} [options.depth=5] - Max bracket nesting
+ * @param {number} [options.arrayLimit=20] - Max array index
+ * @param {boolean} [options.allowDots=false] - Treat a.b like a[b]
+ * @param {boolean} [options.allowPrototypes=false] - Allow constructor and
+ *   prototype keys (__proto__ is always dropped)
+ * @param {boolean} [options.parseArrays=true] - Build arrays from [] and
+ *   [0]; false makes them object keys
+ * @param {string} [options.duplicates='combine'] - Repeated keys: 'combine'
+ *   into an array, keep the 'first' or the 'last' value
+ * @param {string} [options.charset='utf-8'] - Charset of percent-escapes
+ * @param {boolean} [options.charsetSentinel=false] - Take the charset from a
+ *   utf8=✓ field (which is dropped), as sent by forms that include one
+ * @param {Function} [options.decode] - Decodes keys and values (overrides
+ *   charset and charsetSentinel)
  * @returns {Object} Parsed data
+ * @throws {TypeError} For invalid options
  *
  * @example
  * parseExtended('user[name]=John&user[age]=30')
@@ -151,9 +232,32 @@ function parseSimple(body, options = {}) {
  *
  * parseExtended('colors[]=red&colors[]=blue')
  * // => { colors: ['red', 'blue'] }
+ *
+ * parseExtended('a.b=1', { allowDots: true })
+ * // => { a: { b: '1' } }
  */
 function parseExtended(body, options = {}) {
-  const { parameterLimit = 1000 } = options;
+  const {
+    parameterLimit = 1000,
+    depth = 5,
+    arrayLimit = 20,
+    allowDots = false,
+    allowPrototypes = false,
+    parseArrays = true,
+    duplicates = 'combine',
+    charset = 'utf-8',
+    charsetSentinel = false
+  } = options;
+
+  if (!DUPLICATES.includes(duplicates)) {
+    throw new TypeError(`duplicates must be one of ${DUPLICATES.join(', ')}: ${duplicates}`);
+  }
+
+  if (!(depth >= 0) || !(arrayLimit >= 0)) {
+    throw new TypeError('depth and arrayLimit must be non-negative numbers');
+  }
+
+  const settings = { depth, arrayLimit, allowDots, allowPrototypes, parseArrays, duplicates };
   const result = {};
   const pairs = body.split('&');
 
@@ -164,137 +268,232 @@ function parseExtended(body, options = {}) {
     throw err;
   }
 
+  let decode = options.decode;
+  if (!decode) {
+    let formCharset = charset;
+
+    if (charsetSentinel) {
+      const sentinel = pairs.find(pair => pair.startsWith('utf8='));
+      if (sentinel === SENTINEL_UTF8) {
+        formCharset = 'utf-8';
+      } else if (sentinel === SENTINEL_ISO) {
+        formCharset = 'iso-8859-1';
+      }
+    }
+
+    decode = componentDecoder(formCharset);
+  }
+
   for (const pair of pairs) {
     if (!pair) continue;
 
+    if (charsetSentinel && pair.startsWith('utf8=')) continue;
+
     const idx = pair.indexOf('=');
     let key, value;
 
     if (idx === -1) {
-      key = decodeURIComponent(pair);
+      key = decode(pair);
       value = '';
     } else {
-      key = decodeURIComponent(pair.slice(0, idx));
-      value = decodeURIComponent(pair.slice(idx + 1));
+      key = decode(pair.slice(0, idx));
+      value = decode(pair.slice(idx + 1));
     }
 
-    // Parse nested keys like user[name] or items[]
-    setNestedValue(result, key, value);
+    const segments = splitKey(key, settings);
+    if (segments) {
+      setNestedValue(result, segments, value, settings);
+    }
   }
 
-  return result;
+  return compact(result);
 }
 
 /**
- * Set a nested value in an object using bracket notation
+ * Get the function that decodes keys and values of a form
+ *
+ * '+' stands for a space. Percent-escapes stand for bytes in the form's
+ * charset: '%E9' is 'é' in a windows-1252 form but invalid UTF-8. Runs
+ * of escapes are collected into bytes and decoded together.
+ *
+ * @param {string} charset - Charset of the form
+ * @returns {Function} fn(string) => decoded string
+ *
+ * @example
+ * componentDecoder('latin1')('caf%E9')  // => 'café'
+ */
+function componentDecoder(charset) {
+  const decoder = charsetDecoder(charset);
+
+  if (decoder.encoding === 'utf-8') {
+    return (str) => decodeURIComponent(str.replace(/\+/g, ' '));
+  }
+
+  return (str) => str.replace(/\+/g, ' ').replace(/(?:%[0-9a-fA-F]{2})+/g, (run) => {
+    return decoder.decode(Buffer.from(run.replace(/%/g, ''), 'hex'));
+  });
+}
+
+/**
+ * Split a key into its path segments
+ *
+ * @param {string} key - Decoded key, e.g. 'user[address][city]'
+ * @param {Object} settings - Parse settings
+ * @returns {string[]|null} Segments, or null if the key must be dropped
+ *
+ * @example
+ * splitKey('a[b][]', settings)       // => ['a', 'b', '']
+ * splitKey('a[b][c][d]', { depth: 2 }) // => ['a', 'b', 'c', '[d]']
+ */
+function splitKey(key, settings) {
+  if (settings.allowDots) {
+    key = key.replace(/\.([^.[]+)/g, '[$1]');
+  }
+
+  const open = key.indexOf('[');
+  let segments = [key];
+
+  if (open > 0) {
+    const regex = /\[([^[\]]*)\]/g;
+    regex.lastIndex = open;
+    segments = [key.slice(0, open)];
+
+    let rest = open;
+    let match;
+
+    while (segments.length <= settings.depth && (match = regex.exec(key)) !== null && match.index === rest) {
+      segments.push(match[1]);
+      rest = regex.lastIndex;
+    }
+
+    if (segments.length === 1) {
+      // No well-formed bracket: the key is literal
+      segments = [key];
+    } else if (rest < key.length) {
+      // Deeper than allowed (or trailing text): keep the rest as is
+      segments.push(key.slice(rest));
+    }
+  }
+
+  for (const segment of segments) {
+    if (segment === '__proto__') return null;
+    if (!settings.allowPrototypes && PROTOTYPE_KEYS.has(segment)) return null;
+  }
+
+  return segments;
+}
+
+/**
+ * Set a nested value in an object along a key path
  *
  * @param {Object} obj - Target object
- * @param {string} key - Key with possible bracket notation
- * @param {*} value - Value to set
+ * @param {string[]} segments - Path from splitKey()
+ * @param {string} value - Value to set
+ * @param {Object} settings - Parse settings
  */
-function setNestedValue(obj, key, value) {
-  // Check for bracket notation
-  const bracketIndex = key.indexOf('[');
-
-  if (bracketIndex === -1) {
-    // Simple key
-    if (key in obj) {
-      if (Array.isArray(obj[key])) {
-        obj[key].push(value);
+function setNestedValue(obj, segments, value, settings) {
+  let parent = null;
+  let parentKey = null;
+  let current = obj;
+
+  for (let i = 0; i < segments.length; i++) {
+    let key = segments[i];
+
+    if (Array.isArray(current)) {
+      const index = key === '' ? current.length : toIndex(key);
+
+      if (index === -1 || index > settings.arrayLimit) {
+        // Not a usable index: the array becomes an object
+        const length = current.length;
+        current = Object.assign({}, current);
+        parent[parentKey] = current;
+        key = key === '' ? String(length) : key;
       } else {
-        obj[key] = [obj[key], value];
+        key = index;
       }
-    } else {
-      obj[key] = value;
+    } else if (key === '') {
+      // a[x]=1&a[]=2: push onto an object
+      key = String(Object.keys(current).length);
     }
-    return;
-  }
 
-  // Parse bracket notation
-  const rootKey = key.slice(0, bracketIndex);
-  const path = parseBrackets(key.slice(bracketIndex));
+    if (i === segments.length - 1) {
+      setValue(current, key, value, settings.duplicates);
+      return;
+    }
 
-  if (!(rootKey in obj)) {
-    // Determine if first level should be array or object
-    if (path[0] === '' || !isNaN(parseInt(path[0], 10))) {
-      obj[rootKey] = [];
-    } else {
-      obj[rootKey] = {};
+    let child = hasOwn(current, key) ? current[key] : undefined;
+
+    if (child === undefined) {
+      child = isArrayKey(segments[i + 1], settings) ? [] : {};
+      current[key] = child;
+    } else if (typeof child !== 'object') {
+      // Already a plain value (a=1&a[b]=2): keep it
+      return;
     }
+
+    parent = current;
+    parentKey = key;
+    current = child;
   }
+}
 
-  // Navigate and set value
-  let current = obj[rootKey];
-  for (let i = 0; i < path.length - 1; i++) {
-    const segment = path[i];
-    const nextSegment = path[i + 1];
-
-    if (segment === '') {
-      // Array push - get next available index
-      const idx = current.length;
-      if (nextSegment === '' || !isNaN(parseInt(nextSegment, 10))) {
-        current[idx] = [];
-      } else {
-        current[idx] = {};
-      }
-      current = current[idx];
-    } else if (!isNaN(parseInt(segment, 10))) {
-      // Numeric index
-      const idx = parseInt(segment, 10);
-      if (current[idx] === undefined) {
-        if (nextSegment === '' || !isNaN(parseInt(nextSegment, 10))) {
-          current[idx] = [];
-        } else {
-          current[idx] = {};
-        }
-      }
-      current = current[idx];
+/**
+ * Set a leaf value, resolving repeated keys
+ */
+function setValue(container, key, value, duplicates) {
+  if (!hasOwn(container, key) || container[key] === undefined || duplicates === 'last') {
+    container[key] = value;
+  } else if (duplicates === 'combine') {
+    if (Array.isArray(container[key])) {
+      container[key].push(value);
     } else {
-      // Object key
-      if (current[segment] === undefined) {
-        if (nextSegment === '' || !isNaN(parseInt(nextSegment, 10))) {
-          current[segment] = [];
-        } else {
-          current[segment] = {};
-        }
-      }
-      current = current[segment];
+      container[key] = [container[key], value];
     }
   }
+}
 
-  // Set final value
-  const lastSegment = path[path.length - 1];
-  if (lastSegment === '') {
-    // Array push
-    current.push(value);
-  } else if (!isNaN(parseInt(lastSegment, 10))) {
-    current[parseInt(lastSegment, 10)] = value;
-  } else {
-    current[lastSegment] = value;
-  }
+/**
+ * Check whether a segment should create an array
+ */
+function isArrayKey(segment, settings) {
+  if (!settings.parseArrays) return false;
+  if (segment === '') return true;
+
+  const index = toIndex(segment);
+  return index !== -1 && index <= settings.arrayLimit;
 }
 
 /**
- * Parse bracket notation into path segments
- *
- * @param {string} brackets - Bracket portion of key
- * @returns {string[]} Path segments
+ * Parse a canonical array index ('0', '12' but not '01' or '-1')
  *
- * @example
- * parseBrackets('[name]')     // => ['name']
- * parseBrackets('[0][name]')  // => ['0', 'name']
- * parseBrackets('[]')         // => ['']
+ * @returns {number} Index, or -1
  */
-function parseBrackets(brackets) {
-  const path = [];
-  const regex = /\[([^\]]*)\]/g;
-  let match;
+function toIndex(segment) {
+  return /^(?:0|[1-9]\d{0,8})$/.test(segment) ? Number(segment) : -1;
+}
 
-  while ((match = regex.exec(brackets)) !== null) {
-    path.push(match[1]);
+/**
+ * Remove holes left in arrays by sparse indexes (a[1]=x&a[5]=y)
+ */
+function compact(value) {
+  if (Array.isArray(value)) {
+    return value.filter(item => item !== undefined).map(compact);
   }
 
-  return path;
+  if (value !== null && typeof value === 'object') {
+    for (const key of Object.keys(value)) {
+      value[key] = compact(value[key]);
+    }
+  }
+
+  return value;
+}
+
+/**
+ * Own-property check that works for any key
+ */
+function hasOwn(obj, key) {
+  return Object.prototype.hasOwnProperty.call(obj, key);
 }
 
 /**
@@ -319,3 +518,4 @@ module.exports = urlencoded;
 module.exports.urlencoded = urlencoded;
 module.exports.parseSimple = parseSimple;
 module.exports.parseExtended = parseExtended;
+module.exports.componentDecoder = componentDecoder;
@@ -4,12 +4,17 @@
 
 'use strict';
 
-const { describe, it, beforeEach, after } = require('node:test');
+const { describe, it, beforeEach, afterEach, after } = require('node:test');
 const assert = require('node:assert');
 const http = require('node:http');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const zlib = require('node:zlib');
+const crypto = require('node:crypto');
 
 const createApp = require('../lib/index');
-const { json, urlencoded, raw, text } = require('../lib/index');
+const { json, urlencoded, raw, text, multipart, verifyHmac } = require('../lib/index');
 
 // Helper to make HTTP requests with body
 function request(options, body = null) {
@@ -43,6 +48,31 @@ function request(options, body = null) {
   });
 }
 
+// Helper to build a multipart/form-data body
+function buildForm(parts, boundary = '----TestBoundary7MA4YWxkTrZu0gW') {
+  const chunks = [];
+
+  for (const part of parts) {
+    let disposition = `form-data; name="${part.name}"`;
+    if (part.filename !== undefined) {
+      disposition += `; filename="${part.filename}"`;
+    }
+
+    chunks.push(Buffer.from(`--${boundary}\r\nContent-Disposition: ${disposition}\r\n`));
+    if (part.type) {
+      chunks.push(Buffer.from(`Content-Type: ${part.type}\r\n`));
+    }
+    chunks.push(Buffer.from('\r\n'), Buffer.from(part.value), Buffer.from('\r\n'));
+  }
+
+  chunks.push(Buffer.from(`--${boundary}--\r\n`));
+
+  return {
+    body: Buffer.concat(chunks),
+    contentType: `multipart/form-data; boundary=${boundary}`
+  };
+}
+
 describe('Body Parsers', () => {
   let app;
   let server;
@@ -335,6 +365,66 @@ describe('Body Parsers', () => {
       assert.strictEqual(res.body.received.message, 'Hello World!');
       assert.strictEqual(res.body.received.email, 'test@example.com');
     });
+
+    it('should apply the extended parsing options', async () => {
+      app.use(urlencoded({ extended: true, depth: 1, allowDots: true, duplicates: 'last' }));
+      app.post('/test', (req, res) => {
+        res.json({ received: req.body });
+      });
+
+      server = app.listen(0);
+      port = server.address().port;
+
+      const body = 'user.name=John&user.name=Jane&a[b][c]=deep&__proto__[admin]=true';
+      const res = await request({
+        hostname: 'localhost',
+        port,
+        path: '/test',
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/x-www-form-urlencoded',
+          'Content-Length': Buffer.byteLength(body)
+        }
+      }, body);
+
+      server.close();
+
+      assert.strictEqual(res.statusCode, 200);
+      assert.deepStrictEqual(res.body.received, {
+        user: { name: 'Jane' },
+        a: { b: { '[c]': 'deep' } }
+      });
+    });
+
+    it('should return 413 for too many parameters', async () => {
+      app.use(urlencoded({ parameterLimit: 2 }));
+      app.post('/test', (req, res) => {
+        res.json({ received: req.body });
+      });
+      app.use((err, req, res, next) => {
+        res.status(err.statusCode).json({ type: err.type });
+      });
+
+      server = app.listen(0);
+      port = server.address().port;
+
+      const body = 'a=1&b=2&c=3';
+      const res = await request({
+        hostname: 'localhost',
+        port,
+        path: '/test',
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/x-www-form-urlencoded',
+          'Content-Length': Buffer.byteLength(body)
+        }
+      }, body);
+
+      server.close();
+
+      assert.strictEqual(res.statusCode, 413);
+      assert.strictEqual(res.body.type, 'parameters.too.many');
+    });
   });
 
   describe('Raw Parser', () => {
@@ -522,4 +612,643 @@ describe('Body Parsers', () => {
       assert.strictEqual(res.body.received, 'plain text format');
     });
   });
+
+  describe('Charsets', () => {
+    const post = (contentType, body) => request({
+      hostname: 'localhost',
+      port,
+      path: '/test',
+      method: 'POST',
+      headers: {
+        'Content-Type': contentType,
+        'Content-Length': body.length
+      }
+    }, body);
+
+    const errorHandler = (err, req, res, next) => {
+      res.status(err.statusCode || 500).json({ type: err.type, charset: err.charset });
+    };
+
+    it('should decode text in the declared charset', async () => {
+      app.use(text());
+      app.post('/test', (req, res) => {
+        res.json({ received: req.body });
+      });
+
+      server = app.listen(0);
+      port = server.address().port;
+
+      const latin1 = await post('text/plain; charset=windows-1252', Buffer.from([0x63, 0x61, 0x66, 0xe9, 0x20, 0x80]));
+      const sjis = await post('text/plain; charset=Shift_JIS', Buffer.from([0x82, 0xa0, 0x82, 0xa2]));
+
+      server.close();
+
+      assert.strictEqual(latin1.body.received, 'café €');
+      assert.strictEqual(sjis.body.received, 'あい');
+    });
+
+    it('should use defaultCharset when none is declared', async () => {
+      app.use(urlencoded({ defaultCharset: 'iso-8859-1' }));
+      app.post('/test', (req, res) => {
+        res.json({ received: req.body });
+      });
+
+      server = app.listen(0);
+      port = server.address().port;
+
+      const res = await post('application/x-www-form-urlencoded', Buffer.from('name=Ren%E9e&city=K%F6ln'));
+
+      server.close();
+
+      assert.deepStrictEqual(res.body.received, { name: 'Renée', city: 'Köln' });
+    });
+
+    it('should strip a byte order mark', async () => {
+      app.use(json());
+      app.post('/test', (req, res) => {
+        res.json({ received: req.body });
+      });
+
+      server = app.listen(0);
+      port = server.address().port;
+
+      const utf8 = await post('application/json', Buffer.from('﻿{"bom":"utf-8"}'));
+      const utf16 = await post('application/json; charset=utf-16le', Buffer.from('﻿{"bom":"utf-16"}', 'utf16le'));
+
+      server.close();
+
+      assert.deepStrictEqual(utf8.body.received, { bom: 'utf-8' });
+      assert.deepStrictEqual(utf16.body.received, { bom: 'utf-16' });
+    });
+
+    it('should return 415 for unknown or disallowed charsets', async () => {
+      app.use(json());
+      app.use(text({ charsets: ['utf-8', 'iso-8859-1'] }));
+      app.post('/test', (req, res) => {
+        res.json({ received: req.body });
+      });
+      app.use(errorHandler);
+
+      server = app.listen(0);
+      port = server.address().port;
+
+      const unknown = await post('text/plain; charset=klingon', Buffer.from('hi'));
+      const notAllowed = await post('text/plain; charset=shift_jis', Buffer.from('hi'));
+      const jsonLatin1 = await post('application/json; charset=latin1', Buffer.from('{}'));
+      // 'latin1' names the same encoding as the allowed 'iso-8859-1'
+      const alias = await post('text/plain; charset=latin1', Buffer.from([0xe9]));
+
+      server.close();
+
+      assert.strictEqual(unknown.statusCode, 415);
+      assert.deepStrictEqual(unknown.body, { type: 'charset.unsupported', charset: 'klingon' });
+      assert.strictEqual(notAllowed.statusCode, 415);
+      assert.strictEqual(jsonLatin1.statusCode, 415);
+      assert.strictEqual(alias.body.received, 'é');
+    });
+  });
+
+  describe('Content-Encoding', () => {
+    const post = (contentType, encoding, body) => request({
+      hostname: 'localhost',
+      port,
+      path: '/test',
+      method: 'POST',
+      headers: {
+        'Content-Type': contentType,
+        'Content-Encoding': encoding,
+        'Content-Length': body.length
+      }
+    }, body);
+
+    const errorHandler = (err, req, res, next) => {
+      res.status(err.statusCode || 500).json({ type: err.type, encoding: err.encoding });
+    };
+
+    it('should inflate gzip, deflate and br bodies', async () => {
+      app.use(json());
+      app.use(urlencoded());
+      app.use(text());
+      app.post('/test', (req, res) => {
+        res.json({ received: req.body });
+      });
+
+      server = app.listen(0);
+      port = server.address().port;
+
+      const gzip = await post('application/json', 'gzip', zlib.gzipSync('{"format":"gzip"}'));
+      const deflate = await post('application/x-www-form-urlencoded', 'deflate', zlib.deflateSync('format=deflate'));
+      const br = await post('text/plain', 'br', zlib.brotliCompressSync('format=br'));
+
+      server.close();
+
+      assert.deepStrictEqual(gzip.body.received, { format: 'gzip' });
+      assert.deepStrictEqual(deflate.body.received, { format: 'deflate' });
+      assert.strictEqual(br.body.received, 'format=br');
+    });
+
+    it('should apply the limit to the decompressed size', async () => {
+      app.use(raw({ limit: '10kb' }));
+      app.post('/test', (req, res) => {
+        res.json({ length: req.body.length });
+      });
+      app.use(errorHandler);
+
+      server = app.listen(0);
+      port = server.address().port;
+
+      // 1mb of zeros compresses to about 1kb
+      const bomb = zlib.gzipSync(Buffer.alloc(1024 * 1024));
+      const res = await post('application/octet-stream', 'gzip', bomb);
+
+      server.close();
+
+      assert.ok(bomb.length < 10 * 1024);
+      assert.strictEqual(res.statusCode, 413);
+      assert.strictEqual(res.body.type, 'entity.too.large');
+    });
+
+    it('should return 415 for unsupported encodings', async () => {
+      app.use(json());
+      app.post('/test', (req, res) => {
+        res.json({ received: req.body });
+      });
+      app.use(errorHandler);
+
+      server = app.listen(0);
+      port = server.address().port;
+
+      const res = await post('application/json', 'compress', Buffer.from('{}'));
+
+      server.close();
+
+      assert.strictEqual(res.statusCode, 415);
+      assert.deepStrictEqual(res.body, { type: 'encoding.unsupported', encoding: 'compress' });
+    });
+
+    it('should return 415 for compressed bodies when inflate is false', async () => {
+      app.use(json({ inflate: false }));
+      app.post('/test', (req, res) => {
+        res.json({ received: req.body });
+      });
+      app.use(errorHandler);
+
+      server = app.listen(0);
+      port = server.address().port;
+
+      const res = await post('application/json', 'gzip', zlib.gzipSync('{}'));
+      const identity = await post('application/json', 'identity', Buffer.from('{"ok":true}'));
+
+      server.close();
+
+      assert.strictEqual(res.statusCode, 415);
+      assert.strictEqual(res.body.type, 'encoding.unsupported');
+      assert.deepStrictEqual(identity.body.received, { ok: true });
+    });
+
+    it('should return 400 for corrupt compressed data', async () => {
+      app.use(json());
+      app.post('/test', (req, res) => {
+        res.json({ received: req.body });
+      });
+      app.use(errorHandler);
+
+      server = app.listen(0);
+      port = server.address().port;
+
+      const res = await post('application/json', 'gzip', Buffer.from('not gzip at all'));
+
+      server.close();
+
+      assert.strictEqual(res.statusCode, 400);
+      assert.strictEqual(res.body.type, 'encoding.invalid');
+    });
+
+    it('should inflate multipart bodies', async () => {
+      app.post('/test', multipart().single('file'), (req, res) => {
+        res.json({ name: req.body.name, content: req.file.buffer.toString() });
+      });
+
+      server = app.listen(0);
+      port = server.address().port;
+
+      const form = buildForm([
+        { name: 'name', value: 'compressed' },
+        { name: 'file', filename: 'a.txt', value: 'inflated file' }
+      ]);
+      const res = await post(form.contentType, 'gzip', zlib.gzipSync(form.body));
+
+      server.close();
+
+      assert.strictEqual(res.statusCode, 200);
+      assert.deepStrictEqual(res.body, { name: 'compressed', content: 'inflated file' });
+    });
+  });
+
+  describe('Verification', () => {
+    const post = (headers, body) => request({
+      hostname: 'localhost',
+      port,
+      path: '/test',
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'Content-Length': Buffer.byteLength(body),
+        ...headers
+      }
+    }, body);
+
+    const errorHandler = (err, req, res, next) => {
+      res.status(err.statusCode || 500).json({ type: err.type, message: err.message });
+    };
+
+    it('should call verify with the raw bytes and charset', async () => {
+      let seen = null;
+
+      app.use(json({
+        verify: (req, res, buf, encoding) => {
+          seen = { isBuffer: Buffer.isBuffer(buf), text: buf.toString(), encoding, hasRes: typeof res.setHeader === 'function' };
+        }
+      }));
+      app.post('/test', (req, res) => {
+        res.json({ received: req.body });
+      });
+
+      server = app.listen(0);
+      port = server.address().port;
+
+      const res = await post({}, '{"a":1}');
+
+      server.close();
+
+      assert.deepStrictEqual(res.body.received, { a: 1 });
+      assert.deepStrictEqual(seen, { isBuffer: true, text: '{"a":1}', encoding: 'utf-8', hasRes: true });
+    });
+
+    it('should reject with 403 when verify throws', async () => {
+      app.use(raw({
+        type: 'application/json',
+        verify: (req, res, buf, encoding) => {
+          assert.strictEqual(encoding, null);
+          throw new Error('nope');
+        }
+      }));
+      app.post('/test', (req, res) => {
+        res.json({ reached: true });
+      });
+      app.use(errorHandler);
+
+      server = app.listen(0);
+      port = server.address().port;
+
+      const res = await post({}, '{}');
+
+      server.close();
+
+      assert.strictEqual(res.statusCode, 403);
+      assert.deepStrictEqual(res.body, { type: 'entity.verify.failed', message: 'nope' });
+    });
+
+    it('should keep req.rawBody only when asked', async () => {
+      app.post('/kept', json({ rawBody: true }), (req, res) => {
+        res.json({ raw: req.rawBody.toString() });
+      });
+      app.post('/test', json(), (req, res) => {
+        res.json({ raw: req.rawBody === undefined ? null : 'present' });
+      });
+
+      server = app.listen(0);
+      port = server.address().port;
+
+      const body = '{ "spaced" : true }';
+      const kept = await request({
+        hostname: 'localhost',
+        port,
+        path: '/kept',
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', 'Content-Length': Buffer.byteLength(body) }
+      }, body);
+      const dropped = await post({}, body);
+
+      server.close();
+
+      assert.strictEqual(kept.body.raw, body);
+      assert.strictEqual(dropped.body.raw, null);
+    });
+
+    it('should check HMAC signatures with verifyHmac()', async () => {
+      const secret = 'webhook-secret';
+
+      app.use(json({ verify: verifyHmac({ header: 'X-Hub-Signature-256', secret }) }));
+      app.post('/test', (req, res) => {
+        res.json({ action: req.body.action });
+      });
+      app.use(errorHandler);
+
+      server = app.listen(0);
+      port = server.address().port;
+
+      const body = '{"action":"opened"}';
+      const signature = 'sha256=' + crypto.createHmac('sha256', secret).update(body).digest('hex');
+
+      const valid = await post({ 'X-Hub-Signature-256': signature }, body);
+      const tampered = await post({ 'X-Hub-Signature-256': signature }, '{"action":"closed"}');
+      const missing = await post({}, body);
+
+      server.close();
+
+      assert.strictEqual(valid.statusCode, 200);
+      assert.strictEqual(valid.body.action, 'opened');
+      assert.strictEqual(tampered.statusCode, 403);
+      assert.strictEqual(tampered.body.message, 'Invalid signature');
+      assert.strictEqual(missing.statusCode, 403);
+      assert.strictEqual(missing.body.type, 'entity.verify.failed');
+    });
+  });
+
+  describe('Multipart Parser', () => {
+    let dest;
+
+    const post = (form) => request({
+      hostname: 'localhost',
+      port,
+      path: '/upload',
+      method: 'POST',
+      headers: {
+        'Content-Type': form.contentType,
+        'Content-Length': form.body.length
+      }
+    }, form.body);
+
+    const errorHandler = (err, req, res, next) => {
+      res.status(err.statusCode || 500).json({ type: err.type, field: err.field });
+    };
+
+    beforeEach(() => {
+      dest = fs.mkdtempSync(path.join(os.tmpdir(), 'multipart-test-'));
+    });
+
+    afterEach(() => {
+      fs.rmSync(dest, { recursive: true, force: true });
+    });
+
+    it('should parse text fields into req.body', async () => {
+      app.post('/upload', multipart().none(), (req, res) => {
+        res.json({ body: req.body });
+      });
+
+      server = app.listen(0);
+      port = server.address().port;
+
+      const res = await post(buildForm([
+        { name: 'title', value: 'Hello' },
+        { name: 'tag', value: 'a' },
+        { name: 'tag', value: 'b' },
+        { name: 'note', value: 'line 1\r\nline 2 ünïcode' }
+      ]));
+
+      server.close();
+
+      assert.strictEqual(res.statusCode, 200);
+      assert.deepStrictEqual(res.body.body, {
+        title: 'Hello',
+        tag: ['a', 'b'],
+        note: 'line 1\r\nline 2 ünïcode'
+      });
+    });
+
+    it('should keep files in memory without dest', async () => {
+      app.post('/upload', multipart().single('doc'), (req, res) => {
+        res.json({
+          name: req.body.name,
+          file: {
+            fieldname: req.file.fieldname,
+            originalname: req.file.originalname,
+            mimetype: req.file.mimetype,
+            size: req.file.size,
+            content: req.file.buffer.toString()
+          }
+        });
+      });
+
+      server = app.listen(0);
+      port = server.address().port;
+
+      const res = await post(buildForm([
+        { name: 'name', value: 'report' },
+        { name: 'doc', filename: 'notes.txt', type: 'text/plain', value: 'file\r\n--content' }
+      ]));
+
+      server.close();
+
+      assert.strictEqual(res.statusCode, 200);
+      assert.strictEqual(res.body.name, 'report');
+      assert.deepStrictEqual(res.body.file, {
+        fieldname: 'doc',
+        originalname: 'notes.txt',
+        mimetype: 'text/plain',
+        size: 15,
+        content: 'file\r\n--content'
+      });
+    });
+
+    it('should stream files to dest', async () => {
+      const payload = Buffer.alloc(200 * 1024, 'x');
+
+      app.post('/upload', multipart({ dest }).array('photos', 2), (req, res) => {
+        res.json({ files: req.files.map(f => ({ name: f.originalname, path: f.path, size: f.size })) });
+      });
+
+      server = app.listen(0);
+      port = server.address().port;
+
+      const res = await post(buildForm([
+        { name: 'photos', filename: 'a.png', type: 'image/png', value: payload },
+        { name: 'photos', filename: 'b.png', type: 'image/png', value: 'small' }
+      ]));
+
+      server.close();
+
+      assert.strictEqual(res.statusCode, 200);
+      assert.strictEqual(res.body.files.length, 2);
+      assert.strictEqual(res.body.files[0].size, payload.length);
+      assert.ok(res.body.files[0].path.startsWith(dest));
+      assert.ok(res.body.files[0].path.endsWith('.png'));
+      assert.ok(fs.readFileSync(res.body.files[0].path).equals(payload));
+      assert.strictEqual(fs.readFileSync(res.body.files[1].path, 'utf8'), 'small');
+    });
+
+    it('should group files by field with fields()', async () => {
+      const upload = multipart().fields([{ name: 'avatar', maxCount: 1 }, { name: 'gallery' }]);
+
+      app.post('/upload', upload, (req, res) => {
+        res.json({
+          avatar: req.files.avatar.length,
+          gallery: req.files.gallery.map(f => f.originalname)
+        });
+      });
+
+      server = app.listen(0);
+      port = server.address().port;
+
+      const res = await post(buildForm([
+        { name: 'avatar', filename: 'me.jpg', value: '1' },
+        { name: 'gallery', filename: 'one.jpg', value: '2' },
+        { name: 'gallery', filename: 'two.jpg', value: '3' }
+      ]));
+
+      server.close();
+
+      assert.strictEqual(res.statusCode, 200);
+      assert.deepStrictEqual(res.body, { avatar: 1, gallery: ['one.jpg', 'two.jpg'] });
+    });
+
+    it('should reject unexpected file fields', async () => {
+      app.post('/upload', multipart().single('avatar'), (req, res) => {
+        res.json({ ok: true });
+      });
+      app.use(errorHandler);
+
+      server = app.listen(0);
+      port = server.address().port;
+
+      const res = await post(buildForm([
+        { name: 'other', filename: 'x.txt', value: 'x' }
+      ]));
+
+      server.close();
+
+      assert.strictEqual(res.statusCode, 400);
+      assert.deepStrictEqual(res.body, { type: 'file.unexpected', field: 'other' });
+    });
+
+    it('should enforce fileSize and remove partial files', async () => {
+      app.post('/upload', multipart({ dest, limits: { fileSize: 1024 } }).any(), (req, res) => {
+        res.json({ ok: true });
+      });
+      app.use(errorHandler);
+
+      server = app.listen(0);
+      port = server.address().port;
+
+      const res = await post(buildForm([
+        { name: 'first', filename: 'ok.bin', value: 'fits' },
+        { name: 'second', filename: 'big.bin', value: Buffer.alloc(4096) }
+      ]));
+
+      server.close();
+
+      assert.strictEqual(res.statusCode, 413);
+      assert.strictEqual(res.body.type, 'file.too.large');
+      assert.deepStrictEqual(fs.readdirSync(dest), []);
+    });
+
+    it('should enforce the file count limit', async () => {
+      app.post('/upload', multipart({ limits: { files: 1 } }).any(), (req, res) => {
+        res.json({ ok: true });
+      });
+      app.use(errorHandler);
+
+      server = app.listen(0);
+      port = server.address().port;
+
+      const res = await post(buildForm([
+        { name: 'a', filename: 'a.txt', value: 'a' },
+        { name: 'b', filename: 'b.txt', value: 'b' }
+      ]));
+
+      server.close();
+
+      assert.strictEqual(res.statusCode, 413);
+      assert.strictEqual(res.body.type, 'files.limit.exceeded');
+    });
+
+    it('should return 413 when the body exceeds the limit', async () => {
+      app.post('/upload', multipart({ limit: 100 }).any(), (req, res) => {
+        res.json({ ok: true });
+      });
+      app.use(errorHandler);
+
+      server = app.listen(0);
+      port = server.address().port;
+
+      const res = await post(buildForm([
+        { name: 'file', filename: 'a.bin', value: Buffer.alloc(500) }
+      ]));
+
+      server.close();
+
+      assert.strictEqual(res.statusCode, 413);
+      assert.strictEqual(res.body.type, 'entity.too.large');
+    });
+
+    it('should sanitize file names', async () => {
+      app.post('/upload', multipart({ dest, filename: (req, file) => file.originalname }).single('file'), (req, res) => {
+        res.json({ originalname: req.file.originalname, path: req.file.path });
+      });
+
+      server = app.listen(0);
+      port = server.address().port;
+
+      const res = await post(buildForm([
+        { name: 'file', filename: '../../etc/passwd', value: 'nope' }
+      ]));
+
+      server.close();
+
+      assert.strictEqual(res.statusCode, 200);
+      assert.strictEqual(res.body.originalname, 'passwd');
+      assert.strictEqual(res.body.path, path.join(dest, 'passwd'));
+    });
+
+    it('should apply fileFilter and sniff hooks', async () => {
+      const upload = multipart({
+        fileFilter: (req, file) => file.originalname !== 'skip.txt',
+        sniff: (file, head) => head.subarray(0, 4).toString('latin1') === '%PDF' ? 'application/pdf' : false
+      });
+
+      app.post('/upload', upload.any(), (req, res) => {
+        res.json({ files: req.files.map(f => [f.originalname, f.mimetype]) });
+      });
+      app.use(errorHandler);
+
+      server = app.listen(0);
+      port = server.address().port;
+
+      const ok = await post(buildForm([
+        { name: 'doc', filename: 'skip.txt', value: 'ignored' },
+        { name: 'doc', filename: 'real.pdf', type: 'application/octet-stream', value: '%PDF-1.7' }
+      ]));
+      const rejected = await post(buildForm([
+        { name: 'doc', filename: 'fake.pdf', type: 'application/pdf', value: 'MZ not a pdf' }
+      ]));
+
+      server.close();
+
+      assert.strictEqual(ok.statusCode, 200);
+      assert.deepStrictEqual(ok.body.files, [['real.pdf', 'application/pdf']]);
+      assert.strictEqual(rejected.statusCode, 415);
+      assert.strictEqual(rejected.body.type, 'file.type.rejected');
+    });
+
+    it('should reject a body without a closing boundary', async () => {
+      app.post('/upload', multipart().any(), (req, res) => {
+        res.json({ ok: true });
+      });
+      app.use(errorHandler);
+
+      server = app.listen(0);
+      port = server.address().port;
+
+      const form = buildForm([{ name: 'a', value: '1' }]);
+      form.body = form.body.subarray(0, form.body.length - 20);
+
+      const res = await post(form);
+
+      server.close();
+
+      assert.strictEqual(res.statusCode, 400);
+      assert.strictEqual(res.body.type, 'multipart.parse.failed');
+    });
+  });
 });
@@ -6,6 +6,7 @@
 
 const { describe, it } = require('node:test');
 const assert = require('node:assert');
+const crypto = require('node:crypto');
 
 const { parseBytes, formatBytes } = require('../lib/bytes');
 const {
@@ -15,7 +16,10 @@ const {
   normalizeType,
   getCharset
 } = require('../lib/content-type');
-const { parseSimple, parseExtended } = require('../lib/urlencoded');
+const { parseSimple, parseExtended, componentDecoder } = require('../lib/urlencoded');
+const { charsetDecoder } = require('../lib/read-body');
+const { verifyHmac } = require('../lib/verify');
+const { MultipartParser, parseDisposition, sanitizeFilename } = require('../lib/multipart');
 
 describe('Bytes Utility', () => {
   describe('parseBytes', () => {
@@ -213,5 +217,239 @@ describe('URL-Encoded Parsing', () => {
         { users: [{ name: 'John' }, { name: 'Jane' }] }
       );
     });
+
+    it('should decode + as a space', () => {
+      assert.deepStrictEqual(parseExtended('q=hello+world'), { q: 'hello world' });
+    });
+
+    it('should stop nesting at depth', () => {
+      assert.deepStrictEqual(
+        parseExtended('a[b][c][d]=1', { depth: 2 }),
+        { a: { b: { c: { '[d]': '1' } } } }
+      );
+      assert.deepStrictEqual(
+        parseExtended('a[b][c][d][e][f][g]=1'),
+        { a: { b: { c: { d: { e: { f: { '[g]': '1' } } } } } } }
+      );
+    });
+
+    it('should turn arrays with large indexes into objects', () => {
+      assert.deepStrictEqual(parseExtended('a[100000000]=x'), { a: { 100000000: 'x' } });
+      assert.deepStrictEqual(parseExtended('a[0]=x&a[21]=y'), { a: { 0: 'x', 21: 'y' } });
+      assert.deepStrictEqual(parseExtended('a[2]=x', { arrayLimit: 1 }), { a: { 2: 'x' } });
+    });
+
+    it('should compact sparse arrays', () => {
+      assert.deepStrictEqual(parseExtended('a[1]=x&a[5]=y'), { a: ['x', 'y'] });
+    });
+
+    it('should drop prototype keys', () => {
+      const result = parseExtended('__proto__[admin]=1&a[__proto__][b]=1&constructor[prototype][x]=1&b[prototype]=1&ok=1');
+
+      assert.deepStrictEqual(result, { ok: '1' });
+      assert.strictEqual({}.admin, undefined);
+      assert.strictEqual(Object.getPrototypeOf(result), Object.prototype);
+    });
+
+    it('should allow constructor and prototype keys with allowPrototypes', () => {
+      assert.deepStrictEqual(
+        parseExtended('constructor=1&a[prototype]=2&__proto__[x]=3', { allowPrototypes: true }),
+        { constructor: '1', a: { prototype: '2' } }
+      );
+    });
+
+    it('should keep inherited names as own keys', () => {
+      const result = parseExtended('toString=x&hasOwnProperty=y');
+      assert.strictEqual(result.toString, 'x');
+      assert.strictEqual(result.hasOwnProperty, 'y');
+    });
+
+    it('should support dot notation with allowDots', () => {
+      assert.deepStrictEqual(
+        parseExtended('a.b.c=1&a.d=2', { allowDots: true }),
+        { a: { b: { c: '1' }, d: '2' } }
+      );
+      assert.deepStrictEqual(parseExtended('a.b=1'), { 'a.b': '1' });
+    });
+
+    it('should build objects instead of arrays when parseArrays is false', () => {
+      assert.deepStrictEqual(
+        parseExtended('a[0]=x&a[1]=y', { parseArrays: false }),
+        { a: { 0: 'x', 1: 'y' } }
+      );
+    });
+
+    it('should resolve duplicate keys', () => {
+      assert.deepStrictEqual(parseExtended('a=1&a=2'), { a: ['1', '2'] });
+      assert.deepStrictEqual(parseExtended('a=1&a=2', { duplicates: 'first' }), { a: '1' });
+      assert.deepStrictEqual(parseExtended('a[b]=1&a[b]=2', { duplicates: 'last' }), { a: { b: '2' } });
+      assert.throws(() => parseExtended('a=1', { duplicates: 'merge' }), TypeError);
+    });
+
+    it('should pick the charset from the utf8 sentinel', () => {
+      assert.deepStrictEqual(
+        parseExtended('utf8=%26%2310003%3B&name=Ren%E9e', { charsetSentinel: true }),
+        { name: 'Renée' }
+      );
+      assert.deepStrictEqual(
+        parseExtended('utf8=%E2%9C%93&name=Ren%C3%A9e', { charsetSentinel: true, charset: 'iso-8859-1' }),
+        { name: 'Renée' }
+      );
+      assert.deepStrictEqual(
+        parseExtended('utf8=%E2%9C%93&a=1'),
+        { utf8: '✓', a: '1' }
+      );
+    });
+
+    it('should enforce parameterLimit', () => {
+      assert.throws(() => parseExtended('a=1&b=2&c=3', { parameterLimit: 2 }), { type: 'parameters.too.many' });
+    });
+  });
+});
+
+describe('Charset Decoding', () => {
+  describe('charsetDecoder', () => {
+    it('should decode any WHATWG charset', () => {
+      assert.strictEqual(charsetDecoder('windows-1252').decode(Buffer.from([0x80])), '€');
+      assert.strictEqual(charsetDecoder('utf-8').decode(Buffer.from('\ufeffok')), 'ok');
+    });
+
+    it('should throw 415 for unknown or disallowed charsets', () => {
+      assert.throws(() => charsetDecoder('nope'), { type: 'charset.unsupported', statusCode: 415 });
+      assert.throws(() => charsetDecoder('iso-2022-kr'), { type: 'charset.unsupported' });
+      assert.throws(() => charsetDecoder('latin1', ['utf-8']), { charset: 'latin1' });
+      assert.ok(charsetDecoder('UTF8', ['utf-8']));
+    });
+  });
+
+  describe('componentDecoder', () => {
+    it('should decode percent-escapes in the form charset', () => {
+      assert.strictEqual(componentDecoder('latin1')('caf%E9'), 'café');
+      assert.strictEqual(componentDecoder('utf-8')('caf%C3%A9'), 'café');
+      assert.deepStrictEqual(
+        parseExtended('user[name]=%82%A0', { decode: componentDecoder('shift_jis') }),
+        { user: { name: 'あ' } }
+      );
+    });
+  });
+});
+
+describe('Multipart Utilities', () => {
+  describe('MultipartParser', () => {
+    const body = Buffer.from(
+      'preamble\r\n--xyz\r\nContent-Disposition: form-data; name="a"\r\n\r\nhello\r\n' +
+      '--xyz\r\nContent-Disposition: form-data; name="b"\r\n\r\n\r\n--xy\r\n' +
+      '--xyz--\r\nepilogue'
+    );
+
+    const collect = (chunks) => {
+      const parser = new MultipartParser('xyz');
+      const parts = [];
+
+      for (const chunk of chunks) {
+        for (const event of parser.write(chunk)) {
+          if (event.type === 'part') parts.push({ headers: event.headers, data: '' });
+          if (event.type === 'data') parts[parts.length - 1].data += event.data.toString();
+        }
+      }
+
+      parser.end();
+      return parts;
+    };
+
+    it('should split a body into parts', () => {
+      const parts = collect([body]);
+      assert.strictEqual(parts.length, 2);
+      assert.strictEqual(parts[0].headers['content-disposition'], 'form-data; name="a"');
+      assert.strictEqual(parts[0].data, 'hello');
+      assert.strictEqual(parts[1].data, '\r\n--xy');
+    });
+
+    it('should give the same result for any chunking', () => {
+      const oneByte = [];
+      for (let i = 0; i < body.length; i++) {
+        oneByte.push(body.subarray(i, i + 1));
+      }
+      assert.deepStrictEqual(collect(oneByte), collect([body]));
+    });
+
+    it('should throw on an incomplete body', () => {
+      const parser = new MultipartParser('xyz');
+      parser.write(body.subarray(0, 40));
+      assert.throws(() => parser.end(), { type: 'multipart.parse.failed', statusCode: 400 });
+    });
+  });
+
+  describe('parseDisposition', () => {
+    it('should parse name and filename', () => {
+      assert.deepStrictEqual(
+        parseDisposition('form-data; name="file"; filename="a \\"b\\".txt"'),
+        { type: 'form-data', params: { name: 'file', filename: 'a "b".txt' } }
+      );
+    });
+
+    it('should prefer filename* over filename', () => {
+      const { params } = parseDisposition('form-data; name="f"; filename="x.txt"; filename*=UTF-8\'\'%E2%82%AC%20rates.txt');
+      assert.strictEqual(params.filename, '€ rates.txt');
+    });
+  });
+
+  describe('sanitizeFilename', () => {
+    it('should drop directories and reserved characters', () => {
+      assert.strictEqual(sanitizeFilename('../../etc/passwd'), 'passwd');
+      assert.strictEqual(sanitizeFilename('C:\\fakepath\\a?.png'), 'a_.png');
+      assert.strictEqual(sanitizeFilename('..'), 'file');
+      assert.strictEqual(sanitizeFilename('.hidden. '), 'hidden');
+    });
+
+    it('should replace control characters', () => {
+      assert.strictEqual(sanitizeFilename('a\u0000b\u001fc\u007f.txt'), 'a_b_c_.txt');
+    });
+
+    it('should limit the length to 255 bytes', () => {
+      assert.ok(Buffer.byteLength(sanitizeFilename('é'.repeat(300) + '.txt')) <= 255);
+    });
+
+    it('should shorten the end of the name and keep the extension', () => {
+      const name = sanitizeFilename('report-' + '😀'.repeat(100) + '.pdf');
+
+      assert.ok(Buffer.byteLength(name) <= 255);
+      assert.ok(name.startsWith('report-😀'));
+      assert.ok(name.endsWith('😀.pdf'));
+      assert.ok(name.isWellFormed());
+    });
+  });
+});
+
+describe('verifyHmac', () => {
+  const body = Buffer.from('{"event":"paid"}');
+  const sign = (secret, encoding = 'hex') => crypto.createHmac('sha256', secret).update(body).digest(encoding);
+
+  it('should accept prefixed and bare digests', () => {
+    const verify = verifyHmac({ header: 'X-Signature', secret: 's3cret' });
+
+    verify({ headers: { 'x-signature': 'sha256=' + sign('s3cret') } }, {}, body);
+    verify({ headers: { 'x-signature': sign('s3cret') } }, {}, body);
+  });
+
+  it('should support base64 digests and per-request secrets', () => {
+    const verify = verifyHmac({ header: 'X-Signature', digest: 'base64', secret: (req) => req.tenant });
+
+    verify({ tenant: 'acme', headers: { 'x-signature': sign('acme', 'base64') } }, {}, body);
+    assert.throws(
+      () => verify({ tenant: 'other', headers: { 'x-signature': sign('acme', 'base64') } }, {}, body),
+      { type: 'entity.verify.failed', statusCode: 403 }
+    );
+  });
+
+  it('should reject malformed signatures', () => {
+    const verify = verifyHmac({ header: 'X-Signature', secret: 's3cret' });
+    assert.throws(() => verify({ headers: { 'x-signature': 'sha256=abc' } }, {}, body), /Invalid signature/);
+  });
+
+  it('should validate its options', () => {
+    assert.throws(() => verifyHmac({ secret: 'x' }), TypeError);
+    assert.throws(() => verifyHmac({ header: 'X-Signature' }), TypeError);
+    assert.throws(() => verifyHmac({ header: 'X-Signature', secret: 'x', algorithm: 'nope' }));
   });
 });
@@ -0,0 +1,84 @@
+/**
+ * Benchmark: linear stack vs route tree matcher
+ *
+ * Registers a few hundred REST-style routes on two routers - one using
+ * the default linear walk, one with { matcher: 'tree' } - and dispatches
+ * the same request paths through both with router.handle().
+ *
+ * Run with: npm run bench:routes
+ */
+
+'use strict';
+
+const Router = require('../lib/router');
+
+const RESOURCES = 100;
+const REQUESTS = 20000;
+
+/**
+ * Build a router with RESOURCES * 4 routes and a couple of middleware
+ */
+function buildRouter(options) {
+  const router = new Router(options);
+  const handler = (req, res) => res.end();
+
+  router.use((req, res, next) => next());
+
+  for (let i = 0; i < RESOURCES; i++) {
+    router.get(`/api/resource${i}`, handler);
+    router.post(`/api/resource${i}`, handler);
+    router.get(`/api/resource${i}/:id`, handler);
+    router.get(`/api/resource${i}/:id/children/:childId`, handler);
+  }
+
+  router.use('/api', (req, res, next) => next());
+
+  return router;
+}
+
+/**
+ * Dispatch one request and resolve when it has been answered
+ */
+function dispatch(router, path) {
+  return new Promise((resolve) => {
+    const req = { method: 'GET', url: path, path, params: {} };
+    const res = { end: resolve };
+    router.handle(req, res, resolve);
+  });
+}
+
+/**
+ * Time REQUESTS dispatches spread over the route table
+ */
+async function run(name, router) {
+  const paths = [];
+  for (let i = 0; i < REQUESTS; i++) {
+    const n = i % RESOURCES;
+    paths.push(i % 2 === 0 ? `/api/resource${n}/${i}` : `/api/resource${n}/${i}/children/7`);
+  }
+
+  // Warm up (also builds the tree)
+  for (let i = 0; i < 1000; i++) {
+    await dispatch(router, paths[i]);
+  }
+
+  const start = process.hrtime.bigint();
+  for (const path of paths) {
+    await dispatch(router, path);
+  }
+  const ms = Number(process.hrtime.bigint() - start) / 1e6;
+
+  console.log(`${name.padEnd(8)} ${ms.toFixed(1).padStart(8)} ms  ${Math.round(REQUESTS / (ms / 1000)).toLocaleString().padStart(10)} req/s`);
+  return ms;
+}
+
+async function main() {
+  console.log(`${RESOURCES * 4} routes, ${REQUESTS} requests\n`);
+
+  const linear = await run('linear', buildRouter());
+  const tree = await run('tree', buildRouter({ matcher: 'tree' }));
+
+  console.log(`\ntree matcher: ${(linear / tree).toFixed(1)}x`);
+}
+
+main();
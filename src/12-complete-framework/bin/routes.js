@@ -0,0 +1,50 @@
+#!/usr/bin/env node
+/**
+ * routes - Print the route table of a Mini-Express app
+ *
+ * Usage:
+ *   node bin/routes.js <app-module>
+ *
+ * The module may export the app (module.exports = app or { app }).
+ * Apps that only call app.listen() work too: listen() is intercepted
+ * while the module loads, so no server is started.
+ */
+
+'use strict';
+
+const path = require('path');
+const Application = require('../lib/application');
+const { printRoutes } = require('../lib/route-list');
+
+const file = process.argv[2];
+
+if (!file) {
+  console.error('Usage: node bin/routes.js <app-module>');
+  process.exit(1);
+}
+
+// Capture apps that start listening while the module loads
+let listened = null;
+const originalListen = Application.prototype.listen;
+Application.prototype.listen = function() {
+  listened = listened || this;
+  return { close() {}, address() { return null; } };
+};
+
+let exported;
+try {
+  exported = require(path.resolve(process.cwd(), file));
+} finally {
+  Application.prototype.listen = originalListen;
+}
+
+const app = [exported, exported && exported.app, listened]
+  .find(candidate => candidate instanceof Application);
+
+if (!app) {
+  console.error(`No Mini-Express app found in ${file}`);
+  process.exit(1);
+}
+
+printRoutes(app);
+process.exit(0);
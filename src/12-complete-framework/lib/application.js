@@ -2,30 +2,58 @@
  * Application - Main Express-like application class
  *
  * The central hub that ties everything together.
+ *
+ * Applications are EventEmitters. When one is mounted on another with
+ * app.use(path, subApp) it emits 'mount' with the parent, after its
+ * settings, engines and locals have been chained to the parent's.
  */
 
 'use strict';
 
 const http = require('http');
+const EventEmitter = require('events');
+const querystring = require('querystring');
 const Router = require('./router');
 const { enhanceRequest } = require('./request');
 const { enhanceResponse } = require('./response');
 const { View, simpleEngine } = require('./view');
+const { format: formatPath, joinPaths } = require('../../03-basic-routing/lib/path-to-regexp');
+const { listRoutes } = require('./route-list');
+const { compileETag } = require('./etag');
+const { compileTrust } = require('./proxy-addr');
+const { compileQueryParser } = require('./query');
 
 // Import built-in middleware
-const { json, urlencoded, raw, text } = require('../../10-body-parsers/lib/index');
+const { json, urlencoded, raw, text, multipart, verifyHmac } = require('../../10-body-parsers/lib/index');
 const { cookieParser } = require('../../11-cookies-sessions/lib/cookie-parser');
 const { session, MemoryStore } = require('../../11-cookies-sessions/lib/session');
+const serveStatic = require('../../07-static-file-serving/lib/static');
+const compress = require('./compress');
+const { EventHub } = require('./sse');
+const { SocketHub } = require('./websocket');
+const { ConnectionTracker } = require('./lifecycle');
 
-class Application {
+class Application extends EventEmitter {
   constructor() {
-    // Settings
-    this.settings = {
+    super();
+
+    // Settings - defaults live on the prototype so that, once mounted,
+    // anything not set on this app is looked up on the parent instead
+    this.settings = Object.create({
       'env': process.env.NODE_ENV || 'development',
       'view engine': 'html',
       'views': './views',
-      'x-powered-by': true
-    };
+      'x-powered-by': true,
+      'etag': 'weak',
+      'etag fn': compileETag('weak'),
+      'trust proxy': false,
+      'trust proxy fn': compileTrust(false),
+      'query parser': 'simple',
+      'query parser fn': compileQueryParser('simple'),
+      'subdomain offset': 2,
+      'json escape': false,
+      'jsonp callback name': 'callback'
+    });
 
     // Application-level locals
     this.locals = {};
@@ -42,8 +70,13 @@ class Application {
     // Store mounted applications
     this.mountpath = '/';
 
+    // Servers started by listen(), for close()
+    this._trackers = new Set();
+    this._closing = null;
+
     // Bind the handle method
     this.handle = this.handle.bind(this);
+    this.handleUpgrade = this.handleUpgrade.bind(this);
   }
 
   /**
@@ -58,11 +91,24 @@ class Application {
       return this.settings[setting];
     }
 
+    // Compiled first so an invalid value leaves the settings untouched
+    if (setting === 'etag') {
+      this.settings['etag fn'] = compileETag(val);
+    }
+
+    if (setting === 'trust proxy') {
+      this.settings['trust proxy fn'] = compileTrust(val);
+    }
+
+    if (setting === 'query parser') {
+      this.settings['query parser fn'] = compileQueryParser(val);
+    }
+
     this.settings[setting] = val;
 
     // Special handling for certain settings
-    if (setting === 'trust proxy') {
-      this.trustProxy = val;
+    if (setting === 'route matcher') {
+      this._router.matcher = val;
     }
 
     return this;
@@ -136,50 +182,58 @@ class Application {
   /**
    * Add middleware
    *
-   * @param {string|Function} path - Path or handler
-   * @param {...Function} handlers - Handler functions
+   * Routers and other applications can be mounted too. A mounted app
+   * sees `req.url`/`req.path` without the mount prefix, which moves to
+   * `req.baseUrl`; `req.originalUrl` keeps the full URL.
+   *
+   * @param {string|string[]|Function|Router|Application} path - Path(s) or handler
+   * @param {...(Function|Router|Application)} handlers - Handlers
    * @returns {Application} For chaining
    */
   use(path, ...handlers) {
-    // Handle mount of another application
-    if (handlers.length > 0 && handlers[0] instanceof Application) {
-      const subApp = handlers[0];
-      subApp.mountpath = path;
-      subApp.parent = this;
-      handlers = [subApp.handle];
-    }
-    // Handle mount of a Router instance
-    else if (handlers.length > 0 && handlers[0] instanceof Router) {
-      const router = handlers[0];
-      const mountPath = typeof path === 'string' ? path : '/';
-      // Create a handler function that delegates to the router
-      const routerHandler = (req, res, next) => {
-        // Save original path and strip mount prefix for router
-        const originalPath = req.path;
-        const originalUrl = req.url;
-
-        // Strip mount path from req.path for the sub-router
-        let newPath = originalPath;
-        if (mountPath !== '/' && originalPath.startsWith(mountPath)) {
-          newPath = originalPath.slice(mountPath.length) || '/';
-        }
-        req.path = newPath;
-
-        // Handle through router
-        router.handle(req, res, (err) => {
-          // Restore original path
-          req.path = originalPath;
-          req.url = originalUrl;
-          next(err);
-        });
-      };
-      handlers = [routerHandler];
+    let mountPath = path;
+
+    if (typeof path !== 'string' && !Array.isArray(path) && !(path instanceof RegExp)) {
+      handlers = [path, ...handlers];
+      mountPath = '/';
     }
 
-    this._router.use(path, ...handlers);
+    handlers = handlers.flat().map(fn => {
+      return fn instanceof Application ? this._mountApp(mountPath, fn) : fn;
+    });
+
+    this._router.use(mountPath, ...handlers);
     return this;
   }
 
+  /**
+   * Prepare a sub-application for mounting
+   *
+   * @param {string|string[]} mountPath - Mount path(s)
+   * @param {Application} subApp - Application to mount
+   * @returns {Function} Middleware that hands requests to the sub-app
+   * @private
+   */
+  _mountApp(mountPath, subApp) {
+    subApp.mountpath = mountPath;
+    subApp.parent = this;
+
+    // Inherit anything the sub-app has not set itself
+    Object.setPrototypeOf(subApp.settings, this.settings);
+    Object.setPrototypeOf(subApp.engines, this.engines);
+    Object.setPrototypeOf(subApp.locals, this.locals);
+
+    const mounted = function mounted_app(req, res, next) {
+      subApp.handle(req, res, next);
+    };
+    // Lets route listing descend into the sub-app
+    mounted.app = subApp;
+
+    subApp.emit('mount', this);
+
+    return mounted;
+  }
+
   /**
    * Handle a request
    *
@@ -188,9 +242,15 @@ class Application {
    * @param {Function} [next] - Next callback (for mounted apps)
    */
   handle(req, res, next) {
+    // Mounted: the parent already enhanced req/res
+    if (next) {
+      return this._handleMounted(req, res, next);
+    }
+
     // Enhance request and response
     enhanceRequest(req, res);
     enhanceResponse(req, res, this);
+    req.app = this;
 
     // Set X-Powered-By header
     if (this.settings['x-powered-by']) {
@@ -199,13 +259,17 @@ class Application {
 
     // Handle through router
     this._router.handle(req, res, (err) => {
-      // If mounted, pass to parent
-      if (next) {
-        return next(err);
-      }
-
       // Final handler
       if (err) {
+        // Too late for an error response: cut the connection
+        if (res.headersSent) {
+          if (this.settings.env === 'development') {
+            console.error(err.stack || err);
+          }
+          req.socket.destroy();
+          return;
+        }
+
         // Error handling
         const status = err.status || err.statusCode || 500;
         const message = err.expose ? err.message : 'Internal Server Error';
@@ -220,6 +284,24 @@ class Application {
           error: message,
           ...(this.settings.env === 'development' && { stack: err.stack })
         }));
+      } else if (req._allowedMethods) {
+        const allow = [...new Set(req._allowedMethods)].join(', ');
+
+        // Automatic OPTIONS response listing the registered methods
+        if (req.method === 'OPTIONS') {
+          res.statusCode = 200;
+          res.setHeader('Allow', allow);
+          res.setHeader('Content-Type', 'text/plain');
+          res.setHeader('Content-Length', Buffer.byteLength(allow));
+          res.end(allow);
+          return;
+        }
+
+        // Path matched a route, but not for this method
+        res.statusCode = 405;
+        res.setHeader('Allow', allow);
+        res.setHeader('Content-Type', 'application/json');
+        res.end(JSON.stringify({ error: 'Method Not Allowed' }));
       } else {
         // 404 Not Found
         res.statusCode = 404;
@@ -229,6 +311,121 @@ class Application {
     });
   }
 
+  /**
+   * Handle an HTTP upgrade request (the server's 'upgrade' event)
+   *
+   * The request runs through the middleware and routes with a response
+   * bound to the raw socket, so anything but an app.ws() route answers
+   * with an ordinary HTTP response and the socket is then closed.
+   * app.listen() wires this up; for your own server use
+   * `server.on('upgrade', app.handleUpgrade)`.
+   *
+   * @param {http.IncomingMessage} req - Request
+   * @param {net.Socket} socket - Client socket
+   * @param {Buffer} head - Data received after the request headers
+   */
+  handleUpgrade(req, socket, head) {
+    const res = new http.ServerResponse(req);
+
+    res.assignSocket(socket);
+    res.shouldKeepAlive = false;
+    res.on('finish', () => socket.end());
+    socket.on('error', () => socket.destroy());
+
+    req._upgrade = { socket, head };
+    this.handle(req, res);
+  }
+
+  /**
+   * Create a chainable route on the main router
+   *
+   * @param {string} path - Route path
+   * @param {Object} [options] - Route options ({ name })
+   * @returns {Route} Route object
+   */
+  route(path, options) {
+    return this._router.route(path, options);
+  }
+
+  /**
+   * Build a URL for a named route
+   *
+   * The path includes mounted router prefixes and, for sub-apps, the
+   * app's own mount path.
+   *
+   * @param {string} name - Route name
+   * @param {Object} [params] - Route parameters
+   * @param {Object} [query] - Query string values
+   * @returns {string} Encoded URL path
+   * @throws {Error} If no route has that name
+   * @throws {TypeError} If a required param is missing
+   *
+   * @example
+   * app.get('/users/:id', { name: 'user' }, showUser);
+   * app.url('user', { id: 42 }, { tab: 'posts' }); // => '/users/42?tab=posts'
+   */
+  url(name, params = {}, query) {
+    const pattern = this._router.resolveName(name);
+
+    if (pattern === null) {
+      throw new Error(`No route named "${name}"`);
+    }
+
+    let url = formatPath(joinPaths(this.path(), pattern), params);
+
+    const qs = query ? querystring.stringify(query) : '';
+    if (qs) {
+      url += '?' + qs;
+    }
+
+    return url;
+  }
+
+  /**
+   * List middleware and routes, including mounted routers and sub-apps
+   *
+   * @returns {Array<Object>} Rows of { type, method, path, handlers, name, mounts }
+   *
+   * @example
+   * app.routes();
+   * // => [{ type: 'route', method: 'GET', path: '/users/:id',
+   * //       handlers: ['showUser'], name: 'user', mounts: [] }, ...]
+   */
+  routes() {
+    return listRoutes(this._router, this.path());
+  }
+
+  /**
+   * Handle a request passed down from a parent application
+   *
+   * Response helpers are re-bound to this app (for settings, views and
+   * url()) and bound back to the parent when the sub-app is done.
+   *
+   * @param {Object} req - Request object
+   * @param {Object} res - Response object
+   * @param {Function} next - Parent's next function
+   * @private
+   */
+  _handleMounted(req, res, next) {
+    const parent = req.app;
+
+    // Used as plain middleware outside of an application
+    if (!parent) {
+      enhanceRequest(req, res);
+    }
+
+    enhanceResponse(req, res, this);
+    req.app = this;
+
+    this._router.handle(req, res, (err) => {
+      if (parent) {
+        enhanceResponse(req, res, parent);
+      }
+      req.app = parent;
+      next(err);
+    });
+  }
+
   /**
    * Render a view
    *
@@ -252,6 +449,9 @@ class Application {
   /**
    * Start listening for requests
    *
+   * Connections are tracked so that app.close() can drain them. The
+   * app emits 'listening' with the server once it is bound.
+   *
    * @param {number} port - Port number
    * @param {string} [hostname] - Hostname
    * @param {number} [backlog] - Backlog
@@ -259,10 +459,85 @@ class Application {
    * @returns {http.Server} HTTP server
    */
   listen(...args) {
-    const server = http.createServer(this.handle);
+    const server = http.createServer();
+    const tracker = new ConnectionTracker(server);
+
+    server.on('request', this.handle);
+    server.on('upgrade', this.handleUpgrade);
+    server.on('listening', () => this.emit('listening', server));
+
+    this._trackers.add(tracker);
+    server.once('close', () => this._trackers.delete(tracker));
+
     return server.listen(...args);
   }
 
+  /**
+   * Whether a close() is in progress
+   */
+  get closing() {
+    return this._closing !== null;
+  }
+
+  /**
+   * Gracefully stop the servers started by listen()
+   *
+   * New connections are refused; requests in flight finish and their
+   * responses carry `Connection: close`; idle keep-alive sockets are
+   * closed. After `timeout` ms the remaining sockets are destroyed.
+   *
+   * Emits 'closing' when draining starts (close WebSocket and SSE hubs
+   * here) and 'close' once every server has closed.
+   *
+   * @param {Object} [options] - Options
+   * @param {number} [options.timeout=10000] - Drain timeout in ms
+   * @returns {Promise<void>} Resolves once closed; calls made while closing
+   *   return the same promise, calls after it start a new close (e.g. after
+   *   another listen())
+   *
+   * @example
+   * app.on('closing', () => hub.close());
+   * await app.close({ timeout: 30000 });
+   */
+  close(options = {}) {
+    if (this._closing) {
+      return this._closing;
+    }
+
+    const timeout = options.timeout === undefined ? 10000 : options.timeout;
+
+    this.emit('closing');
+    this._closing = Promise.all([...this._trackers].map(tracker => tracker.drain(timeout)))
+      .then(() => {
+        this._closing = null;
+        this.emit('close');
+      });
+
+    return this._closing;
+  }
+
+  /**
+   * Close gracefully when the process receives a signal
+   *
+   * Once closed, the signal is raised again so the process exits as it
+   * would have without the handler.
+   *
+   * @param {Object} [options] - close() options, plus:
+   * @param {string[]} [options.signals=['SIGTERM', 'SIGINT']] - Signals to handle
+   * @returns {Application} For chaining
+   */
+  closeOnSignal(options = {}) {
+    const signals = options.signals || ['SIGTERM', 'SIGINT'];
+
+    const onSignal = (signal) => {
+      signals.forEach(name => process.removeListener(name, onSignal));
+      this.close(options).then(() => process.kill(process.pid, signal));
+    };
+
+    signals.forEach(name => process.on(name, onSignal));
+    return this;
+  }
+
   /**
    * Return the path the app is mounted at
    */
@@ -270,7 +545,10 @@ class Application {
     if (!this.parent) {
       return '';
     }
-    return this.parent.path() + this.mountpath;
+
+    // Mounted at several paths - use the first one
+    const mountpath = Array.isArray(this.mountpath) ? this.mountpath[0] : this.mountpath;
+    return this.parent.path() + mountpath;
   }
 }
 
@@ -282,6 +560,18 @@ class Application {
   };
 });
 
+/**
+ * Register a WebSocket route (see Router#ws)
+ *
+ * @param {string} path - Route path
+ * @param {...Function} handlers - Middleware, then fn(ws, req)
+ * @returns {Application} For chaining
+ */
+Application.prototype.ws = function(path, ...handlers) {
+  this._router.ws(path, ...handlers);
+  return this;
+};
+
 // Special handling for 'get' - one argument returns setting, two+ registers route
 // This matches Express.js behavior
 const originalGet = Application.prototype.get;
@@ -295,12 +585,9 @@ Application.prototype.get = function(path, ...handlers) {
   return this;
 };
 
-// Add param method
+// Add param method - delegates to the main router
 Application.prototype.param = function(name, callback) {
-  // Store param handlers
-  this._params = this._params || {};
-  this._params[name] = this._params[name] || [];
-  this._params[name].push(callback);
+  this._router.param(name, callback);
   return this;
 };
 
@@ -309,14 +596,28 @@ Application.json = json;
 Application.urlencoded = urlencoded;
 Application.raw = raw;
 Application.text = text;
+Application.multipart = multipart;
 Application.cookieParser = cookieParser;
 Application.session = session;
 Application.MemoryStore = MemoryStore;
 
+// verify() hook for signed webhook bodies
+Application.verifyHmac = verifyHmac;
+
 // Static middleware
-Application.static = function(root, options = {}) {
-  const { serveStatic } = require('../../07-static-file-serving/lib/index');
-  return serveStatic(root, options);
+Application.static = serveStatic;
+
+// Response compression
+Application.compress = compress;
+
+// Broadcast hub for res.sse() channels
+Application.eventHub = function() {
+  return new EventHub();
+};
+
+// Rooms and broadcasting for app.ws() connections
+Application.socketHub = function() {
+  return new SocketHub();
 };
 
 // Router factory
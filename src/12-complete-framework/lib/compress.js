@@ -0,0 +1,292 @@
+/**
+ * Compress - Response compression middleware
+ *
+ *   app.use(express.compress({ threshold: '1kb' }));
+ *
+ * The choice to compress is made when the headers go out (first
+ * res.write(), res.end() or res.writeHead()), because only then are
+ * Content-Type, Content-Length and Cache-Control known. A response is
+ * compressed when:
+ * - the filter accepts it (default: compressible Content-Type)
+ * - it is not already encoded and has no Cache-Control: no-transform
+ * - it is not a byte range (206 or Content-Range)
+ * - its size is unknown or at least `threshold` bytes
+ * - the client accepts br, gzip or deflate (Accept-Encoding q-values apply)
+ *
+ * A strong ETag is weakened (W/) on compressed responses.
+ *
+ * Compressed output is streamed; res.write() reports backpressure from
+ * the compressor, and res.flush() pushes buffered data out, which
+ * server-sent events need.
+ */
+
+'use strict';
+
+const zlib = require('zlib');
+const { EventEmitter } = require('events');
+const { compressible } = require('../../07-static-file-serving/lib/mime');
+const { parseBytes } = require('../../10-body-parsers/lib/bytes');
+const negotiator = require('../../02-request-response-enhancement/lib/negotiator');
+
+// Supported codings, in server preference order for equal q-values
+const ENCODINGS = ['br', 'gzip', 'deflate'];
+
+/**
+ * Default filter: compress compressible content types
+ *
+ * @param {Object} req - Request object
+ * @param {Object} res - Response object
+ * @returns {boolean} True to compress
+ */
+function shouldCompress(req, res) {
+  return compressible(res.getHeader('Content-Type'));
+}
+
+/**
+ * Create compression middleware
+ *
+ * @param {Object} [options] - Options
+ * @param {number|string} [options.threshold='1kb'] - Minimum size to compress
+ * @param {Function} [options.filter] - fn(req, res) => boolean
+ * @param {number} [options.level] - zlib level for gzip/deflate
+ * @param {number} [options.brotliQuality=4] - Brotli quality (0-11)
+ * @param {string[]} [options.encodings] - Codings to offer, preferred first
+ * @returns {Function} Middleware function
+ */
+function compress(options = {}) {
+  const threshold = parseBytes(options.threshold === undefined ? '1kb' : options.threshold);
+  const filter = options.filter || shouldCompress;
+  const encodings = options.encodings || ENCODINGS;
+
+  if (threshold === null) {
+    throw new TypeError(`invalid threshold: ${options.threshold}`);
+  }
+
+  return function compressMiddleware(req, res, next) {
+    const _write = res.write;
+    const _end = res.end;
+    const _on = res.on;
+    const _writeHead = res.writeHead;
+
+    let decided = false;
+    let ended = false;
+    let stream = null;
+
+    // 'drain' comes from the compressor while one is active, so the
+    // app's drain listeners live on their own emitter
+    const drainEvents = new EventEmitter();
+
+    /**
+     * Decide on compression before the headers are sent
+     */
+    const start = (length) => {
+      if (decided) return;
+      decided = true;
+
+      const coding = selectEncoding(req, res, length);
+
+      if (!coding) {
+        _on.call(res, 'drain', () => drainEvents.emit('drain'));
+        return;
+      }
+
+      stream = createStream(coding, options);
+      res.setHeader('Content-Encoding', coding);
+      res.removeHeader('Content-Length');
+
+      // The body changes, so a strong validator no longer holds
+      const etag = res.getHeader('ETag');
+      if (typeof etag === 'string' && !etag.startsWith('W/')) {
+        res.setHeader('ETag', `W/${etag}`);
+      }
+
+      stream.on('drain', () => drainEvents.emit('drain'));
+
+      stream.on('data', (chunk) => {
+        if (_write.call(res, chunk) === false) {
+          stream.pause();
+        }
+      });
+
+      stream.on('end', () => {
+        _end.call(res);
+      });
+
+      // next() already ran; headers may be out, so all that is left is
+      // to abort the response
+      stream.on('error', err => res.destroy(err));
+
+      _on.call(res, 'drain', () => stream.resume());
+
+      // Client went away: stop compressing
+      _on.call(res, 'close', () => stream.destroy());
+    };
+
+    res.writeHead = function(...args) {
+      // Headers passed here must be visible to the decision
+      const headers = args.find(arg => typeof arg === 'object' && arg !== null && !Array.isArray(arg));
+      if (headers && !decided) {
+        for (const name of Object.keys(headers)) {
+          res.setHeader(name, headers[name]);
+        }
+        args = args.filter(arg => arg !== headers);
+      }
+
+      start(contentLength(res));
+      return _writeHead.apply(res, args);
+    };
+
+    res.write = function(chunk, encoding, callback) {
+      if (ended) return false;
+
+      if (typeof encoding === 'function') {
+        callback = encoding;
+        encoding = undefined;
+      }
+
+      start(contentLength(res));
+
+      if (!stream) {
+        return _write.call(res, chunk, encoding, callback);
+      }
+
+      return stream.write(toBuffer(chunk, encoding), callback);
+    };
+
+    res.end = function(chunk, encoding, callback) {
+      if (ended) return res;
+
+      if (typeof chunk === 'function') {
+        callback = chunk;
+        chunk = undefined;
+      } else if (typeof encoding === 'function') {
+        callback = encoding;
+        encoding = undefined;
+      }
+
+      start(contentLength(res) ?? (chunk ? toBuffer(chunk, encoding).length : 0));
+      ended = true;
+
+      if (!stream) {
+        return _end.call(res, chunk, encoding, callback);
+      }
+
+      if (callback) {
+        res.once('finish', callback);
+      }
+
+      stream.end(chunk ? toBuffer(chunk, encoding) : undefined);
+      return res;
+    };
+
+    for (const method of ['on', 'addListener', 'once', 'prependListener', 'prependOnceListener', 'off', 'removeListener']) {
+      const original = res[method];
+
+      res[method] = function(event, listener) {
+        if (event !== 'drain') {
+          return original.call(res, event, listener);
+        }
+
+        drainEvents[method]('drain', listener);
+        return res;
+      };
+    }
+
+    /**
+     * Push out everything compressed so far
+     */
+    res.flush = function() {
+      if (stream) {
+        stream.flush(stream instanceof zlib.BrotliCompress
+          ? zlib.constants.BROTLI_OPERATION_FLUSH
+          : zlib.constants.Z_SYNC_FLUSH);
+      }
+    };
+
+    next();
+  };
+
+  /**
+   * Pick a coding for this response, or null to send it as-is
+   */
+  function selectEncoding(req, res, length) {
+    if (req.method === 'HEAD' || res.statusCode === 204 || res.statusCode === 304) {
+      return null;
+    }
+
+    // Byte ranges address the identity body
+    if (res.statusCode === 206 || res.getHeader('Content-Range')) {
+      return null;
+    }
+
+    if (!filter(req, res)) {
+      return null;
+    }
+
+    // Compressible responses vary on Accept-Encoding, whatever we decide
+    appendVary(res, 'Accept-Encoding');
+
+    const existing = res.getHeader('Content-Encoding');
+    if (existing && existing !== 'identity') {
+      return null;
+    }
+
+    const cacheControl = res.getHeader('Cache-Control');
+    if (cacheControl && /(?:^|,)\s*no-transform\s*(?:,|$)/i.test(cacheControl)) {
+      return null;
+    }
+
+    if (length !== undefined && length < threshold) {
+      return null;
+    }
+
+    const coding = negotiator.acceptsEncodings(req.headers, encodings.concat('identity'));
+    return coding && coding !== 'identity' ? coding : null;
+  }
+}
+
+/**
+ * Create the compressor for a coding
+ */
+function createStream(coding, options) {
+  switch (coding) {
+    case 'br':
+      return zlib.createBrotliCompress({
+        params: { [zlib.constants.BROTLI_PARAM_QUALITY]: options.brotliQuality ?? 4 }
+      });
+    case 'gzip':
+      return zlib.createGzip({ level: options.level });
+    default:
+      return zlib.createDeflate({ level: options.level });
+  }
+}
+
+/**
+ * Content-Length header as a number, if set
+ */
+function contentLength(res) {
+  const value = res.getHeader('Content-Length');
+  return value === undefined ? undefined : Number(value);
+}
+
+/**
+ * Convert a write() chunk to a Buffer
+ */
+function toBuffer(chunk, encoding) {
+  return Buffer.isBuffer(chunk) ? chunk : Buffer.from(chunk, typeof encoding === 'string' ? encoding : 'utf8');
+}
+
+/**
+ * Add a field to Vary without repeating it
+ */
+function appendVary(res, field) {
+  const existing = res.getHeader('Vary');
+  const fields = existing ? String(existing).split(/\s*,\s*/) : [];
+
+  if (!fields.some(f => f === '*' || f.toLowerCase() === field.toLowerCase())) {
+    fields.push(field);
+    res.setHeader('Vary', fields.join(', '));
+  }
+}
+
+module.exports = compress;
@@ -0,0 +1,69 @@
+/**
+ * ETag - Entity tag generation for response bodies
+ *
+ * res.send() hashes the body it is about to write and sets ETag so that
+ * clients can revalidate with If-None-Match. The `etag` app setting picks
+ * the generator:
+ *
+ *   app.set('etag', 'weak');              // W/"<length>-<hash>" (default)
+ *   app.set('etag', 'strong');            // "<length>-<hash>"
+ *   app.set('etag', false);               // no ETag
+ *   app.set('etag', (body, encoding) => '"v1"');
+ */
+
+'use strict';
+
+const crypto = require('crypto');
+
+/**
+ * Create an ETag for a body
+ *
+ * @param {string|Buffer} body - Response body
+ * @param {Object} [options] - Options
+ * @param {boolean} [options.weak=false] - Prefix with W/
+ * @param {string} [options.encoding='utf8'] - Encoding of a string body
+ * @returns {string} Quoted ETag
+ */
+function createETag(body, options = {}) {
+  const encoding = options.encoding || 'utf8';
+  const length = Buffer.isBuffer(body) ? body.length : Buffer.byteLength(body, encoding);
+
+  const hash = crypto
+    .createHash('sha1')
+    .update(body, encoding)
+    .digest('base64')
+    .substring(0, 27);
+
+  const tag = `"${length.toString(16)}-${hash}"`;
+  return options.weak ? `W/${tag}` : tag;
+}
+
+/**
+ * Turn an `etag` setting value into a generator function
+ *
+ * @param {boolean|string|Function} val - Setting value
+ * @returns {Function|undefined} fn(body, encoding) => ETag, or undefined when disabled
+ * @throws {TypeError} For unknown values
+ */
+function compileETag(val) {
+  if (typeof val === 'function') {
+    return val;
+  }
+
+  switch (val) {
+    case true:
+    case 'weak':
+      return (body, encoding) => createETag(body, { weak: true, encoding });
+    case 'strong':
+      return (body, encoding) => createETag(body, { encoding });
+    case false:
+      return undefined;
+    default:
+      throw new TypeError(`unknown value for etag function: ${val}`);
+  }
+}
+
+module.exports = {
+  createETag,
+  compileETag
+};
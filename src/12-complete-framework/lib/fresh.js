@@ -0,0 +1,72 @@
+/**
+ * Fresh - HTTP conditional request check
+ *
+ * A response is "fresh" when the client's cached copy is still valid, so
+ * a 304 Not Modified can be sent instead of the body. Following RFC 7232,
+ * If-None-Match takes precedence over If-Modified-Since, and a request
+ * with Cache-Control: no-cache is never fresh.
+ */
+
+'use strict';
+
+/**
+ * Check whether a response is fresh for a request
+ *
+ * @param {Object} reqHeaders - Request headers (lower-case keys)
+ * @param {Object} resHeaders - { etag, 'last-modified' } of the response
+ * @returns {boolean} True if the client's copy is current
+ */
+function fresh(reqHeaders, resHeaders) {
+  const ifNoneMatch = reqHeaders['if-none-match'];
+  const ifModifiedSince = reqHeaders['if-modified-since'];
+
+  if (!ifNoneMatch && !ifModifiedSince) {
+    return false;
+  }
+
+  // End-to-end reload requested
+  const cacheControl = reqHeaders['cache-control'];
+  if (cacheControl && /(?:^|,)\s*no-cache\s*(?:,|$)/.test(cacheControl)) {
+    return false;
+  }
+
+  if (ifNoneMatch) {
+    if (ifNoneMatch.trim() === '*') {
+      return true;
+    }
+
+    const etag = resHeaders.etag;
+    if (!etag) {
+      return false;
+    }
+
+    // Weak comparison: W/"x" matches "x"
+    const target = stripWeak(String(etag));
+    return parseTokenList(ifNoneMatch).some(tag => stripWeak(tag) === target);
+  }
+
+  const lastModified = Date.parse(resHeaders['last-modified']);
+  const since = Date.parse(ifModifiedSince);
+
+  if (isNaN(lastModified) || isNaN(since)) {
+    return false;
+  }
+
+  return lastModified <= since;
+}
+
+/**
+ * Remove the weak validator prefix
+ */
+function stripWeak(tag) {
+  return tag.startsWith('W/') ? tag.slice(2) : tag;
+}
+
+/**
+ * Split a comma separated header into trimmed tokens
+ */
+function parseTokenList(header) {
+  return header.split(',').map(s => s.trim()).filter(Boolean);
+}
+
+module.exports = fresh;
@@ -18,6 +18,8 @@
 
 const Application = require('./application');
 const Router = require('./router');
+const Route = require('./route');
+const { printRoutes } = require('./route-list');
 
 /**
  * Create a new Express application
@@ -37,10 +39,18 @@ module.exports.json = Application.json;
 module.exports.urlencoded = Application.urlencoded;
 module.exports.raw = Application.raw;
 module.exports.text = Application.text;
+module.exports.multipart = Application.multipart;
+module.exports.verifyHmac = Application.verifyHmac;
 module.exports.static = Application.static;
+module.exports.compress = Application.compress;
 module.exports.cookieParser = Application.cookieParser;
 module.exports.session = Application.session;
 module.exports.MemoryStore = Application.MemoryStore;
+module.exports.eventHub = Application.eventHub;
+module.exports.socketHub = Application.socketHub;
+
+// Route table helper for debugging
+module.exports.printRoutes = printRoutes;
 
 // Export Router factory (function that returns new Router instance)
 const RouterFactory = function(options) {
@@ -55,6 +65,7 @@ module.exports.Router = RouterFactory;
 // Export classes for advanced usage
 module.exports.Application = Application;
 module.exports.RouterClass = Router;
+module.exports.Route = Route;
 
 // Version
 module.exports.version = '1.0.0';
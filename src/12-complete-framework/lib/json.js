@@ -0,0 +1,97 @@
+/**
+ * JSON - Serialization used by res.json() and res.jsonp()
+ *
+ * Plain JSON.stringify() throws on BigInt and turns Map and Set into {}.
+ * Serializers convert those types first; the `json serializers` app
+ * setting overrides them per type:
+ *
+ *   app.set('json serializers', {
+ *     bigint: (n) => Number(n),  // default: decimal string
+ *     map: (m) => [...m],        // default: Object.fromEntries(m)
+ *     set: false                 // false: leave it to JSON.stringify
+ *   });
+ */
+
+'use strict';
+
+// Default type hooks
+const DEFAULT_SERIALIZERS = {
+  bigint: (value) => value.toString(),
+  map: (value) => Object.fromEntries(value),
+  set: (value) => Array.from(value)
+};
+
+// Characters escaped by `json escape` so JSON can be inlined in HTML
+const ESCAPES = {
+  '<': '\\u003c',
+  '>': '\\u003e',
+  '&': '\\u0026'
+};
+
+/**
+ * Serialize a value to JSON
+ *
+ * @param {*} value - Value to serialize
+ * @param {Object} [options] - Options
+ * @param {Function|Array} [options.replacer] - JSON.stringify replacer,
+ *   applied after the type serializers
+ * @param {number|string} [options.spaces] - Indentation
+ * @param {boolean} [options.escape=false] - Escape <, > and &
+ * @param {Object} [options.serializers] - Per-type hooks (bigint, map, set)
+ * @returns {string|undefined} JSON text
+ */
+function stringify(value, options = {}) {
+  const serializers = { ...DEFAULT_SERIALIZERS, ...options.serializers };
+  const json = JSON.stringify(value, createReplacer(options.replacer, serializers), options.spaces);
+
+  if (options.escape && json) {
+    return json.replace(/[<>&]/g, char => ESCAPES[char]);
+  }
+
+  return json;
+}
+
+/**
+ * Combine the type serializers with a user replacer
+ *
+ * An array replacer keeps its allow-list meaning: only those property
+ * names are kept on objects.
+ */
+function createReplacer(replacer, serializers) {
+  const allowed = Array.isArray(replacer) ? new Set(replacer.map(String)) : null;
+
+  return function(key, value) {
+    if (allowed && key !== '' && !Array.isArray(this) && !allowed.has(key)) {
+      return undefined;
+    }
+
+    const serialized = serializeType(value, serializers);
+
+    return typeof replacer === 'function'
+      ? replacer.call(this, key, serialized)
+      : serialized;
+  };
+}
+
+/**
+ * Apply the serializer for a value's type, if any
+ */
+function serializeType(value, serializers) {
+  if (typeof value === 'bigint' && serializers.bigint) {
+    return serializers.bigint(value);
+  }
+
+  if (value instanceof Map && serializers.map) {
+    return serializers.map(value);
+  }
+
+  if (value instanceof Set && serializers.set) {
+    return serializers.set(value);
+  }
+
+  return value;
+}
+
+module.exports = {
+  stringify
+};
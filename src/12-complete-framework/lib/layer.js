@@ -5,11 +5,14 @@
  * - A path pattern (converted to regex)
  * - A handler function
  * - Optional HTTP method restriction
+ *
+ * Handlers may be async: a returned promise that rejects is forwarded
+ * to next(err) just like a synchronous throw.
  */
 
 'use strict';
 
-const { pathToRegexp } = require('../../03-basic-routing/lib/path-to-regexp');
+const { pathToRegexp, decodeValue } = require('../../03-basic-routing/lib/path-to-regexp');
 
 class Layer {
   /**
@@ -25,6 +28,7 @@ class Layer {
     this.method = options.method || null;
     this.isMiddleware = options.end === false;
     this.name = handler.name || '<anonymous>';
+    this.route = null;
 
     // Compile path to regexp
     const compiled = pathToRegexp(path, {
@@ -35,35 +39,42 @@ class Layer {
 
     this.regexp = compiled.regexp;
     this.keys = compiled.keys;
-    this.params = {};
   }
 
   /**
    * Check if this layer matches the given path
    *
+   * The layer itself is shared by every request, so the result is
+   * returned rather than stored on the instance.
+   *
    * @param {string} path - Request path
-   * @returns {boolean} True if matches
+   * @returns {{ params: Object, matchedPath: string }|null} Match result
    */
   match(path) {
     const match = this.regexp.exec(path);
 
     if (!match) {
-      this.params = {};
-      return false;
+      return null;
     }
 
     // Extract parameters
-    this.params = {};
+    const params = {};
     for (let i = 0; i < this.keys.length; i++) {
       const key = this.keys[i];
-      const val = match[i + 1];
+      const val = decodeValue(match[i + 1], key);
 
       if (val !== undefined) {
-        this.params[key.name] = decodeParam(val);
+        params[key.name] = val;
       }
     }
 
-    return true;
+    // Matched prefix, without the trailing slash, for middleware mounting
+    let matchedPath = match[0];
+    if (matchedPath.endsWith('/')) {
+      matchedPath = matchedPath.slice(0, -1);
+    }
+
+    return { params, matchedPath };
   }
 
   /**
@@ -82,7 +93,8 @@ class Layer {
     }
 
     try {
-      fn(req, res, next);
+      const ret = fn(req, res, next);
+      forwardRejection(ret, next);
     } catch (err) {
       next(err);
     }
@@ -105,7 +117,8 @@ class Layer {
     }
 
     try {
-      fn(err, req, res, next);
+      const ret = fn(err, req, res, next);
+      forwardRejection(ret, next);
     } catch (e) {
       next(e);
     }
@@ -113,17 +126,17 @@ class Layer {
 }
 
 /**
- * Decode a URI component, handling errors
+ * Forward a rejected promise returned by a handler to next()
+ *
+ * Lets `async (req, res) => {}` handlers throw without wrapping them.
+ * A rejection with a falsy reason still needs to reach error handlers,
+ * so it is replaced with a generic Error.
  */
-function decodeParam(val) {
-  if (typeof val !== 'string') {
-    return val;
-  }
-
-  try {
-    return decodeURIComponent(val);
-  } catch (err) {
-    return val;
+function forwardRejection(ret, next) {
+  if (ret && typeof ret.then === 'function') {
+    ret.then(null, (err) => {
+      next(err || new Error('Rejected promise'));
+    });
   }
 }
 
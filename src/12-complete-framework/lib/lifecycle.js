@@ -0,0 +1,106 @@
+/**
+ * Lifecycle - Connection tracking for graceful shutdown
+ *
+ * app.listen() wraps each server in a ConnectionTracker that counts the
+ * requests in flight on every socket. Draining then:
+ * 1. stops accepting connections (server.close())
+ * 2. closes keep-alive sockets that are idle
+ * 3. sends `Connection: close` on the remaining responses, so each
+ *    socket closes once its response is done
+ * 4. destroys whatever is left when the timeout runs out
+ *
+ * Upgraded sockets (WebSockets) never become idle; close them when the
+ * app emits 'closing' (e.g. hub.close()) or they are cut at the timeout.
+ */
+
+'use strict';
+
+class ConnectionTracker {
+  /**
+   * @param {http.Server} server - Server to track; attach before any
+   *   'request' listener so that every request is counted
+   */
+  constructor(server) {
+    this.server = server;
+    this.draining = false;
+    // socket -> requests in flight (Infinity once upgraded)
+    this.sockets = new Map();
+    // Responses in flight
+    this.responses = new Set();
+
+    server.on('connection', (socket) => {
+      this.sockets.set(socket, 0);
+      socket.once('close', () => this.sockets.delete(socket));
+    });
+
+    server.on('request', (req, res) => this._onRequest(req, res));
+
+    server.on('upgrade', (req, socket) => {
+      this.sockets.set(socket, Infinity);
+    });
+  }
+
+  _onRequest(req, res) {
+    const socket = req.socket;
+
+    this.sockets.set(socket, (this.sockets.get(socket) || 0) + 1);
+    this.responses.add(res);
+
+    if (this.draining) {
+      res.setHeader('Connection', 'close');
+    }
+
+    res.once('close', () => {
+      this.responses.delete(res);
+      if (!this.sockets.has(socket)) return;
+
+      const active = this.sockets.get(socket) - 1;
+      this.sockets.set(socket, active);
+
+      // Kept alive from before the drain: close it now that it is idle
+      if (this.draining && active === 0) {
+        socket.end();
+      }
+    });
+  }
+
+  /**
+   * Stop accepting connections and close the open ones
+   *
+   * @param {number} timeout - Milliseconds before remaining sockets are destroyed
+   * @returns {Promise<void>} Resolves once the server has closed
+   */
+  drain(timeout) {
+    this.draining = true;
+
+    return new Promise((resolve) => {
+      const timer = setTimeout(() => {
+        for (const socket of this.sockets.keys()) {
+          socket.destroy();
+        }
+      }, timeout);
+      timer.unref();
+
+      this.server.close(() => {
+        clearTimeout(timer);
+        resolve();
+      });
+
+      for (const [socket, active] of this.sockets) {
+        if (active === 0) {
+          socket.end();
+        }
+      }
+
+      for (const res of this.responses) {
+        if (!res.headersSent) {
+          res.setHeader('Connection', 'close');
+        }
+      }
+    });
+  }
+}
+
+module.exports = {
+  ConnectionTracker
+};
@@ -0,0 +1,224 @@
+/**
+ * Proxy addressing - Resolve client details behind reverse proxies
+ *
+ * Each proxy a request passes through records the address it received
+ * the request from, either in X-Forwarded-For or in RFC 7239 Forwarded:
+ *
+ *   X-Forwarded-For: client, proxy1, proxy2
+ *   Forwarded: for=client;proto=https, for=proxy1
+ *
+ * Read right to left, starting from the socket address, these form a
+ * chain of hops. The `trust proxy` setting decides how far along that
+ * chain we believe what we are told: the first untrusted hop is the
+ * client address (req.ip).
+ */
+
+'use strict';
+
+const net = require('net');
+
+// Named address ranges accepted by the `trust proxy` setting
+const RANGES = {
+  loopback: ['127.0.0.1/8', '::1/128'],
+  linklocal: ['169.254.0.0/16', 'fe80::/10'],
+  uniquelocal: ['10.0.0.0/8', '172.16.0.0/12', '192.168.0.0/16', 'fc00::/7']
+};
+
+/**
+ * Turn a `trust proxy` setting value into a predicate
+ *
+ * @param {boolean|number|string|string[]|Function} val - Setting value
+ *   - true/false: trust every hop / none
+ *   - number: trust that many hops from the server
+ *   - string or array: addresses, CIDR ranges or named ranges
+ *     ('loopback', 'linklocal', 'uniquelocal'); strings may be comma separated
+ *   - function: fn(addr, hopIndex) => boolean
+ * @returns {Function} fn(addr, hopIndex) => boolean
+ * @throws {TypeError} For invalid addresses or ranges
+ */
+function compileTrust(val) {
+  if (typeof val === 'function') {
+    return val;
+  }
+
+  if (val === true) {
+    return () => true;
+  }
+
+  if (typeof val === 'number') {
+    return (addr, i) => i < val;
+  }
+
+  if (typeof val === 'string') {
+    val = val.split(',').map(s => s.trim()).filter(Boolean);
+  }
+
+  if (!Array.isArray(val) || val.length === 0) {
+    return () => false;
+  }
+
+  const list = new net.BlockList();
+
+  for (const entry of val) {
+    for (const range of RANGES[entry] || [entry]) {
+      addRange(list, range);
+    }
+  }
+
+  return (addr) => {
+    const type = net.isIP(addr);
+    return type !== 0 && list.check(addr, type === 6 ? 'ipv6' : 'ipv4');
+  };
+}
+
+/**
+ * Add an address or CIDR range to a block list
+ */
+function addRange(list, range) {
+  const slash = range.lastIndexOf('/');
+  const address = slash === -1 ? range : range.slice(0, slash);
+  const type = net.isIP(address);
+
+  if (type === 0) {
+    throw new TypeError(`invalid IP address: ${address}`);
+  }
+
+  const max = type === 6 ? 128 : 32;
+  const prefix = slash === -1 ? max : Number(range.slice(slash + 1));
+
+  if (!Number.isInteger(prefix) || prefix < 0 || prefix > max) {
+    throw new TypeError(`invalid range on address: ${range}`);
+  }
+
+  list.addSubnet(address, prefix, type === 6 ? 'ipv6' : 'ipv4');
+}
+
+/**
+ * Parse an RFC 7239 Forwarded header
+ *
+ * @param {string} header - Header value
+ * @returns {Array<Object>} Elements, client first: [{ for, proto, host, by }]
+ */
+function parseForwarded(header) {
+  return splitQuoted(header, ',').map(element => {
+    const result = {};
+
+    for (const pair of splitQuoted(element, ';')) {
+      const eq = pair.indexOf('=');
+      if (eq === -1) continue;
+
+      const key = pair.slice(0, eq).trim().toLowerCase();
+      let value = pair.slice(eq + 1).trim();
+
+      if (value.startsWith('"') && value.endsWith('"')) {
+        value = value.slice(1, -1).replace(/\\(.)/g, '$1');
+      }
+
+      result[key] = value;
+    }
+
+    if (result.for) {
+      result.for = stripPort(result.for);
+    }
+
+    return result;
+  });
+}
+
+/**
+ * Split on a separator, ignoring separators inside quoted strings
+ */
+function splitQuoted(str, separator) {
+  const parts = [];
+  let current = '';
+  let quoted = false;
+
+  for (let i = 0; i < str.length; i++) {
+    const char = str[i];
+
+    if (char === '\\' && quoted) {
+      current += char + (str[++i] || '');
+      continue;
+    }
+
+    if (char === '"') {
+      quoted = !quoted;
+    } else if (char === separator && !quoted) {
+      parts.push(current.trim());
+      current = '';
+      continue;
+    }
+
+    current += char;
+  }
+
+  parts.push(current.trim());
+  return parts.filter(Boolean);
+}
+
+/**
+ * Remove the port (and IPv6 brackets) from a Forwarded node: "[::1]:80" -> "::1"
+ */
+function stripPort(node) {
+  if (node.startsWith('[')) {
+    const end = node.indexOf(']');
+    return end === -1 ? node : node.slice(1, end);
+  }
+
+  const colon = node.indexOf(':');
+  return colon !== -1 && node.indexOf(':', colon + 1) === -1 ? node.slice(0, colon) : node;
+}
+
+/**
+ * Get the forwarding details of a request
+ *
+ * Forwarded is used when present, X-Forwarded-For otherwise.
+ *
+ * @param {http.IncomingMessage} req - Request
+ * @returns {{ addrs: string[], elements: Array<Object>|null }} Hop addresses
+ *   from the socket outwards, and the parsed Forwarded elements (client first)
+ */
+function forwarded(req) {
+  const socketAddr = req.socket.remoteAddress;
+  let elements = null;
+  let hops;
+
+  if (req.headers.forwarded) {
+    elements = parseForwarded(req.headers.forwarded);
+    hops = elements.map(element => element.for || 'unknown');
+  } else {
+    hops = (req.headers['x-forwarded-for'] || '')
+      .split(',')
+      .map(s => s.trim())
+      .filter(Boolean);
+  }
+
+  return {
+    addrs: [socketAddr].concat(hops.reverse()),
+    elements
+  };
+}
+
+/**
+ * Get the trusted part of the address chain
+ *
+ * @param {string[]} addrs - Addresses from the socket outwards
+ * @param {Function} trust - Compiled trust predicate
+ * @returns {string[]} Trusted hops plus the first untrusted one (the client)
+ */
+function trustedAddrs(addrs, trust) {
+  for (let i = 0; i < addrs.length - 1; i++) {
+    if (!trust(addrs[i], i)) {
+      return addrs.slice(0, i + 1);
+    }
+  }
+
+  return addrs.slice();
+}
+
+module.exports = {
+  compileTrust,
+  parseForwarded,
+  forwarded,
+  trustedAddrs
+};
@@ -0,0 +1,68 @@
+/**
+ * Query - Query string parsing for req.query
+ *
+ * The `query parser` app setting picks how req.query is built:
+ *
+ *   app.set('query parser', 'simple');     // a=1&a=2 -> { a: ['1', '2'] } (default)
+ *   app.set('query parser', 'extended');   // user[name]=x -> { user: { name: 'x' } }
+ *   app.set('query parser', { depth: 2, allowDots: true });  // extended, with options
+ *   app.set('query parser', false);        // req.query is {}
+ *   app.set('query parser', (str) => myParse(str));
+ *
+ * Extended parsing is the same hardened parser express.urlencoded() uses
+ * for bodies (depth, arrayLimit, prototype keys, ...).
+ */
+
+'use strict';
+
+const querystring = require('querystring');
+const { parseExtended } = require('../../10-body-parsers/lib/urlencoded');
+
+/**
+ * Decode a query string component, keeping malformed escapes as they are
+ */
+function decodeComponent(str) {
+  str = str.replace(/\+/g, ' ');
+
+  try {
+    return decodeURIComponent(str);
+  } catch (e) {
+    return str;
+  }
+}
+
+/**
+ * Turn a `query parser` setting value into a parser function
+ *
+ * @param {boolean|string|Object|Function} val - Setting value
+ * @returns {Function|undefined} fn(queryString) => object, or undefined when disabled
+ * @throws {TypeError} For unknown values or invalid extended options
+ */
+function compileQueryParser(val) {
+  if (typeof val === 'function') {
+    return val;
+  }
+
+  if (val !== null && typeof val === 'object') {
+    const options = { ...val, decode: decodeComponent };
+    // Fail on invalid options now rather than on every request
+    parseExtended('', options);
+    return (str) => parseExtended(str, options);
+  }
+
+  switch (val) {
+    case true:
+    case 'simple':
+      return (str) => querystring.parse(str);
+    case 'extended':
+      return (str) => parseExtended(str, { decode: decodeComponent });
+    case false:
+      return undefined;
+    default:
+      throw new TypeError(`unknown value for query parser function: ${val}`);
+  }
+}
+
+module.exports = {
+  compileQueryParser
+};
@@ -6,7 +6,12 @@
 
 'use strict';
 
+const net = require('net');
 const { parse: parseUrl } = require('url');
+const querystring = require('querystring');
+const fresh = require('./fresh');
+const { forwarded, trustedAddrs } = require('./proxy-addr');
+const negotiator = require('../../02-request-response-enhancement/lib/negotiator');
 
 /**
  * Enhance the request object with Express-like properties and methods
@@ -16,25 +21,134 @@ const { parse: parseUrl } = require('url');
  */
 function enhanceRequest(req, res) {
   // Parse URL once
-  const parsedUrl = parseUrl(req.url, true);
+  const parsedUrl = parseUrl(req.url);
 
   // Basic properties
+  req.originalUrl = req.originalUrl || req.url;
+  req.baseUrl = '';
   req.path = parsedUrl.pathname;
-  req.query = parsedUrl.query;
   req.params = {};
   req.body = undefined;
 
-  // Protocol detection
-  req.protocol = req.socket.encrypted ? 'https' : 'http';
-  req.secure = req.protocol === 'https';
+  // Parsed with the `query parser` setting of the app handling the
+  // request, once per parser; assigning req.query replaces the result
+  const queryString = parsedUrl.query || '';
+  let query;
+  let queryParser;
 
-  // Host information
-  req.hostname = req.headers.host ? req.headers.host.split(':')[0] : '';
-  req.ip = req.socket.remoteAddress;
+  Object.defineProperty(req, 'query', {
+    configurable: true,
+    enumerable: true,
+    get: () => {
+      const parse = req.app ? req.app.settings['query parser fn'] : querystring.parse;
 
-  // Fresh/stale (simplified)
-  req.fresh = false;
-  req.stale = true;
+      if (query === undefined || parse !== queryParser) {
+        queryParser = parse;
+        query = parse ? parse(queryString) : {};
+      }
+
+      return query;
+    },
+    set: (value) => {
+      queryParser = req.app ? req.app.settings['query parser fn'] : querystring.parse;
+      query = value;
+    }
+  });
+
+  // Proxy-aware properties. These are getters so that they use the
+  // `trust proxy` setting of whichever app (req.app) is handling the request.
+  defineGetter(req, 'protocol', () => {
+    const proto = req.socket.encrypted ? 'https' : 'http';
+
+    if (!trustProxy(req)(req.socket.remoteAddress, 0)) {
+      return proto;
+    }
+
+    if (req.headers.forwarded) {
+      const element = forwardedElement(req);
+      return element && element.proto ? element.proto.toLowerCase() : proto;
+    }
+
+    const header = req.headers['x-forwarded-proto'];
+    return header ? header.split(',')[0].trim().toLowerCase() : proto;
+  });
+
+  defineGetter(req, 'secure', () => req.protocol === 'https');
+
+  defineGetter(req, 'hostname', () => {
+    let host = req.headers.host;
+
+    if (trustProxy(req)(req.socket.remoteAddress, 0)) {
+      if (req.headers.forwarded) {
+        const element = forwardedElement(req);
+        host = (element && element.host) || host;
+      } else if (req.headers['x-forwarded-host']) {
+        host = req.headers['x-forwarded-host'].split(',')[0].trim();
+      }
+    }
+
+    if (!host) {
+      return '';
+    }
+
+    // IPv6 literals keep their brackets: [::1]:3000 -> [::1]
+    const offset = host[0] === '[' ? host.indexOf(']') + 1 : 0;
+    const index = host.indexOf(':', offset);
+
+    return index !== -1 ? host.slice(0, index) : host;
+  });
+
+  defineGetter(req, 'subdomains', () => {
+    const hostname = req.hostname;
+
+    if (!hostname || net.isIP(hostname.replace(/^\[|\]$/g, ''))) {
+      return [];
+    }
+
+    const offset = req.app ? req.app.settings['subdomain offset'] : 2;
+    return hostname.split('.').reverse().slice(offset);
+  });
+
+  defineGetter(req, 'ip', () => {
+    const addrs = trustedAddrs(forwarded(req).addrs, trustProxy(req));
+    return addrs[addrs.length - 1];
+  });
+
+  // Forwarded addresses, client first (empty unless proxies are trusted)
+  defineGetter(req, 'ips', () => {
+    return trustedAddrs(forwarded(req).addrs, trustProxy(req)).slice(1).reverse();
+  });
+
+  // Fresh/stale - compares the conditional request headers with the
+  // ETag / Last-Modified already set on the response
+  Object.defineProperty(req, 'fresh', {
+    configurable: true,
+    get() {
+      if (req.method !== 'GET' && req.method !== 'HEAD') {
+        return false;
+      }
+
+      const status = res.statusCode;
+      if ((status < 200 || status >= 300) && status !== 304) {
+        return false;
+      }
+
+      return fresh(req.headers, {
+        'etag': res.getHeader('ETag'),
+        'last-modified': res.getHeader('Last-Modified')
+      });
+    }
+  });
+
+  Object.defineProperty(req, 'stale', {
+    configurable: true,
+    get() {
+      return !req.fresh;
+    }
+  });
+
+  // ID of the last Server-Sent Event an EventSource saw before reconnecting
+  defineGetter(req, 'lastEventId', () => req.headers['last-event-id']);
 
   // XHR detection
   Object.defineProperty(req, 'xhr', {
@@ -68,19 +182,44 @@ function enhanceRequest(req, res) {
   /**
    * Check if the request accepts the given content type(s)
    *
+   * Ranked by the client's q-values and range specificity; types may
+   * be extension shorthands ('json', 'html').
+   *
    * @param {...string} types - Content types
-   * @returns {string|false} Best match or false
+   * @returns {string|string[]|false} Best match, accepted types (no args), or false
    */
   req.accepts = function(...types) {
-    const accept = req.headers.accept || '*/*';
+    return negotiator.acceptsTypes(req.headers, types.flat());
+  };
 
-    for (const type of types) {
-      if (accept.includes(type) || accept.includes('*/*')) {
-        return type;
-      }
-    }
+  /**
+   * Check if the request accepts the given charset(s)
+   *
+   * @param {...string} charsets - Charsets
+   * @returns {string|string[]|false} Best match or false
+   */
+  req.acceptsCharsets = function(...charsets) {
+    return negotiator.acceptsCharsets(req.headers, charsets.flat());
+  };
 
-    return false;
+  /**
+   * Check if the request accepts the given content coding(s)
+   *
+   * @param {...string} encodings - Codings ('gzip', 'br', 'identity')
+   * @returns {string|string[]|false} Best match or false
+   */
+  req.acceptsEncodings = function(...encodings) {
+    return negotiator.acceptsEncodings(req.headers, encodings.flat());
+  };
+
+  /**
+   * Check if the request accepts the given language(s)
+   *
+   * @param {...string} languages - Language tags ('en-US', 'fr')
+   * @returns {string|string[]|false} Best match or false
+   */
+  req.acceptsLanguages = function(...languages) {
+    return negotiator.acceptsLanguages(req.headers, languages.flat());
   };
 
   /**
@@ -130,4 +269,34 @@ function enhanceRequest(req, res) {
   return req;
 }
 
+/**
+ * Define a computed, re-definable property
+ */
+function defineGetter(obj, name, getter) {
+  Object.defineProperty(obj, name, {
+    configurable: true,
+    enumerable: true,
+    get: getter
+  });
+}
+
+/**
+ * Get the compiled `trust proxy` predicate for the app handling req
+ */
+function trustProxy(req) {
+  return (req.app && req.app.settings['trust proxy fn']) || (() => false);
+}
+
+/**
+ * Get the outermost Forwarded element added by a trusted proxy
+ *
+ * @returns {Object|null} { for, proto, host, by } or null
+ */
+function forwardedElement(req) {
+  const { addrs, elements } = forwarded(req);
+  const hops = trustedAddrs(addrs, trustProxy(req)).length - 1;
+
+  return hops > 0 ? elements[elements.length - hops] : null;
+}
+
 module.exports = { enhanceRequest };
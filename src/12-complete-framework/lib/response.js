@@ -7,9 +7,13 @@
 'use strict';
 
 const path = require('path');
-const fs = require('fs');
 const { serialize: serializeCookie } = require('../../11-cookies-sessions/lib/cookie');
 const { sign: signCookie } = require('../../11-cookies-sessions/lib/signed');
+const { normalizeType } = require('../../02-request-response-enhancement/lib/negotiator');
+const { stringify } = require('./json');
+const { isStreamable, pipeBody, discardBody } = require('./stream');
+const { EventChannel } = require('./sse');
+const { sendFile: sendFileWithEngine, contentDisposition } = require('../../07-static-file-serving/lib/send');
 
 // Common MIME types
 const MIME_TYPES = {
@@ -40,7 +44,11 @@ function enhanceResponse(req, res, app) {
   // Store references
   res.req = req;
   res.app = app;
-  res.locals = {};
+  // Kept across mounted apps; url() always builds paths for `app`
+  res.locals = res.locals || {};
+
+  // Reverse routing helper for views: url('user', { id: 1 })
+  res.locals.url = (name, params, query) => app.url(name, params, query);
 
   /**
    * Set status code
@@ -104,37 +112,76 @@ function enhanceResponse(req, res, app) {
   /**
    * Send a JSON response
    *
+   * Serialized with the `json replacer`, `json spaces`, `json escape`
+   * and `json serializers` settings.
+   *
    * @param {*} data - Data to send
    * @returns {Response} For chaining
    */
   res.json = function(data) {
-    const body = JSON.stringify(data);
-    res.setHeader('Content-Type', 'application/json');
-    res.setHeader('Content-Length', Buffer.byteLength(body));
-    res.end(body);
-    return res;
+    const body = stringifyForApp(data);
+
+    if (!res.getHeader('Content-Type')) {
+      res.setHeader('Content-Type', 'application/json');
+    }
+
+    return res.send(body);
   };
 
   /**
    * Send a JSONP response
    *
+   * The callback comes from the query parameter named by the
+   * `jsonp callback name` setting (default 'callback'). Anything but
+   * identifier characters, '.', '[' and ']' is stripped from it; without
+   * a usable callback this is a plain res.json().
+   *
    * @param {*} data - Data to send
    * @returns {Response} For chaining
    */
   res.jsonp = function(data) {
-    const callback = req.query.callback || req.query.cb;
-    const body = JSON.stringify(data);
+    let callback = req.query[app.settings['jsonp callback name']];
 
-    if (callback) {
+    if (Array.isArray(callback)) {
+      callback = callback[0];
+    }
+
+    callback = typeof callback === 'string'
+      ? callback.replace(/[^[\]\w$.]/g, '')
+      : '';
+
+    if (!callback) {
+      return res.json(data);
+    }
+
+    // U+2028/U+2029 are valid in JSON but end lines in older JavaScript
+    const body = (stringifyForApp(data) || '')
+      .replace(/\u2028/g, '\\u2028')
+      .replace(/\u2029/g, '\\u2029');
+
+    // Stop browsers from treating the script as another content type
+    res.setHeader('X-Content-Type-Options', 'nosniff');
+
+    if (!res.getHeader('Content-Type')) {
       res.setHeader('Content-Type', 'text/javascript');
-      res.end(`/**/ typeof ${callback} === 'function' && ${callback}(${body});`);
-    } else {
-      res.json(data);
     }
 
-    return res;
+    // The comment guards against Rosetta Flash style attacks
+    return res.send(`/**/ typeof ${callback} === 'function' && ${callback}(${body});`);
   };
 
+  /**
+   * Serialize using the app's JSON settings
+   */
+  function stringifyForApp(data) {
+    return stringify(data, {
+      replacer: app.settings['json replacer'],
+      spaces: app.settings['json spaces'],
+      escape: app.settings['json escape'],
+      serializers: app.settings['json serializers']
+    });
+  }
+
   /**
    * Send a response
    *
@@ -142,6 +189,10 @@ function enhanceResponse(req, res, app) {
    * @returns {Response} For chaining
    */
   res.send = function(body) {
+    if (isStreamable(body)) {
+      return res.stream(body);
+    }
+
     let chunk = body;
     let type = res.getHeader('Content-Type');
 
@@ -170,6 +221,28 @@ function enhanceResponse(req, res, app) {
       res.setHeader('Content-Length', Buffer.byteLength(chunk));
     }
 
+    // ETag from the `etag` setting, unless the handler set its own
+    const etagFn = app.settings['etag fn'];
+    if (chunk && etagFn && !res.getHeader('ETag')) {
+      const etag = etagFn(chunk, 'utf8');
+      if (etag) {
+        res.setHeader('ETag', etag);
+      }
+    }
+
+    // Client cache is still valid
+    if (req.fresh) {
+      res.statusCode = 304;
+    }
+
+    // These statuses never carry a body
+    if (res.statusCode === 204 || res.statusCode === 304) {
+      res.removeHeader('Content-Type');
+      res.removeHeader('Content-Length');
+      res.removeHeader('Transfer-Encoding');
+      chunk = '';
+    }
+
     // Send
     if (req.method === 'HEAD') {
       res.end();
@@ -180,12 +253,129 @@ function enhanceResponse(req, res, app) {
     return res;
   };
 
+  /**
+   * Stream a body of unknown length
+   *
+   * Accepts a Readable, an async iterable or a Web ReadableStream (see
+   * stream.js). The response is sent chunked, with backpressure. Errors
+   * from the source go to next(err); if the headers are already out the
+   * connection is closed instead of sending an error page.
+   *
+   * @param {Readable|AsyncIterable|ReadableStream} source - Body source
+   * @returns {Response} For chaining
+   *
+   * @example
+   * app.get('/report.csv', (req, res) => {
+   *   res.type('text/csv').stream(fs.createReadStream(reportPath));
+   * });
+   */
+  res.stream = function(source) {
+    return streamBody(source, 'application/octet-stream');
+  };
+
+  /**
+   * Stream newline-delimited JSON, one line per item
+   *
+   * Items are serialized with the app's JSON settings, except `json
+   * spaces`: every item must stay on one line. Undefined items are skipped.
+   *
+   * @param {Iterable|AsyncIterable|Readable} items - Items (object mode for Readables)
+   * @returns {Response} For chaining
+   *
+   * @example
+   * app.get('/export', (req, res) => {
+   *   res.ndjson(db.users.cursor());
+   * });
+   */
+  res.ndjson = function(items) {
+    return streamBody(items, 'application/x-ndjson', (item) => {
+      const json = stringify(item, {
+        replacer: app.settings['json replacer'],
+        escape: app.settings['json escape'],
+        serializers: app.settings['json serializers']
+      });
+      return json === undefined ? undefined : json + '\n';
+    });
+  };
+
+  /**
+   * Shared body of res.stream() / res.ndjson()
+   */
+  function streamBody(source, defaultType, serialize) {
+    if (!res.getHeader('Content-Type')) {
+      res.setHeader('Content-Type', defaultType);
+    }
+    res.removeHeader('Content-Length');
+
+    if (req.method === 'HEAD' || res.statusCode === 204 || res.statusCode === 304) {
+      discardBody(source);
+      res.end();
+      return res;
+    }
+
+    pipeBody(res, source, serialize).catch((err) => {
+      if (req.next) {
+        req.next(err);
+      } else {
+        res.destroy(err);
+      }
+    });
+
+    return res;
+  }
+
+  /**
+   * Start a Server-Sent Events stream
+   *
+   * Sends the text/event-stream headers and returns the channel to
+   * send events on. The channel closes itself when the client goes away.
+   *
+   * @param {Object} [options] - Options
+   * @param {number|false} [options.heartbeat=15000] - Keep-alive comment interval (ms)
+   * @param {number} [options.retry] - Client reconnection delay (ms)
+   * @returns {EventChannel} Event channel
+   *
+   * @example
+   * app.get('/events', (req, res) => {
+   *   const channel = res.sse();
+   *   const timer = setInterval(() => channel.send({ event: 'tick', data: Date.now() }), 1000);
+   *   channel.on('close', () => clearInterval(timer));
+   * });
+   */
+  res.sse = function(options = {}) {
+    return new EventChannel(req, res, { serialize: stringifyForApp, ...options });
+  };
+
   /**
    * Send a file
    *
-   * @param {string} filePath - Path to file
+   * Uses the step 07 send engine: ETag / Last-Modified with conditional
+   * 304s, byte ranges (206, multipart/byteranges, 416), Cache-Control
+   * and custom headers. With `root`, the path is relative to it and may
+   * not leave it.
+   *
+   * Without a callback, failures go to next() as in Express, and a
+   * Promise is returned that resolves once the file has been sent or
+   * the error handed on. It never rejects, so it is safe to ignore.
+   *
+   * @param {string} filePath - Path to file (relative to options.root if given)
    * @param {Object} [options] - Options
-   * @param {Function} [callback] - Callback
+   * @param {string} [options.root] - Directory the path is relative to
+   * @param {string} [options.dotfiles='ignore'] - 'allow', 'deny' (403) or 'ignore' (404)
+   * @param {number|string} [options.maxAge=0] - Cache max-age in ms or as '1d'
+   * @param {boolean} [options.cacheControl=true] - Send Cache-Control
+   * @param {boolean} [options.immutable=false] - Add the immutable directive
+   * @param {boolean} [options.acceptRanges=true] - Serve byte ranges
+   * @param {boolean} [options.etag=true] - Send ETag
+   * @param {boolean} [options.lastModified=true] - Send Last-Modified
+   * @param {Object} [options.headers] - Extra headers
+   * @param {Function} [callback] - Called with an error (err.status 403/404) or nothing
+   * @returns {Promise<void>|undefined} Promise when no callback is given
+   *
+   * @example
+   * app.get('/files/:name', (req, res) => {
+   *   return res.sendFile(req.params.name, { root: uploadsDir, maxAge: '1d' });
+   * });
    */
   res.sendFile = function(filePath, options = {}, callback) {
     if (typeof options === 'function') {
@@ -193,38 +383,21 @@ function enhanceResponse(req, res, app) {
       options = {};
     }
 
-    const root = options.root || '';
-    const fullPath = root ? path.join(root, filePath) : filePath;
+    const promise = sendFileWithEngine(req, res, filePath, { dotfiles: 'ignore', ...options });
 
-    fs.stat(fullPath, (err, stats) => {
-      if (err) {
-        if (callback) return callback(err);
-        res.status(404).send('Not Found');
-        return;
-      }
+    if (callback) {
+      // Outside the promise chain, so a throwing callback is not an
+      // unhandled rejection
+      promise.then(() => process.nextTick(callback), err => process.nextTick(callback, err));
+      return;
+    }
 
-      if (!stats.isFile()) {
-        if (callback) return callback(new Error('Not a file'));
-        res.status(404).send('Not Found');
-        return;
+    return promise.then(null, (err) => {
+      if (req.next) {
+        req.next(err);
+      } else {
+        res.destroy(err);
       }
-
-      // Set content type
-      const ext = path.extname(fullPath).toLowerCase();
-      const contentType = MIME_TYPES[ext] || 'application/octet-stream';
-      res.setHeader('Content-Type', contentType);
-      res.setHeader('Content-Length', stats.size);
-
-      // Stream file
-      const stream = fs.createReadStream(fullPath);
-      stream.on('error', (err) => {
-        if (callback) callback(err);
-        else res.status(500).send('Internal Server Error');
-      });
-      stream.on('end', () => {
-        if (callback) callback();
-      });
-      stream.pipe(res);
     });
   };
 
@@ -354,35 +527,39 @@ function enhanceResponse(req, res, app) {
   };
 
   /**
-   * Send download response
+   * Send a file as an attachment
+   *
+   * Content-Disposition carries the filename, with an RFC 5987
+   * `filename*` for names outside ASCII. Takes the same options and
+   * returns the same Promise as res.sendFile().
    *
    * @param {string} filePath - Path to file
-   * @param {string} [filename] - Download filename
-   * @param {Object} [options] - Options
+   * @param {string} [filename] - Download filename (defaults to the file's name)
+   * @param {Object} [options] - res.sendFile() options
    * @param {Function} [callback] - Callback
+   * @returns {Promise<void>|undefined} Promise when no callback is given
    */
   res.download = function(filePath, filename, options, callback) {
     // Handle optional arguments
     if (typeof filename === 'function') {
       callback = filename;
-      filename = path.basename(filePath);
-      options = {};
-    } else if (typeof filename === 'object') {
-      options = filename;
-      filename = path.basename(filePath);
+      filename = null;
+    } else if (typeof filename === 'object' && filename !== null) {
       callback = options;
+      options = filename;
+      filename = null;
     } else if (typeof options === 'function') {
       callback = options;
       options = {};
     }
 
-    filename = filename || path.basename(filePath);
-    options = options || {};
-
-    // Set Content-Disposition header
-    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+    const opts = { ...options };
+    opts.headers = {
+      ...opts.headers,
+      'Content-Disposition': contentDisposition(filename || path.basename(filePath))
+    };
 
-    return res.sendFile(filePath, options, callback);
+    return res.sendFile(filePath, opts, callback);
   };
 
   /**
@@ -393,8 +570,13 @@ function enhanceResponse(req, res, app) {
    */
   res.vary = function(field) {
     const existing = res.getHeader('Vary');
-    const value = existing ? `${existing}, ${field}` : field;
-    res.setHeader('Vary', value);
+    const fields = existing ? String(existing).split(/\s*,\s*/) : [];
+
+    if (!fields.some(f => f === '*' || f.toLowerCase() === field.toLowerCase())) {
+      fields.push(field);
+    }
+
+    res.setHeader('Vary', fields.join(', '));
     return res;
   };
 
@@ -440,18 +622,29 @@ function enhanceResponse(req, res, app) {
   /**
    * Format response based on Accept header
    *
+   * Keys are MIME types or extension shorthands ('json', 'html');
+   * `default` runs when none is acceptable.
+   *
    * @param {Object} obj - Object mapping types to handlers
+   * @returns {Response} For chaining
    */
   res.format = function(obj) {
-    const accept = req.accepts(...Object.keys(obj));
+    const keys = Object.keys(obj).filter(key => key !== 'default');
+    const accept = keys.length > 0 ? req.accepts(keys) : false;
+
+    // The chosen representation depends on Accept
+    res.vary('Accept');
 
     if (accept) {
+      res.type(normalizeType(accept));
       obj[accept](req, res);
     } else if (obj.default) {
       obj.default(req, res);
     } else {
       res.status(406).send('Not Acceptable');
     }
+
+    return res;
   };
 
   return res;
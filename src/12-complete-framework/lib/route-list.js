@@ -0,0 +1,148 @@
+/**
+ * Route listing - Introspect the middleware and routes of an app
+ *
+ * Walks a router stack (descending into nested routers and mounted
+ * sub-apps) and produces one row per middleware layer and per route
+ * method, in the order they run:
+ *
+ *   { type: 'route', method: 'GET', path: '/api/users/:id',
+ *     handlers: ['loadUser', 'showUser'], name: 'user',
+ *     mounts: [{ type: 'router', path: '/api' }] }
+ */
+
+'use strict';
+
+const { joinPaths } = require('../../03-basic-routing/lib/path-to-regexp');
+
+/**
+ * List the layers of a router
+ *
+ * @param {Router} router - Router to walk
+ * @param {string} [prefix=''] - Path the router is mounted at
+ * @param {Array<Object>} [mounts=[]] - Enclosing mounts
+ * @returns {Array<Object>} Route table rows
+ */
+function listRoutes(router, prefix = '', mounts = []) {
+  const rows = [];
+
+  for (const layer of router.stack) {
+    const path = joinPaths(prefix, displayPath(layer.path));
+
+    if (layer.route) {
+      rows.push(...listRouteMethods(layer.route, path, mounts));
+      continue;
+    }
+
+    if (layer.router) {
+      rows.push(...listRoutes(layer.router, path, mounts.concat({ type: 'router', path: displayPath(layer.path) })));
+      continue;
+    }
+
+    if (layer.handler.app) {
+      rows.push(...listRoutes(layer.handler.app._router, path, mounts.concat({ type: 'app', path: displayPath(layer.path) })));
+      continue;
+    }
+
+    rows.push({
+      type: 'middleware',
+      method: 'USE',
+      path,
+      handlers: [layer.name],
+      name: null,
+      mounts
+    });
+  }
+
+  return rows;
+}
+
+/**
+ * One row per method registered on a route
+ */
+function listRouteMethods(route, path, mounts) {
+  if (route.ws) {
+    return [{
+      type: 'route',
+      method: 'WS',
+      path,
+      handlers: route.stack.map(layer => layer.name),
+      name: route.name,
+      mounts
+    }];
+  }
+
+  const methods = route._options().filter(m => m === 'HEAD' ? route.methods.head : true);
+
+  if (route.methods._all) {
+    methods.unshift('ALL');
+  }
+
+  return methods.map(method => ({
+    type: 'route',
+    method,
+    path,
+    handlers: route.stack
+      .filter(layer => !layer.method || layer.method === method)
+      .map(layer => layer.name),
+    name: route.name,
+    mounts
+  }));
+}
+
+/**
+ * Printable form of a layer path (RegExp and array paths included)
+ */
+function displayPath(path) {
+  if (Array.isArray(path)) {
+    return path.map(displayPath).join(',');
+  }
+  return String(path);
+}
+
+/**
+ * Format route rows as an aligned text table
+ *
+ * @param {Array<Object>} rows - Rows from listRoutes() / app.routes()
+ * @returns {string} Table text
+ */
+function formatRoutes(rows) {
+  const header = ['METHOD', 'PATH', 'HANDLERS', 'NAME', 'MOUNTED VIA'];
+  const lines = rows.map(row => [
+    row.method,
+    row.path,
+    row.handlers.join(', '),
+    row.name || '-',
+    row.mounts.map(m => `${m.type} ${m.path}`).join(' > ') || '-'
+  ]);
+
+  const widths = header.map((title, i) => {
+    return Math.max(title.length, ...lines.map(line => line[i].length));
+  });
+
+  const format = (cells) => cells
+    .map((cell, i) => cell.padEnd(widths[i]))
+    .join('  ')
+    .trimEnd();
+
+  return [format(header), ...lines.map(format)].join('\n');
+}
+
+/**
+ * Print the route table of an app or router
+ *
+ * @param {Application|Router} target - App (uses app.routes()) or router
+ * @param {Function} [write=console.log] - Output function
+ * @returns {string} The printed table
+ */
+function printRoutes(target, write = console.log) {
+  const rows = typeof target.routes === 'function' ? target.routes() : listRoutes(target);
+  const table = formatRoutes(rows);
+  write(table);
+  return table;
+}
+
+module.exports = {
+  listRoutes,
+  formatRoutes,
+  printRoutes
+};
@@ -0,0 +1,172 @@
+/**
+ * RouteTree - Radix tree index over a router's stack
+ *
+ * The linear router runs one RegExp per layer on every request. The tree
+ * narrows that down: route layers are inserted by their path segments, so
+ * a lookup only visits the branches the request path can follow and
+ * returns the stack indexes worth testing. Middleware is not indexed -
+ * its indexes are always returned - so the router still walks layers in
+ * registration order and confirms every candidate with layer.match().
+ *
+ * Segments are classified using the layer's path-to-regexp keys:
+ * - static text ('users') becomes a child keyed by the literal
+ * - a lone parameter (':id') becomes the node's param child
+ * - anything else (optional params, wildcards, inline patterns, RegExp
+ *   or array paths) stops indexing; the layer is kept at that node as a
+ *   candidate for every path passing through it
+ */
+
+'use strict';
+
+// Characters that make a segment more than plain text
+const SPECIAL_CHARS = /[:*?+()[\]{}\\]/;
+
+// A segment that is exactly one named parameter
+const PARAM_SEGMENT = /^:([a-zA-Z_][a-zA-Z0-9_]*)$/;
+
+class RouteTree {
+  /**
+   * Build a tree from a router stack
+   *
+   * @param {Layer[]} stack - Router stack
+   * @param {Object} [options] - Options
+   * @param {boolean} [options.caseSensitive=false] - Case sensitive keys
+   */
+  constructor(stack, options = {}) {
+    this.caseSensitive = options.caseSensitive || false;
+    this.root = createNode();
+    this.middleware = [];
+    this.size = stack.length;
+
+    stack.forEach((layer, index) => {
+      if (layer.route) {
+        this.insert(layer, index);
+      } else {
+        this.middleware.push(index);
+      }
+    });
+  }
+
+  /**
+   * Index a route layer
+   *
+   * @param {Layer} layer - Route layer
+   * @param {number} index - Position in the router stack
+   */
+  insert(layer, index) {
+    let node = this.root;
+
+    if (typeof layer.path !== 'string') {
+      node.fallback.push(index);
+      return;
+    }
+
+    const paramNames = layer.keys.map(key => key.name);
+
+    for (const segment of splitPath(layer.path)) {
+      const param = PARAM_SEGMENT.exec(segment);
+
+      if (param && paramNames.includes(param[1])) {
+        node.param = node.param || createNode();
+        node = node.param;
+      } else if (!SPECIAL_CHARS.test(segment)) {
+        const key = this.caseSensitive ? segment : segment.toLowerCase();
+        if (!node.children.has(key)) {
+          node.children.set(key, createNode());
+        }
+        node = node.children.get(key);
+      } else {
+        node.fallback.push(index);
+        return;
+      }
+    }
+
+    node.routes.push(index);
+  }
+
+  /**
+   * Find the stack indexes that may handle a path
+   *
+   * @param {string} path - Request path
+   * @returns {number[]} Sorted stack indexes (middleware and route candidates)
+   */
+  lookup(path) {
+    const segments = splitPath(path);
+    const found = [];
+
+    if (!this.caseSensitive) {
+      for (let i = 0; i < segments.length; i++) {
+        segments[i] = segments[i].toLowerCase();
+      }
+    }
+
+    collect(this.root, segments, 0, found);
+
+    if (found.length === 0) {
+      return this.middleware;
+    }
+
+    found.sort((a, b) => a - b);
+    return mergeSorted(this.middleware, found);
+  }
+}
+
+/**
+ * Create an empty tree node
+ */
+function createNode() {
+  return {
+    children: new Map(),
+    param: null,
+    routes: [],
+    fallback: []
+  };
+}
+
+/**
+ * Split a path into non-empty segments
+ */
+function splitPath(path) {
+  return path.split('/').filter(Boolean);
+}
+
+/**
+ * Walk the tree along the path segments, collecting candidate indexes
+ */
+function collect(node, segments, depth, found) {
+  found.push(...node.fallback);
+
+  if (depth === segments.length) {
+    found.push(...node.routes);
+    return;
+  }
+
+  const child = node.children.get(segments[depth]);
+  if (child) {
+    collect(child, segments, depth + 1, found);
+  }
+
+  if (node.param) {
+    collect(node.param, segments, depth + 1, found);
+  }
+}
+
+/**
+ * Merge two sorted index arrays
+ */
+function mergeSorted(a, b) {
+  const result = [];
+  let i = 0;
+  let j = 0;
+
+  while (i < a.length && j < b.length) {
+    result.push(a[i] < b[j] ? a[i++] : b[j++]);
+  }
+
+  while (i < a.length) result.push(a[i++]);
+  while (j < b.length) result.push(b[j++]);
+
+  return result;
+}
+
+module.exports = RouteTree;
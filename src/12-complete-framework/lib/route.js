@@ -0,0 +1,173 @@
+/**
+ * Route - A path with per-method handler stacks
+ *
+ * Created by router.route(path) / app.route(path) so that handlers for
+ * several HTTP methods can be chained on a single path:
+ *
+ *   app.route('/users')
+ *     .get(listUsers)
+ *     .post(createUser);
+ */
+
+'use strict';
+
+const Layer = require('./layer');
+
+// HTTP methods
+const METHODS = ['get', 'post', 'put', 'delete', 'patch', 'options', 'head'];
+
+class Route {
+  /**
+   * Create a new route
+   *
+   * @param {string} path - Route path
+   * @param {Object} [options] - Route options
+   * @param {string} [options.name] - Name for reverse routing (app.url)
+   */
+  constructor(path, options = {}) {
+    this.path = path;
+    this.name = options.name || null;
+    this.stack = [];
+    this.methods = {};
+    // Set by router.ws(): serves WebSocket upgrades only
+    this.ws = false;
+  }
+
+  /**
+   * Check if this route has handlers for a method
+   *
+   * @param {string} method - HTTP method
+   * @returns {boolean} True if handled
+   * @private
+   */
+  _handles_method(method) {
+    if (this.methods._all) {
+      return true;
+    }
+
+    return Boolean(this.methods[this._resolveMethod(method).toLowerCase()]);
+  }
+
+  /**
+   * Map a request method to the handlers that should serve it
+   *
+   * HEAD falls back to GET when no HEAD handler is registered; the
+   * response methods then suppress the body.
+   *
+   * @param {string} method - HTTP method
+   * @returns {string} Upper-case method to dispatch
+   * @private
+   */
+  _resolveMethod(method) {
+    const name = method.toUpperCase();
+
+    if (name === 'HEAD' && !this.methods.head) {
+      return 'GET';
+    }
+
+    return name;
+  }
+
+  /**
+   * Get the methods this route has handlers for
+   *
+   * @returns {string[]} Upper-case method names
+   * @private
+   */
+  _options() {
+    const methods = Object.keys(this.methods)
+      .filter(m => m !== '_all')
+      .map(m => m.toUpperCase());
+
+    // GET implies HEAD
+    if (this.methods.get && !this.methods.head) {
+      methods.push('HEAD');
+    }
+
+    return methods;
+  }
+
+  /**
+   * Dispatch a request to the handlers registered for its method
+   *
+   * next('route') leaves this route; next('router') is passed up so
+   * the router can exit too.
+   *
+   * @param {Object} req - Request object
+   * @param {Object} res - Response object
+   * @param {Function} done - Called when the route is finished
+   */
+  dispatch(req, res, done) {
+    let idx = 0;
+    const stack = this.stack;
+    const method = this._resolveMethod(req.method);
+
+    const next = (err) => {
+      if (err === 'route') {
+        return done();
+      }
+
+      if (err === 'router') {
+        return done(err);
+      }
+
+      const layer = stack[idx++];
+
+      if (!layer) {
+        return done(err);
+      }
+
+      if (layer.method && layer.method !== method) {
+        return next(err);
+      }
+
+      if (err) {
+        layer.handleError(err, req, res, next);
+      } else {
+        layer.handleRequest(req, res, next);
+      }
+    };
+
+    next();
+  }
+
+  /**
+   * Add handlers for every HTTP method
+   *
+   * @param {...Function} handlers - Handler functions
+   * @returns {Route} For chaining
+   */
+  all(...handlers) {
+    for (const handler of handlers.flat()) {
+      this.stack.push(createLayer(null, handler, 'all'));
+    }
+
+    this.methods._all = true;
+    return this;
+  }
+}
+
+// Add HTTP method shortcuts
+METHODS.forEach(method => {
+  Route.prototype[method] = function(...handlers) {
+    for (const handler of handlers.flat()) {
+      this.stack.push(createLayer(method.toUpperCase(), handler, method));
+    }
+
+    this.methods[method] = true;
+    return this;
+  };
+});
+
+/**
+ * Create a route-level layer, validating the handler
+ */
+function createLayer(method, handler, name) {
+  if (typeof handler !== 'function') {
+    throw new TypeError(`Route.${name}() requires a callback function but got: ${typeof handler}`);
+  }
+
+  return new Layer('/', { method }, handler);
+}
+
+module.exports = Route;
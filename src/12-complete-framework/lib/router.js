@@ -8,12 +8,63 @@
 'use strict';
 
 const Layer = require('./layer');
+const { acceptWebSocket } = require('./websocket');
+const Route = require('./route');
+const RouteTree = require('./route-tree');
+const { joinPaths } = require('../../03-basic-routing/lib/path-to-regexp');
 
 class Router {
+  /**
+   * Create a new router
+   *
+   * @param {Object} [options] - Router options
+   * @param {boolean} [options.caseSensitive=false] - Case sensitive routing
+   * @param {boolean} [options.strict=false] - Strict routing (trailing slash)
+   * @param {boolean} [options.mergeParams=false] - Keep params from the parent router
+   * @param {string} [options.matcher='linear'] - 'tree' to index routes in a RouteTree
+   */
   constructor(options = {}) {
     this.stack = [];
+    this.params = {};
+    this.names = {};
     this.caseSensitive = options.caseSensitive || false;
     this.strict = options.strict || false;
+    this.mergeParams = options.mergeParams || false;
+    this.matcher = options.matcher || 'linear';
+    this._tree = null;
+  }
+
+  /**
+   * Register a parameter preprocessing callback
+   *
+   * The callback runs before any layer whose path declares the parameter,
+   * at most once per request for a given value.
+   *
+   * @param {string|string[]} name - Parameter name(s)
+   * @param {Function} fn - Callback (req, res, next, value, name)
+   * @returns {Router} For chaining
+   *
+   * @example
+   * router.param('userId', (req, res, next, id) => {
+   *   req.user = users.find(u => u.id === id);
+   *   next();
+   * });
+   */
+  param(name, fn) {
+    if (Array.isArray(name)) {
+      for (const n of name) {
+        this.param(n, fn);
+      }
+      return this;
+    }
+
+    if (typeof fn !== 'function') {
+      throw new TypeError(`Router.param() requires a callback function but got: ${typeof fn}`);
+    }
+
+    this.params[name] = this.params[name] || [];
+    this.params[name].push(fn);
+    return this;
   }
 
   /**
@@ -27,13 +78,24 @@ class Router {
     let routePath = '/';
     let fns = handlers;
 
-    if (typeof path === 'function') {
-      fns = [path, ...handlers];
-    } else {
+    if (isPath(path)) {
       routePath = path;
+    } else {
+      fns = [path, ...handlers];
     }
 
-    for (const fn of fns) {
+    for (const fn of fns.flat()) {
+      // Mount a nested router
+      if (fn instanceof Router) {
+        const layer = new Layer(routePath, { end: false }, (req, res, next) => {
+          fn.handle(req, res, next);
+        });
+        layer.name = 'router';
+        layer.router = fn;
+        this.stack.push(layer);
+        continue;
+      }
+
       const layer = new Layer(routePath, { end: false }, fn);
       layer.isMiddleware = true;
       this.stack.push(layer);
@@ -43,30 +105,55 @@ class Router {
   }
 
   /**
-   * Add a route for a specific HTTP method
+   * Create a route for chaining method handlers on one path
    *
-   * @param {string} method - HTTP method
    * @param {string} path - Route path
-   * @param {...Function} handlers - Handler functions
-   * @returns {Router} For chaining
+   * @param {Object} [options] - Route options
+   * @param {string} [options.name] - Name for reverse routing
+   * @returns {Route} Route object
+   *
+   * @example
+   * router.route('/users/:id', { name: 'user' })
+   *   .get(showUser)
+   *   .put(updateUser);
    */
-  route(method, path, ...handlers) {
-    for (const handler of handlers) {
-      const layer = new Layer(path, {
-        end: true,
-        strict: this.strict,
-        sensitive: this.caseSensitive
-      }, handler);
-      layer.method = method.toUpperCase();
-      this.stack.push(layer);
+  route(path, options = {}) {
+    const route = new Route(path, options);
+
+    if (route.name) {
+      if (this.names[route.name]) {
+        throw new Error(`Route name "${route.name}" is already registered`);
+      }
+      this.names[route.name] = route;
     }
 
-    return this;
+    const layer = new Layer(path, {
+      end: true,
+      strict: this.strict,
+      sensitive: this.caseSensitive
+    }, route.dispatch.bind(route));
+    layer.route = route;
+    this.stack.push(layer);
+
+    return route;
   }
 
   /**
    * Handle a request through this router
    *
+   * Handlers can call next('route') to skip the remaining handlers of
+   * the current route, or next('router') to leave this router entirely.
+   *
+   * When a route matches the path but not the method, its methods are
+   * recorded on `req._allowedMethods` so the application can answer
+   * OPTIONS, or 405 Method Not Allowed, if nothing else handles the
+   * request.
+   *
+   * Middleware sees `req.path` and `req.url` relative to its mount point,
+   * with the stripped prefix appended to `req.baseUrl`. These, and
+   * `req.params`, are restored before moving on and when leaving the
+   * router.
+   *
    * @param {Object} req - Request object
    * @param {Object} res - Response object
    * @param {Function} done - Done callback
@@ -74,69 +161,280 @@ class Router {
   handle(req, res, done) {
     let idx = 0;
     const stack = this.stack;
+    const paramCalled = {};
+
+    // Request state to restore between layers
+    const path = req.path;
+    const url = req.url;
+    const search = (url || '').includes('?') ? url.slice(url.indexOf('?')) : '';
+    const baseUrl = req.baseUrl || '';
+    const parentParams = req.params || {};
+
+    // With the tree matcher only candidate layers are visited, in order
+    const candidates = this.matcher === 'tree' ? this._getTree().lookup(path) : null;
+    const count = candidates ? candidates.length : stack.length;
 
     const next = (err) => {
+      req.path = path;
+      req.url = url;
+      req.baseUrl = baseUrl;
+      req.params = parentParams;
+      // For errors raised after the handler returned (e.g. res.stream())
+      req.next = next;
+
+      // Exit this router without an error
+      if (err === 'router') {
+        setImmediate(done);
+        return;
+      }
+
+      // Routes handle 'route' themselves; elsewhere it means carry on
+      if (err === 'route') {
+        err = null;
+      }
+
       // Exit if exhausted
-      if (idx >= stack.length) {
+      if (idx >= count) {
         setImmediate(done, err);
         return;
       }
 
       // Get next layer
-      const layer = stack[idx++];
+      const layer = candidates ? stack[candidates[idx++]] : stack[idx++];
 
       // Match path
-      if (!layer.match(req.path)) {
+      const match = layer.match(path);
+      if (!match) {
         return next(err);
       }
 
-      // Check method
-      if (layer.method && layer.method !== req.method) {
-        return next(err);
+      if (layer.route) {
+        // Routes do not match with a pending error
+        if (err) {
+          return next(err);
+        }
+
+        // WebSocket routes see only upgrade requests, other routes none
+        if (layer.route.ws !== Boolean(req._upgrade)) {
+          return next();
+        }
+
+        // Check method
+        if (!layer.route._handles_method(req.method)) {
+          req._allowedMethods = (req._allowedMethods || []).concat(layer.route._options());
+          return next();
+        }
       }
 
-      // Attach params
-      req.params = { ...req.params, ...layer.params };
+      // Attach params for this layer only
+      req.params = this.mergeParams
+        ? { ...parentParams, ...match.params }
+        : match.params;
+
+      // Strip the mount prefix for middleware and nested routers
+      if (!layer.route && match.matchedPath) {
+        req.baseUrl = baseUrl + match.matchedPath;
+        req.path = path.slice(match.matchedPath.length) || '/';
+        req.url = req.path + search;
+      }
 
-      // Handle error or request
+      // Error handlers run without param preprocessing
       if (err) {
         layer.handleError(err, req, res, next);
-      } else {
-        layer.handleRequest(req, res, next);
+        return;
       }
+
+      this._processParams(layer, paramCalled, req, res, (paramErr) => {
+        if (paramErr) {
+          return next(paramErr);
+        }
+        layer.handleRequest(req, res, next);
+      });
     };
 
     next();
   }
 
+  /**
+   * Find the full path pattern of a named route
+   *
+   * Searches this router first, then nested routers, joining their
+   * mount paths onto the route path.
+   *
+   * @param {string} name - Route name
+   * @returns {string|null} Path pattern relative to this router
+   */
+  resolveName(name) {
+    if (this.names[name]) {
+      return this.names[name].path;
+    }
+
+    for (const layer of this.stack) {
+      if (layer.router) {
+        const subPath = layer.router.resolveName(name);
+        if (subPath !== null) {
+          return joinPaths(layer.path, subPath);
+        }
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Get the route tree, rebuilding it when layers were added
+   *
+   * @returns {RouteTree} Route tree for the current stack
+   * @private
+   */
+  _getTree() {
+    if (!this._tree || this._tree.size !== this.stack.length) {
+      this._tree = new RouteTree(this.stack, { caseSensitive: this.caseSensitive });
+    }
+    return this._tree;
+  }
+
+  /**
+   * Run param callbacks for the parameters a layer declares
+   *
+   * Results are cached in `called` so that a callback is not re-run for
+   * the same value when several layers share the parameter; a cached
+   * error is replayed instead.
+   *
+   * @param {Layer} layer - Matched layer
+   * @param {Object} called - Per-request cache keyed by param name
+   * @param {Object} req - Request object
+   * @param {Object} res - Response object
+   * @param {Function} done - Callback(err)
+   * @private
+   */
+  _processParams(layer, called, req, res, done) {
+    const keys = layer.keys;
+    let keyIndex = 0;
+
+    if (keys.length === 0 || Object.keys(this.params).length === 0) {
+      return done();
+    }
+
+    const nextParam = (err) => {
+      if (err) {
+        return done(err);
+      }
+
+      if (keyIndex >= keys.length) {
+        return done();
+      }
+
+      const name = keys[keyIndex++].name;
+      const value = req.params[name];
+      const callbacks = this.params[name];
+
+      if (value === undefined || !callbacks) {
+        return nextParam();
+      }
+
+      // Already processed for this value
+      const previous = called[name];
+      if (previous && previous.value === value) {
+        return nextParam(previous.error);
+      }
+
+      const state = called[name] = { value, error: null };
+      let fnIndex = 0;
+
+      const nextCallback = (cbErr) => {
+        if (cbErr) {
+          state.error = cbErr;
+          return done(cbErr);
+        }
+
+        const fn = callbacks[fnIndex++];
+        if (!fn) {
+          return nextParam();
+        }
+
+        try {
+          const ret = fn(req, res, nextCallback, value, name);
+          if (ret && typeof ret.then === 'function') {
+            ret.then(null, (e) => nextCallback(e || new Error('Rejected promise')));
+          }
+        } catch (e) {
+          nextCallback(e);
+        }
+      };
+
+      nextCallback();
+    };
+
+    nextParam();
+  }
+
   /**
    * Create route methods (get, post, put, delete, patch, etc.)
    */
   _createMethod(method) {
     return function(path, ...handlers) {
-      return this.route(method, path, ...handlers);
+      const options = extractRouteOptions(handlers);
+      this.route(path, options)[method](...handlers);
+      return this;
     };
   }
 }
 
+/**
+ * Check if a router.use() argument is a mount path
+ */
+function isPath(value) {
+  if (Array.isArray(value)) {
+    return value.length > 0 && value.every(isPath);
+  }
+  return typeof value === 'string' || value instanceof RegExp;
+}
+
+/**
+ * Take a leading route options object off a handler list
+ *
+ * Allows `router.get('/users/:id', { name: 'user' }, handler)`.
+ */
+function extractRouteOptions(handlers) {
+  const first = handlers[0];
+  if (first && typeof first === 'object' && !Array.isArray(first)) {
+    return handlers.shift();
+  }
+  return {};
+}
+
 // Add HTTP method shortcuts
 ['get', 'post', 'put', 'delete', 'patch', 'options', 'head'].forEach(method => {
-  Router.prototype[method] = function(path, ...handlers) {
-    return this.route(method, path, ...handlers);
-  };
+  Router.prototype[method] = Router.prototype._createMethod(method);
 });
 
+/**
+ * Register a WebSocket route
+ *
+ * Leading handlers are ordinary middleware (req, res, next) that run
+ * before the handshake and may reject it; the last one is called as
+ * handler(ws, req) once the connection is open. Route options may also
+ * set `maxPayload` (default '1mb').
+ *
+ * @param {string} path - Route path
+ * @param {...Function} handlers - Middleware, then the connection handler
+ * @returns {Router} For chaining
+ */
+Router.prototype.ws = function(path, ...handlers) {
+  const { maxPayload, ...options } = extractRouteOptions(handlers);
+  const handler = handlers.pop();
+  const route = this.route(path, options);
+
+  route.ws = true;
+  route.get(...handlers, acceptWebSocket(handler, { maxPayload }));
+  return this;
+};
+
 // Add 'all' method
 Router.prototype.all = function(path, ...handlers) {
-  for (const handler of handlers) {
-    const layer = new Layer(path, {
-      end: true,
-      strict: this.strict,
-      sensitive: this.caseSensitive
-    }, handler);
-    // No method restriction
-    this.stack.push(layer);
-  }
+  const options = extractRouteOptions(handlers);
+  this.route(path, options).all(...handlers);
   return this;
 };
 
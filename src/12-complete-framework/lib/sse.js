@@ -0,0 +1,240 @@
+/**
+ * SSE - Server-Sent Events
+ *
+ * res.sse() turns a response into an event stream (text/event-stream)
+ * and returns an EventChannel to write to:
+ *
+ *   app.get('/events', (req, res) => {
+ *     const channel = res.sse({ heartbeat: 15000 });
+ *     channel.send({ event: 'hello', data: { since: req.lastEventId } });
+ *   });
+ *
+ * An EventHub keeps track of open channels so that any route can
+ * publish to every connected client:
+ *
+ *   const hub = express.eventHub();
+ *   app.get('/events', (req, res) => hub.add(res.sse()));
+ *   app.post('/messages', (req, res) => {
+ *     hub.broadcast({ event: 'message', data: req.body });
+ *     res.sendStatus(204);
+ *   });
+ */
+
+'use strict';
+
+const { EventEmitter } = require('events');
+
+/**
+ * One client's event stream
+ *
+ * Emits 'close' once, when the client disconnects or close() is called.
+ */
+class EventChannel extends EventEmitter {
+  /**
+   * @param {http.IncomingMessage} req - Request
+   * @param {http.ServerResponse} res - Response
+   * @param {Object} [options] - Options
+   * @param {number|false} [options.heartbeat=15000] - Comment interval (ms)
+   *   that keeps proxies from closing an idle connection
+   * @param {number} [options.retry] - Reconnection delay sent to the client (ms)
+   * @param {Function} [options.serialize=JSON.stringify] - Converts non-string data
+   */
+  constructor(req, res, options = {}) {
+    super();
+
+    this.req = req;
+    this.res = res;
+    this.lastEventId = req.headers['last-event-id'];
+    this.closed = false;
+    this._serialize = options.serialize || JSON.stringify;
+    this._timer = null;
+
+    res.statusCode = 200;
+    res.setHeader('Content-Type', 'text/event-stream; charset=utf-8');
+    res.setHeader('Cache-Control', 'no-cache');
+    // Tell nginx not to buffer the stream
+    res.setHeader('X-Accel-Buffering', 'no');
+    res.removeHeader('Content-Length');
+
+    // Events are small; send them as soon as they are written
+    req.socket.setNoDelay(true);
+    req.socket.setTimeout(0);
+
+    res.flushHeaders();
+
+    if (options.retry !== undefined) {
+      this._write(`retry: ${Math.floor(options.retry)}\n\n`);
+    }
+
+    const heartbeat = options.heartbeat === undefined ? 15000 : options.heartbeat;
+    if (heartbeat) {
+      this._timer = setInterval(() => this.comment(), heartbeat);
+      this._timer.unref();
+    }
+
+    this._onClose = () => this._cleanup();
+    res.on('close', this._onClose);
+  }
+
+  /**
+   * Send an event
+   *
+   * @param {Object|string} message - Event, or just its data
+   * @param {*} [message.data] - Payload; non-strings are serialized
+   * @param {string} [message.event] - Event type (default 'message')
+   * @param {string|number} [message.id] - Event ID, echoed back by the
+   *   client as Last-Event-ID when it reconnects
+   * @param {number} [message.retry] - New reconnection delay (ms)
+   * @returns {boolean} False if the client is not keeping up (or is gone)
+   */
+  send(message) {
+    if (typeof message !== 'object' || message === null) {
+      message = { data: message };
+    }
+
+    let frame = '';
+
+    if (message.event !== undefined) {
+      frame += `event: ${singleLine(message.event)}\n`;
+    }
+
+    if (message.id !== undefined) {
+      frame += `id: ${singleLine(message.id).replace(/\0/g, '')}\n`;
+    }
+
+    if (message.retry !== undefined) {
+      frame += `retry: ${Math.floor(message.retry)}\n`;
+    }
+
+    if (message.data !== undefined) {
+      const data = typeof message.data === 'string'
+        ? message.data
+        : this._serialize(message.data);
+
+      // Every line of the payload needs its own field
+      for (const line of String(data).split(/\r\n|\r|\n/)) {
+        frame += `data: ${line}\n`;
+      }
+    }
+
+    return this._write(frame + '\n');
+  }
+
+  /**
+   * Send a comment line (ignored by clients)
+   *
+   * @param {string} [text=''] - Comment text
+   * @returns {boolean} False if the client is not keeping up (or is gone)
+   */
+  comment(text = '') {
+    return this._write(`: ${singleLine(text)}\n\n`);
+  }
+
+  /**
+   * End the stream
+   */
+  close() {
+    if (this.closed) return;
+
+    this.res.end();
+    this._cleanup();
+  }
+
+  _write(chunk) {
+    if (this.closed) {
+      return false;
+    }
+
+    const ok = this.res.write(chunk);
+
+    // Push through express.compress() if it is buffering
+    if (typeof this.res.flush === 'function') {
+      this.res.flush();
+    }
+
+    return ok;
+  }
+
+  _cleanup() {
+    if (this.closed) return;
+
+    this.closed = true;
+    clearInterval(this._timer);
+    this.res.removeListener('close', this._onClose);
+    this.emit('close');
+  }
+}
+
+/**
+ * In-process registry of open channels, for broadcasting
+ */
+class EventHub {
+  constructor() {
+    this.channels = new Set();
+  }
+
+  /**
+   * Number of open channels
+   */
+  get size() {
+    return this.channels.size;
+  }
+
+  /**
+   * Register a channel; it is removed again when it closes
+   *
+   * @param {EventChannel} channel - Channel from res.sse()
+   * @returns {EventChannel} The channel
+   */
+  add(channel) {
+    if (channel.closed) {
+      return channel;
+    }
+
+    this.channels.add(channel);
+    channel.once('close', () => this.channels.delete(channel));
+    return channel;
+  }
+
+  /**
+   * Send an event to every open channel
+   *
+   * @param {Object|string} message - Event (see EventChannel#send)
+   * @param {Object} [options] - Options
+   * @param {Function} [options.filter] - fn(channel) => boolean, to pick recipients
+   * @returns {number} Number of channels the event was sent to
+   */
+  broadcast(message, options = {}) {
+    let count = 0;
+
+    for (const channel of this.channels) {
+      if (options.filter && !options.filter(channel)) continue;
+
+      channel.send(message);
+      count++;
+    }
+
+    return count;
+  }
+
+  /**
+   * Close every channel (e.g. on shutdown)
+   */
+  close() {
+    for (const channel of this.channels) {
+      channel.close();
+    }
+  }
+}
+
+/**
+ * Remove line breaks, which would end the field
+ */
+function singleLine(value) {
+  return String(value).replace(/[\r\n]+/g, ' ');
+}
+
+module.exports = {
+  EventChannel,
+  EventHub
+};
@@ -0,0 +1,126 @@
+/**
+ * Stream - Write streaming bodies to a response
+ *
+ * res.send() and res.stream() accept:
+ * - Node.js Readable streams
+ * - async iterables (async generators, readable.iterator(), ...)
+ * - Web ReadableStreams (fetch() response bodies)
+ *
+ * Each chunk is written with res.write(); when it returns false the
+ * next chunk waits for 'drain', so a slow client slows the source down
+ * instead of piling data up in memory.
+ *
+ * If the client disconnects, Readables are destroyed and Web streams
+ * cancelled right away; iterables are stopped (iterator.return(), which
+ * runs a generator's finally blocks) before their next chunk is written.
+ */
+
+'use strict';
+
+const { waitForDrain } = require('../../07-static-file-serving/lib/send');
+
+/**
+ * Check whether a value is a streaming body
+ *
+ * @param {*} value - Body passed to res.send() / res.stream()
+ * @returns {boolean} True for Readables, async iterables and Web streams
+ */
+function isStreamable(value) {
+  if (typeof value !== 'object' || value === null) {
+    return false;
+  }
+
+  return typeof value.pipe === 'function' ||
+    typeof value.getReader === 'function' ||
+    typeof value[Symbol.asyncIterator] === 'function';
+}
+
+/**
+ * Write a source to the response chunk by chunk, then end it
+ *
+ * @param {http.ServerResponse} res - Response
+ * @param {Readable|AsyncIterable|ReadableStream|Iterable} source - Body source
+ * @param {Function} [serialize] - Maps each item to a string or Buffer
+ *   (undefined skips the item)
+ * @returns {Promise<void>} Resolves when the body is sent or the client
+ *   went away; rejects with the source's (or serialize's) error
+ */
+async function pipeBody(res, source, serialize) {
+  const reader = typeof source.getReader === 'function' ? source.getReader() : null;
+  const iterable = reader ? readWebStream(reader) : source;
+  let aborted = false;
+
+  const onClose = () => {
+    if (res.writableFinished) return;
+
+    aborted = true;
+    if (reader) {
+      reader.cancel().catch(() => {});
+    } else if (typeof source.destroy === 'function') {
+      source.destroy();
+    }
+  };
+
+  res.on('close', onClose);
+
+  try {
+    for await (const item of iterable) {
+      if (aborted) break;
+
+      const chunk = serialize ? serialize(item) : item;
+      if (chunk === undefined) continue;
+
+      if (res.write(chunk) === false) {
+        await waitForDrain(res);
+      }
+    }
+
+    if (!aborted) {
+      res.end();
+    }
+  } catch (err) {
+    // Errors caused by the disconnect itself are not worth reporting
+    if (!aborted) {
+      discardBody(source);
+      throw err;
+    }
+  } finally {
+    res.removeListener('close', onClose);
+  }
+}
+
+/**
+ * Stop a source that will not be read (HEAD, 204, 304)
+ *
+ * @param {Readable|AsyncIterable|ReadableStream} source - Body source
+ */
+function discardBody(source) {
+  if (typeof source.cancel === 'function') {
+    source.cancel().catch(() => {});
+  } else if (typeof source.destroy === 'function') {
+    source.destroy();
+  } else if (typeof source.return === 'function') {
+    Promise.resolve(source.return()).catch(() => {});
+  }
+}
+
+/**
+ * Iterate a Web ReadableStream through its reader
+ */
+async function* readWebStream(reader) {
+  try {
+    while (true) {
+      const { done, value } = await reader.read();
+      if (done) return;
+      yield value;
+    }
+  } finally {
+    reader.releaseLock();
+  }
+}
+
+module.exports = {
+  isStreamable,
+  pipeBody,
+  discardBody
+};
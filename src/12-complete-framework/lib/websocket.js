@@ -0,0 +1,787 @@
+/**
+ * WebSocket - RFC 6455 server connections
+ *
+ * app.ws(path, ...middleware, handler) registers a WebSocket route.
+ * Upgrade requests go through the app's middleware like any other
+ * request (cookies, sessions, auth), so middleware can still turn them
+ * down with a normal HTTP response. The route then completes the
+ * handshake and calls handler(ws, req):
+ *
+ *   app.ws('/echo', requireUser, (ws, req) => {
+ *     ws.on('message', (data, isBinary) => ws.send(data));
+ *   });
+ *
+ * The frame codec handles text and binary messages, fragmentation,
+ * ping/pong and the closing handshake. Client frames must be masked,
+ * use no extensions (RSV bits clear) and text must be valid UTF-8;
+ * violations close the connection with the matching status code.
+ *
+ * A SocketHub groups connections into rooms for broadcasting:
+ *
+ *   const hub = express.socketHub();
+ *   app.ws('/chat', (ws, req) => {
+ *     hub.join(ws, 'lobby');
+ *     ws.on('message', (data) => hub.to('lobby').send(data, { except: ws }));
+ *   });
+ */
+
+'use strict';
+
+const crypto = require('crypto');
+const { EventEmitter } = require('events');
+const { parseBytes } = require('../../10-body-parsers/lib/bytes');
+
+// Appended to Sec-WebSocket-Key to build Sec-WebSocket-Accept
+const GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+
+const OPCODES = {
+  CONTINUATION: 0x0,
+  TEXT: 0x1,
+  BINARY: 0x2,
+  CLOSE: 0x8,
+  PING: 0x9,
+  PONG: 0xa
+};
+
+// Connection states (same values as the browser WebSocket API)
+const CONNECTING = 0;
+const OPEN = 1;
+const CLOSING = 2;
+const CLOSED = 3;
+
+// How long to wait for the peer to answer our close frame
+const CLOSE_TIMEOUT = 5000;
+
+/**
+ * Error that fails the connection with a close code
+ */
+class WebSocketError extends Error {
+  constructor(code, message) {
+    super(message);
+    this.name = 'WebSocketError';
+    this.code = code;
+  }
+}
+
+/**
+ * Compute Sec-WebSocket-Accept for a Sec-WebSocket-Key
+ *
+ * @param {string} key - Client key
+ * @returns {string} Accept value
+ */
+function acceptKey(key) {
+  return crypto.createHash('sha1').update(key + GUID).digest('base64');
+}
+
+/**
+ * Encode one frame
+ *
+ * @param {number} opcode - Frame opcode
+ * @param {Buffer} payload - Payload
+ * @param {Object} [options] - Options
+ * @param {boolean} [options.fin=true] - Last frame of the message
+ * @param {boolean} [options.mask=false] - Mask the payload (client side)
+ * @returns {Buffer} Frame bytes
+ */
+function encodeFrame(opcode, payload, options = {}) {
+  const length = payload.length;
+  let offset = 2;
+
+  if (length > 0xffff) {
+    offset += 8;
+  } else if (length > 125) {
+    offset += 2;
+  }
+
+  const maskKey = options.mask ? crypto.randomBytes(4) : null;
+  const frame = Buffer.alloc(offset + (maskKey ? 4 : 0) + length);
+
+  frame[0] = (options.fin === false ? 0 : 0x80) | opcode;
+
+  if (length > 0xffff) {
+    frame[1] = 127;
+    frame.writeBigUInt64BE(BigInt(length), 2);
+  } else if (length > 125) {
+    frame[1] = 126;
+    frame.writeUInt16BE(length, 2);
+  } else {
+    frame[1] = length;
+  }
+
+  if (!maskKey) {
+    payload.copy(frame, offset);
+    return frame;
+  }
+
+  frame[1] |= 0x80;
+  maskKey.copy(frame, offset);
+  offset += 4;
+
+  for (let i = 0; i < length; i++) {
+    frame[offset + i] = payload[i] ^ maskKey[i & 3];
+  }
+
+  return frame;
+}
+
+/**
+ * Incremental frame decoder
+ *
+ * Feed it socket data with push(); it returns the frames completed so
+ * far and keeps any partial frame for the next call.
+ */
+class FrameParser {
+  /**
+   * @param {Object} [options] - Options
+   * @param {number} [options.maxPayload=Infinity] - Largest frame payload
+   * @param {boolean} [options.masked=true] - Whether frames must be masked
+   */
+  constructor(options = {}) {
+    this.maxPayload = options.maxPayload || Infinity;
+    this.masked = options.masked !== false;
+    this.buffer = Buffer.alloc(0);
+  }
+
+  /**
+   * Decode the frames in the data received so far
+   *
+   * @param {Buffer} chunk - New data
+   * @returns {Array<{fin: boolean, opcode: number, payload: Buffer}>} Frames
+   * @throws {WebSocketError} On a protocol violation
+   */
+  push(chunk) {
+    this.buffer = this.buffer.length ? Buffer.concat([this.buffer, chunk]) : chunk;
+
+    const frames = [];
+    let frame;
+
+    while ((frame = this._next())) {
+      frames.push(frame);
+    }
+
+    return frames;
+  }
+
+  _next() {
+    const buf = this.buffer;
+    if (buf.length < 2) return null;
+
+    const fin = (buf[0] & 0x80) !== 0;
+    const opcode = buf[0] & 0x0f;
+    const masked = (buf[1] & 0x80) !== 0;
+    let length = buf[1] & 0x7f;
+    let offset = 2;
+
+    if (buf[0] & 0x70) {
+      throw new WebSocketError(1002, 'RSV bits must be clear');
+    }
+
+    if (!Object.values(OPCODES).includes(opcode)) {
+      throw new WebSocketError(1002, `invalid opcode: ${opcode}`);
+    }
+
+    if (masked !== this.masked) {
+      throw new WebSocketError(1002, masked ? 'frames must not be masked' : 'frames must be masked');
+    }
+
+    if (opcode >= OPCODES.CLOSE && (!fin || length > 125)) {
+      throw new WebSocketError(1002, 'invalid control frame');
+    }
+
+    if (length === 126) {
+      if (buf.length < 4) return null;
+      length = buf.readUInt16BE(2);
+      offset = 4;
+    } else if (length === 127) {
+      if (buf.length < 10) return null;
+      const big = buf.readBigUInt64BE(2);
+      length = big > BigInt(Number.MAX_SAFE_INTEGER) ? Infinity : Number(big);
+      offset = 10;
+    }
+
+    if (length > this.maxPayload) {
+      throw new WebSocketError(1009, 'payload too large');
+    }
+
+    const maskOffset = offset;
+    if (masked) offset += 4;
+
+    if (buf.length < offset + length) return null;
+
+    const payload = Buffer.from(buf.subarray(offset, offset + length));
+    if (masked) {
+      for (let i = 0; i < length; i++) {
+        payload[i] ^= buf[maskOffset + (i & 3)];
+      }
+    }
+
+    this.buffer = buf.subarray(offset + length);
+    return { fin, opcode, payload };
+  }
+}
+
+/**
+ * Server side of a WebSocket connection
+ *
+ * Events:
+ * - 'message' (data, isBinary): string for text, Buffer for binary
+ * - 'ping' (payload), 'pong' (payload)
+ * - 'close' (code, reason): 1005 if the peer sent no code, 1006 if the
+ *   connection dropped without a closing handshake
+ * - 'error' (err): protocol violations and socket errors, only emitted
+ *   when someone listens. An exception thrown by a 'message' or 'ping'
+ *   listener closes the connection with 1011 and is emitted here too, or
+ *   logged to stderr when nobody listens (the server keeps running).
+ */
+class WebSocket extends EventEmitter {
+  /**
+   * @param {net.Socket} socket - Upgraded socket
+   * @param {Buffer} [head] - Data received after the handshake
+   * @param {Object} [options] - Options
+   * @param {number|string} [options.maxPayload='1mb'] - Largest message
+   */
+  constructor(socket, head, options = {}) {
+    super();
+
+    this.socket = socket;
+    this.readyState = OPEN;
+    this.maxPayload = parseBytes(options.maxPayload === undefined ? '1mb' : options.maxPayload);
+
+    this._parser = new FrameParser({ maxPayload: this.maxPayload });
+    this._fragments = null;
+    this._fragmentOpcode = 0;
+    this._fragmentLength = 0;
+    this._closeCode = 1006;
+    this._closeReason = '';
+    this._closeTimer = null;
+
+    socket.setNoDelay(true);
+    socket.setTimeout(0);
+
+    socket.on('data', chunk => this._onData(chunk));
+    socket.on('error', err => this._onError(err));
+    socket.on('close', () => this._onClose());
+    socket.on('end', () => socket.end());
+
+    if (head && head.length) {
+      process.nextTick(() => this._onData(head));
+    }
+  }
+
+  /**
+   * Bytes queued on the socket, not yet sent
+   */
+  get bufferedAmount() {
+    return this.socket.writableLength;
+  }
+
+  /**
+   * Send a message
+   *
+   * @param {string|Buffer|ArrayBuffer|ArrayBufferView} data - Strings
+   *   are sent as text, anything else as binary
+   * @param {Function} [callback] - Called once the data is written
+   * @returns {boolean} False if the socket is backed up or not open
+   */
+  send(data, callback) {
+    return this._sendFrame(encodeMessage(data), callback);
+  }
+
+  /**
+   * Send a ping
+   *
+   * @param {string|Buffer} [data] - Up to 125 bytes
+   */
+  ping(data = '') {
+    this._sendFrame(encodeFrame(OPCODES.PING, controlPayload(data)));
+  }
+
+  /**
+   * Start the closing handshake
+   *
+   * @param {number} [code=1000] - Status code
+   * @param {string} [reason=''] - Reason (up to 123 bytes)
+   */
+  close(code = 1000, reason = '') {
+    if (this.readyState !== OPEN) return;
+
+    this.readyState = CLOSING;
+    this._sendFrame(encodeFrame(OPCODES.CLOSE, closePayload(code, reason)), null, true);
+
+    // Do not wait forever for the peer's close frame
+    this._closeTimer = setTimeout(() => this.socket.destroy(), CLOSE_TIMEOUT);
+    this._closeTimer.unref();
+  }
+
+  /**
+   * Drop the connection without a closing handshake
+   */
+  terminate() {
+    this.socket.destroy();
+  }
+
+  _sendFrame(frame, callback, force) {
+    if (this.readyState !== OPEN && !force) {
+      return false;
+    }
+
+    return this.socket.write(frame, callback);
+  }
+
+  _onData(chunk) {
+    if (this.readyState === CLOSED) return;
+
+    try {
+      for (const frame of this._parser.push(chunk)) {
+        this._onFrame(frame);
+      }
+    } catch (err) {
+      this._fail(err);
+    }
+  }
+
+  _onFrame({ fin, opcode, payload }) {
+    switch (opcode) {
+      case OPCODES.PING:
+        this._sendFrame(encodeFrame(OPCODES.PONG, payload));
+        this.emit('ping', payload);
+        return;
+
+      case OPCODES.PONG:
+        this.emit('pong', payload);
+        return;
+
+      case OPCODES.CLOSE:
+        this._onCloseFrame(payload);
+        return;
+    }
+
+    // Data frames: text/binary start a message, continuation extends it
+    if (opcode === OPCODES.CONTINUATION) {
+      if (!this._fragments) {
+        throw new WebSocketError(1002, 'unexpected continuation frame');
+      }
+    } else if (this._fragments) {
+      throw new WebSocketError(1002, 'expected continuation frame');
+    } else {
+      this._fragments = [];
+      this._fragmentOpcode = opcode;
+      this._fragmentLength = 0;
+    }
+
+    this._fragmentLength += payload.length;
+    if (this._fragmentLength > this.maxPayload) {
+      throw new WebSocketError(1009, 'message too large');
+    }
+
+    this._fragments.push(payload);
+    if (!fin) return;
+
+    const data = Buffer.concat(this._fragments);
+    const isBinary = this._fragmentOpcode === OPCODES.BINARY;
+    this._fragments = null;
+
+    if (this.readyState !== OPEN) return;
+
+    if (isBinary) {
+      this.emit('message', data, true);
+    } else {
+      this.emit('message', decodeText(data), false);
+    }
+  }
+
+  _onCloseFrame(payload) {
+    if (payload.length === 1) {
+      throw new WebSocketError(1002, 'invalid close frame');
+    }
+
+    if (payload.length >= 2) {
+      const code = payload.readUInt16BE(0);
+      if (!isValidCloseCode(code)) {
+        throw new WebSocketError(1002, `invalid close code: ${code}`);
+      }
+      this._closeCode = code;
+      this._closeReason = decodeText(payload.subarray(2));
+    } else {
+      this._closeCode = 1005;
+    }
+
+    // Answer the peer's close with our own, then hang up
+    if (this.readyState === OPEN) {
+      this.readyState = CLOSING;
+      const reply = payload.length >= 2 ? closePayload(this._closeCode, '') : Buffer.alloc(0);
+      this.socket.end(encodeFrame(OPCODES.CLOSE, reply));
+    } else {
+      this.socket.end();
+    }
+  }
+
+  _fail(err) {
+    // Anything but a WebSocketError was thrown by a 'message' or 'ping'
+    // listener: not the peer's fault, so close with 1011 and surface it
+    const isProtocolError = err instanceof WebSocketError;
+    const code = isProtocolError ? err.code : 1011;
+
+    if (this.readyState === OPEN) {
+      this.readyState = CLOSING;
+      this._closeCode = code;
+      this._closeReason = err.message;
+      this.socket.end(encodeFrame(OPCODES.CLOSE, closePayload(code, '')));
+    } else {
+      this.socket.destroy();
+    }
+
+    if (!isProtocolError) {
+      this._reportError(err);
+    } else if (this.listenerCount('error') > 0) {
+      this.emit('error', err);
+    }
+  }
+
+  /**
+   * Surface an application error without throwing into the socket's
+   * event handlers, where it would take the whole process down
+   */
+  _reportError(err) {
+    if (this.listenerCount('error') > 0) {
+      this.emit('error', err);
+    } else {
+      console.error(err.stack || err);
+    }
+  }
+
+  _onError(err) {
+    if (this.listenerCount('error') > 0) {
+      this.emit('error', err);
+    }
+    this.socket.destroy();
+  }
+
+  _onClose() {
+    if (this.readyState === CLOSED) return;
+
+    this.readyState = CLOSED;
+    clearTimeout(this._closeTimer);
+    this.emit('close', this._closeCode, this._closeReason);
+  }
+}
+
+WebSocket.CONNECTING = CONNECTING;
+WebSocket.OPEN = OPEN;
+WebSocket.CLOSING = CLOSING;
+WebSocket.CLOSED = CLOSED;
+
+/**
+ * Check the handshake headers of an upgrade request
+ *
+ * @param {http.IncomingMessage} req - Upgrade request
+ * @returns {Error|null} Error with a status (400 or 426), or null
+ */
+function checkHandshake(req) {
+  const headers = req.headers;
+  const error = (status, message) => {
+    const err = new Error(message);
+    err.status = status;
+    err.expose = true;
+    return err;
+  };
+
+  if (req.method !== 'GET') {
+    return error(400, 'WebSocket handshake must use GET');
+  }
+
+  if (String(headers.upgrade).toLowerCase() !== 'websocket' ||
+      !/(?:^|,)\s*upgrade\s*(?:,|$)/i.test(headers.connection || '')) {
+    return error(400, 'Missing WebSocket upgrade headers');
+  }
+
+  if (headers['sec-websocket-version'] !== '13') {
+    return error(426, 'Unsupported WebSocket version');
+  }
+
+  const key = headers['sec-websocket-key'];
+  if (!key || Buffer.from(key, 'base64').length !== 16) {
+    return error(400, 'Invalid Sec-WebSocket-Key');
+  }
+
+  return null;
+}
+
+/**
+ * Build the final handler of an app.ws() route
+ *
+ * Completes the handshake on the upgraded socket and calls
+ * handler(ws, req). Headers set by earlier middleware (e.g.
+ * Set-Cookie) are sent with the 101 response. If the handler throws or
+ * rejects, the connection is closed with 1011 and the error is reported
+ * like a listener exception.
+ *
+ * @param {Function} handler - fn(ws, req)
+ * @param {Object} [options] - WebSocket options (maxPayload)
+ * @returns {Function} Route handler
+ */
+function acceptWebSocket(handler, options = {}) {
+  const websocketHandshake = function(req, res, next) {
+    const err = checkHandshake(req);
+    if (err) {
+      if (err.status === 426) {
+        res.setHeader('Sec-WebSocket-Version', '13');
+      }
+      return next(err);
+    }
+
+    const { socket, head } = req._upgrade;
+    const lines = [
+      'HTTP/1.1 101 Switching Protocols',
+      'Upgrade: websocket',
+      'Connection: Upgrade',
+      `Sec-WebSocket-Accept: ${acceptKey(req.headers['sec-websocket-key'])}`
+    ];
+
+    for (const [name, value] of Object.entries(res.getHeaders())) {
+      if (/^(content-|transfer-encoding$|connection$|upgrade$)/i.test(name)) continue;
+      for (const item of [].concat(value)) {
+        lines.push(`${name}: ${item}`);
+      }
+    }
+
+    // The socket now belongs to the WebSocket, not the HTTP response
+    res.detachSocket(socket);
+    socket.removeAllListeners('error');
+    socket.write(lines.join('\r\n') + '\r\n\r\n');
+
+    const ws = new WebSocket(socket, head, options);
+    req.ws = ws;
+
+    const fail = (err) => {
+      ws.close(1011);
+      ws._reportError(err);
+    };
+
+    try {
+      const ret = handler(ws, req);
+      if (ret && typeof ret.then === 'function') {
+        ret.then(null, fail);
+      }
+    } catch (err) {
+      fail(err);
+    }
+  };
+
+  // Route listings show the user's handler
+  Object.defineProperty(websocketHandshake, 'name', { value: handler.name || 'websocketHandshake' });
+  return websocketHandshake;
+}
+
+/**
+ * Rooms and broadcasting for a set of connections
+ *
+ * Connections leave the hub (and all their rooms) when they close.
+ */
+class SocketHub {
+  constructor() {
+    this.clients = new Set();
+    this.rooms = new Map();
+  }
+
+  /**
+   * Number of open connections
+   */
+  get size() {
+    return this.clients.size;
+  }
+
+  /**
+   * Register a connection
+   *
+   * @param {WebSocket} ws - Connection
+   * @returns {WebSocket} The connection
+   */
+  add(ws) {
+    if (this.clients.has(ws) || ws.readyState !== OPEN) {
+      return ws;
+    }
+
+    this.clients.add(ws);
+    ws.once('close', () => {
+      this.clients.delete(ws);
+      for (const room of this.roomsOf(ws)) {
+        this.leave(ws, room);
+      }
+    });
+
+    return ws;
+  }
+
+  /**
+   * Add a connection to a room (and to the hub)
+   *
+   * @param {WebSocket} ws - Connection
+   * @param {string} room - Room name
+   */
+  join(ws, room) {
+    this.add(ws);
+    if (!this.clients.has(ws)) return;
+
+    if (!this.rooms.has(room)) {
+      this.rooms.set(room, new Set());
+    }
+    this.rooms.get(room).add(ws);
+  }
+
+  /**
+   * Remove a connection from a room
+   *
+   * @param {WebSocket} ws - Connection
+   * @param {string} room - Room name
+   */
+  leave(ws, room) {
+    const members = this.rooms.get(room);
+    if (!members) return;
+
+    members.delete(ws);
+    if (members.size === 0) {
+      this.rooms.delete(room);
+    }
+  }
+
+  /**
+   * Rooms a connection is in
+   *
+   * @param {WebSocket} ws - Connection
+   * @returns {string[]} Room names
+   */
+  roomsOf(ws) {
+    return [...this.rooms].filter(([, members]) => members.has(ws)).map(([room]) => room);
+  }
+
+  /**
+   * Send to every connection, or to one room
+   *
+   * The frame is encoded once and written to each connection.
+   *
+   * @param {string|Buffer} data - Message
+   * @param {Object} [options] - Options
+   * @param {string} [options.room] - Only this room's members
+   * @param {WebSocket} [options.except] - Skip this connection (usually the sender)
+   * @returns {number} Number of connections sent to
+   */
+  broadcast(data, options = {}) {
+    const targets = options.room === undefined ? this.clients : this.rooms.get(options.room) || [];
+    const frame = encodeMessage(data);
+    let count = 0;
+
+    for (const ws of targets) {
+      if (ws === options.except || ws.readyState !== OPEN) continue;
+      ws._sendFrame(frame);
+      count++;
+    }
+
+    return count;
+  }
+
+  /**
+   * Target one room: hub.to('lobby').send(data, { except: ws })
+   *
+   * @param {string} room - Room name
+   * @returns {{send: Function}} Room sender
+   */
+  to(room) {
+    return {
+      send: (data, options = {}) => this.broadcast(data, { ...options, room })
+    };
+  }
+
+  /**
+   * Close every connection (e.g. on shutdown)
+   *
+   * @param {number} [code=1001] - Status code (1001: going away)
+   * @param {string} [reason] - Reason
+   */
+  close(code = 1001, reason = '') {
+    for (const ws of this.clients) {
+      ws.close(code, reason);
+    }
+  }
+}
+
+/**
+ * Encode a message as one text or binary frame
+ */
+function encodeMessage(data) {
+  if (typeof data === 'string') {
+    return encodeFrame(OPCODES.TEXT, Buffer.from(data));
+  }
+
+  if (Buffer.isBuffer(data)) {
+    return encodeFrame(OPCODES.BINARY, data);
+  }
+
+  if (data instanceof ArrayBuffer) {
+    return encodeFrame(OPCODES.BINARY, Buffer.from(data));
+  }
+
+  if (ArrayBuffer.isView(data)) {
+    return encodeFrame(OPCODES.BINARY, Buffer.from(data.buffer, data.byteOffset, data.byteLength));
+  }
+
+  throw new TypeError('WebSocket data must be a string, Buffer or ArrayBuffer');
+}
+
+/**
+ * Payload of a ping/pong frame
+ */
+function controlPayload(data) {
+  const payload = Buffer.isBuffer(data) ? data : Buffer.from(String(data));
+  if (payload.length > 125) {
+    throw new RangeError('control frame payload must be 125 bytes or less');
+  }
+  return payload;
+}
+
+/**
+ * Payload of a close frame: 2-byte code + UTF-8 reason
+ */
+function closePayload(code, reason) {
+  const text = Buffer.from(String(reason));
+  if (text.length > 123) {
+    throw new RangeError('close reason must be 123 bytes or less');
+  }
+
+  const payload = Buffer.alloc(2 + text.length);
+  payload.writeUInt16BE(code, 0);
+  text.copy(payload, 2);
+  return payload;
+}
+
+/**
+ * Close codes a peer may send (RFC 6455 section 7.4)
+ */
+function isValidCloseCode(code) {
+  return (code >= 1000 && code <= 1003) ||
+    (code >= 1007 && code <= 1011) ||
+    (code >= 3000 && code <= 4999);
+}
+
+/**
+ * Decode UTF-8 text, failing the connection on invalid data
+ */
+function decodeText(buffer) {
+  try {
+    return new TextDecoder('utf-8', { fatal: true }).decode(buffer);
+  } catch (err) {
+    throw new WebSocketError(1007, 'invalid UTF-8');
+  }
+}
+
+module.exports = {
+  OPCODES,
+  WebSocket,
+  WebSocketError,
+  FrameParser,
+  SocketHub,
+  acceptKey,
+  encodeFrame,
+  checkHandshake,
+  acceptWebSocket
+};
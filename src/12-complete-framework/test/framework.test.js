@@ -4,7 +4,7 @@
 
 'use strict';
 
-const { describe, it, beforeEach, after } = require('node:test');
+const { describe, it, before, beforeEach, after } = require('node:test');
 const assert = require('node:assert');
 const http = require('node:http');
 
@@ -116,6 +116,55 @@ describe('Express Application', () => {
     assert.deepStrictEqual(res.body.created, { name: 'John' });
   });
 
+  it('should handle multipart uploads per route', async () => {
+    const upload = express.multipart({ limits: { fileSize: 8 } });
+
+    app.post('/avatar', upload.single('avatar'), (req, res) => {
+      res.json({ name: req.body.name, file: req.file.originalname, content: req.file.buffer.toString() });
+    });
+    app.use((err, req, res, next) => {
+      res.status(err.statusCode).json({ type: err.type });
+    });
+
+    server = app.listen(0);
+    port = server.address().port;
+
+    const form = (content) => [
+      '--b0undary',
+      'Content-Disposition: form-data; name="name"',
+      '',
+      'John',
+      '--b0undary',
+      'Content-Disposition: form-data; name="avatar"; filename="me.png"',
+      'Content-Type: image/png',
+      '',
+      content,
+      '--b0undary--',
+      ''
+    ].join('\r\n');
+
+    const send = (body) => request({
+      hostname: 'localhost',
+      port,
+      path: '/avatar',
+      method: 'POST',
+      headers: {
+        'Content-Type': 'multipart/form-data; boundary=b0undary',
+        'Content-Length': Buffer.byteLength(body)
+      }
+    }, body);
+
+    const ok = await send(form('png'));
+    const tooLarge = await send(form('much too large'));
+
+    server.close();
+
+    assert.strictEqual(ok.statusCode, 200);
+    assert.deepStrictEqual(ok.body, { name: 'John', file: 'me.png', content: 'png' });
+    assert.strictEqual(tooLarge.statusCode, 413);
+    assert.strictEqual(tooLarge.body.type, 'file.too.large');
+  });
+
   it('should extract route parameters', async () => {
     app.get('/users/:id', (req, res) => {
       res.json({ userId: req.params.id });
@@ -591,3 +640,3142 @@ describe('Express Settings', () => {
     assert.ok(['development', 'production', 'test'].includes(app.get('env')));
   });
 });
+
+describe('Async Handlers', () => {
+  let app;
+  let server;
+  let port;
+
+  beforeEach(() => {
+    app = express();
+  });
+
+  after(() => {
+    if (server) {
+      server.close();
+    }
+  });
+
+  it('should forward rejected promises to error handlers', async () => {
+    app.get('/async', async (req, res) => {
+      await Promise.resolve();
+      throw new Error('Async failure');
+    });
+
+    app.use((err, req, res, next) => {
+      res.status(500).json({ error: err.message });
+    });
+
+    server = app.listen(0);
+    port = server.address().port;
+
+    const res = await request({
+      hostname: 'localhost',
+      port,
+      path: '/async',
+      method: 'GET'
+    });
+
+    server.close();
+
+    assert.strictEqual(res.statusCode, 500);
+    assert.strictEqual(res.body.error, 'Async failure');
+  });
+
+  it('should forward rejections from async error handlers', async () => {
+    app.get('/fail', (req, res, next) => {
+      next(new Error('First'));
+    });
+
+    app.use(async (err, req, res, next) => {
+      throw new Error(`${err.message} then second`);
+    });
+
+    app.use((err, req, res, next) => {
+      res.status(500).json({ error: err.message });
+    });
+
+    server = app.listen(0);
+    port = server.address().port;
+
+    const res = await request({
+      hostname: 'localhost',
+      port,
+      path: '/fail',
+      method: 'GET'
+    });
+
+    server.close();
+
+    assert.strictEqual(res.body.error, 'First then second');
+  });
+
+  it('should replace falsy rejection reasons with an Error', async () => {
+    app.get('/falsy', () => Promise.reject(null));
+
+    app.use((err, req, res, next) => {
+      res.status(500).json({ isError: err instanceof Error, error: err.message });
+    });
+
+    server = app.listen(0);
+    port = server.address().port;
+
+    const res = await request({
+      hostname: 'localhost',
+      port,
+      path: '/falsy',
+      method: 'GET'
+    });
+
+    server.close();
+
+    assert.strictEqual(res.body.isError, true);
+    assert.strictEqual(res.body.error, 'Rejected promise');
+  });
+
+  it('should skip remaining route handlers with next("route")', async () => {
+    app.get('/users/:id', (req, res, next) => {
+      if (req.params.id === 'me') return next('route');
+      next();
+    }, (req, res) => {
+      res.json({ handler: 'by-id' });
+    });
+
+    app.get('/users/:id', (req, res) => {
+      res.json({ handler: 'fallback' });
+    });
+
+    server = app.listen(0);
+    port = server.address().port;
+
+    const meRes = await request({
+      hostname: 'localhost',
+      port,
+      path: '/users/me',
+      method: 'GET'
+    });
+    assert.strictEqual(meRes.body.handler, 'fallback');
+
+    const idRes = await request({
+      hostname: 'localhost',
+      port,
+      path: '/users/42',
+      method: 'GET'
+    });
+    assert.strictEqual(idRes.body.handler, 'by-id');
+
+    server.close();
+  });
+
+  it('should leave a router with next("router")', async () => {
+    const router = express.Router();
+
+    router.use((req, res, next) => {
+      if (!req.headers['x-api-key']) return next('router');
+      next();
+    });
+
+    router.get('/data', (req, res) => {
+      res.json({ from: 'router' });
+    });
+
+    app.use('/api', router);
+
+    app.get('/api/data', (req, res) => {
+      res.json({ from: 'app' });
+    });
+
+    server = app.listen(0);
+    port = server.address().port;
+
+    const res = await request({
+      hostname: 'localhost',
+      port,
+      path: '/api/data',
+      method: 'GET'
+    });
+
+    const keyRes = await request({
+      hostname: 'localhost',
+      port,
+      path: '/api/data',
+      method: 'GET',
+      headers: { 'X-Api-Key': 'secret' }
+    });
+
+    server.close();
+
+    assert.strictEqual(res.body.from, 'app');
+    assert.strictEqual(keyRes.body.from, 'router');
+  });
+});
+
+describe('Param Callbacks', () => {
+  let app;
+  let server;
+  let port;
+
+  beforeEach(() => {
+    app = express();
+  });
+
+  after(() => {
+    if (server) {
+      server.close();
+    }
+  });
+
+  it('should run app.param() callbacks before the route', async () => {
+    app.param('userId', (req, res, next, id) => {
+      req.user = { id, name: `User ${id}` };
+      next();
+    });
+
+    app.get('/users/:userId', (req, res) => {
+      res.json({ user: req.user });
+    });
+
+    server = app.listen(0);
+    port = server.address().port;
+
+    const res = await request({
+      hostname: 'localhost',
+      port,
+      path: '/users/7',
+      method: 'GET'
+    });
+
+    server.close();
+
+    assert.deepStrictEqual(res.body.user, { id: '7', name: 'User 7' });
+  });
+
+  it('should call param callbacks once per request per value', async () => {
+    let calls = 0;
+
+    app.param('id', (req, res, next) => {
+      calls++;
+      next();
+    });
+
+    app.get('/items/:id', (req, res, next) => next());
+    app.all('/items/:id', (req, res, next) => next());
+    app.get('/items/:id', (req, res) => {
+      res.json({ calls });
+    });
+
+    server = app.listen(0);
+    port = server.address().port;
+
+    const res = await request({
+      hostname: 'localhost',
+      port,
+      path: '/items/1',
+      method: 'GET'
+    });
+
+    server.close();
+
+    assert.strictEqual(res.body.calls, 1);
+  });
+
+  it('should propagate param callback errors', async () => {
+    app.param('id', (req, res, next, id) => {
+      const err = new Error(`No item ${id}`);
+      err.status = 404;
+      next(err);
+    });
+
+    app.get('/items/:id', (req, res) => {
+      res.json({ reached: true });
+    });
+
+    app.use((err, req, res, next) => {
+      res.status(err.status).json({ error: err.message });
+    });
+
+    server = app.listen(0);
+    port = server.address().port;
+
+    const res = await request({
+      hostname: 'localhost',
+      port,
+      path: '/items/9',
+      method: 'GET'
+    });
+
+    server.close();
+
+    assert.strictEqual(res.statusCode, 404);
+    assert.strictEqual(res.body.error, 'No item 9');
+  });
+
+  it('should support router.param() on mounted routers', async () => {
+    const router = express.Router();
+
+    router.param('postId', async (req, res, next, id) => {
+      req.post = { id: Number(id) };
+      next();
+    });
+
+    router.get('/:postId', (req, res) => {
+      res.json({ post: req.post });
+    });
+
+    app.use('/posts', router);
+
+    server = app.listen(0);
+    port = server.address().port;
+
+    const res = await request({
+      hostname: 'localhost',
+      port,
+      path: '/posts/12',
+      method: 'GET'
+    });
+
+    server.close();
+
+    assert.deepStrictEqual(res.body.post, { id: 12 });
+  });
+
+  it('should reject non-function param callbacks', () => {
+    assert.throws(() => app.param('id', 'nope'), TypeError);
+  });
+});
+
+describe('Chainable Routes', () => {
+  let app;
+  let server;
+  let port;
+
+  beforeEach(() => {
+    app = express();
+  });
+
+  after(() => {
+    if (server) {
+      server.close();
+    }
+  });
+
+  it('should chain method handlers with app.route()', async () => {
+    app.use(express.json());
+
+    app.route('/books')
+      .get((req, res) => res.json({ action: 'list' }))
+      .post((req, res) => res.status(201).json({ action: 'create', book: req.body }));
+
+    server = app.listen(0);
+    port = server.address().port;
+
+    const listRes = await request({
+      hostname: 'localhost',
+      port,
+      path: '/books',
+      method: 'GET'
+    });
+
+    const body = JSON.stringify({ title: 'Dune' });
+    const createRes = await request({
+      hostname: 'localhost',
+      port,
+      path: '/books',
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'Content-Length': Buffer.byteLength(body)
+      }
+    }, body);
+
+    server.close();
+
+    assert.strictEqual(listRes.body.action, 'list');
+    assert.strictEqual(createRes.statusCode, 201);
+    assert.deepStrictEqual(createRes.body.book, { title: 'Dune' });
+  });
+
+  it('should run route.all() handlers before method handlers', async () => {
+    const router = express.Router();
+
+    router.route('/:id')
+      .all((req, res, next) => {
+        req.loaded = `item-${req.params.id}`;
+        next();
+      })
+      .get((req, res) => res.json({ loaded: req.loaded }));
+
+    app.use('/items', router);
+
+    server = app.listen(0);
+    port = server.address().port;
+
+    const res = await request({
+      hostname: 'localhost',
+      port,
+      path: '/items/3',
+      method: 'GET'
+    });
+
+    server.close();
+
+    assert.strictEqual(res.body.loaded, 'item-3');
+  });
+
+  it('should respond 405 with an Allow header for unregistered methods', async () => {
+    app.route('/books')
+      .get((req, res) => res.json([]))
+      .post((req, res) => res.status(201).json({}));
+
+    server = app.listen(0);
+    port = server.address().port;
+
+    const res = await request({
+      hostname: 'localhost',
+      port,
+      path: '/books',
+      method: 'DELETE'
+    });
+
+    server.close();
+
+    assert.strictEqual(res.statusCode, 405);
+    assert.strictEqual(res.headers['allow'], 'GET, POST, HEAD');
+    assert.strictEqual(res.body.error, 'Method Not Allowed');
+  });
+
+  it('should collect allowed methods across routers', async () => {
+    const router = express.Router();
+    router.put('/settings', (req, res) => res.json({}));
+
+    app.use('/api', router);
+    app.get('/api/settings', (req, res) => res.json({}));
+
+    server = app.listen(0);
+    port = server.address().port;
+
+    const res = await request({
+      hostname: 'localhost',
+      port,
+      path: '/api/settings',
+      method: 'PATCH'
+    });
+
+    server.close();
+
+    assert.strictEqual(res.statusCode, 405);
+    assert.strictEqual(res.headers['allow'], 'PUT, GET, HEAD');
+  });
+
+  it('should handle errors within a route stack', async () => {
+    app.route('/risky')
+      .get((req, res, next) => next(new Error('Route failure')))
+      .get((err, req, res, next) => res.status(503).json({ error: err.message }));
+
+    server = app.listen(0);
+    port = server.address().port;
+
+    const res = await request({
+      hostname: 'localhost',
+      port,
+      path: '/risky',
+      method: 'GET'
+    });
+
+    server.close();
+
+    assert.strictEqual(res.statusCode, 503);
+    assert.strictEqual(res.body.error, 'Route failure');
+  });
+
+  it('should reject non-function route handlers', () => {
+    assert.throws(() => app.route('/x').get('nope'), TypeError);
+  });
+});
+
+describe('Request-scoped Params', () => {
+  let app;
+  let server;
+  let port;
+
+  beforeEach(() => {
+    app = express();
+  });
+
+  after(() => {
+    if (server) {
+      server.close();
+    }
+  });
+
+  it('should return match results without mutating the layer', () => {
+    const Layer = require('../lib/layer');
+    const layer = new Layer('/users/:id', { end: true }, () => {});
+
+    const first = layer.match('/users/1');
+    const second = layer.match('/users/2');
+
+    assert.deepStrictEqual(first.params, { id: '1' });
+    assert.deepStrictEqual(second.params, { id: '2' });
+    assert.strictEqual(layer.match('/posts/1'), null);
+    assert.strictEqual(layer.params, undefined);
+  });
+
+  it('should keep params isolated across interleaved async requests', async () => {
+    const delay = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+    app.param('id', async (req, res, next, id) => {
+      await delay(id % 2 === 0 ? 20 : 1);
+      next();
+    });
+
+    app.get('/users/:id', async (req, res) => {
+      const before = req.params.id;
+      await delay(before % 3 === 0 ? 15 : 2);
+      res.json({ before, after: req.params.id });
+    });
+
+    server = app.listen(0);
+    port = server.address().port;
+
+    const ids = ['1', '2', '3', '4', '5', '6', '7', '8'];
+    const responses = await Promise.all(ids.map(id => request({
+      hostname: 'localhost',
+      port,
+      path: `/users/${id}`,
+      method: 'GET'
+    })));
+
+    server.close();
+
+    responses.forEach((res, i) => {
+      assert.strictEqual(res.body.before, ids[i]);
+      assert.strictEqual(res.body.after, ids[i]);
+    });
+  });
+
+  it('should not expose parent params without mergeParams', async () => {
+    const router = express.Router();
+
+    router.get('/posts/:postId', (req, res) => {
+      res.json({ params: req.params });
+    });
+
+    app.use('/users/:id', router);
+
+    server = app.listen(0);
+    port = server.address().port;
+
+    const res = await request({
+      hostname: 'localhost',
+      port,
+      path: '/users/5/posts/9',
+      method: 'GET'
+    });
+
+    server.close();
+
+    assert.deepStrictEqual(res.body.params, { postId: '9' });
+  });
+
+  it('should merge parent params with mergeParams', async () => {
+    const router = express.Router({ mergeParams: true });
+
+    router.get('/posts/:postId', (req, res) => {
+      res.json({ params: req.params, baseUrl: req.baseUrl, path: req.path });
+    });
+
+    app.use('/users/:id', router);
+
+    server = app.listen(0);
+    port = server.address().port;
+
+    const res = await request({
+      hostname: 'localhost',
+      port,
+      path: '/users/5/posts/9',
+      method: 'GET'
+    });
+
+    server.close();
+
+    assert.deepStrictEqual(res.body.params, { id: '5', postId: '9' });
+    assert.strictEqual(res.body.baseUrl, '/users/5');
+    assert.strictEqual(res.body.path, '/posts/9');
+  });
+
+  it('should merge params through nested routers', async () => {
+    const users = express.Router({ mergeParams: true });
+    const posts = express.Router({ mergeParams: true });
+
+    posts.get('/:postId', (req, res) => {
+      res.json({ params: req.params });
+    });
+
+    users.use('/:id/posts', posts);
+    app.use('/users', users);
+
+    server = app.listen(0);
+    port = server.address().port;
+
+    const res = await request({
+      hostname: 'localhost',
+      port,
+      path: '/users/5/posts/9',
+      method: 'GET'
+    });
+
+    server.close();
+
+    assert.deepStrictEqual(res.body.params, { id: '5', postId: '9' });
+  });
+
+  it('should restore params after leaving a router', async () => {
+    const router = express.Router();
+
+    router.use((req, res, next) => next());
+    app.use('/users/:id', router);
+
+    app.get('/users/:id/profile', (req, res) => {
+      res.json({ params: req.params, path: req.path });
+    });
+
+    server = app.listen(0);
+    port = server.address().port;
+
+    const res = await request({
+      hostname: 'localhost',
+      port,
+      path: '/users/5/profile',
+      method: 'GET'
+    });
+
+    server.close();
+
+    assert.deepStrictEqual(res.body.params, { id: '5' });
+    assert.strictEqual(res.body.path, '/users/5/profile');
+  });
+});
+
+describe('HEAD and OPTIONS', () => {
+  let app;
+  let server;
+  let port;
+
+  beforeEach(() => {
+    app = express();
+  });
+
+  after(() => {
+    if (server) {
+      server.close();
+    }
+  });
+
+  it('should answer HEAD with the GET handler and no body', async () => {
+    let ran = false;
+
+    app.get('/report', (req, res) => {
+      ran = true;
+      res.json({ rows: [1, 2, 3] });
+    });
+
+    server = app.listen(0);
+    port = server.address().port;
+
+    const res = await request({
+      hostname: 'localhost',
+      port,
+      path: '/report',
+      method: 'HEAD'
+    });
+
+    server.close();
+
+    assert.strictEqual(ran, true);
+    assert.strictEqual(res.statusCode, 200);
+    assert.strictEqual(res.rawBody, '');
+    assert.strictEqual(res.headers['content-length'], String(JSON.stringify({ rows: [1, 2, 3] }).length));
+  });
+
+  it('should prefer an explicit HEAD handler', async () => {
+    app.route('/report')
+      .head((req, res) => res.set('X-Handler', 'head').end())
+      .get((req, res) => res.set('X-Handler', 'get').send('body'));
+
+    server = app.listen(0);
+    port = server.address().port;
+
+    const res = await request({
+      hostname: 'localhost',
+      port,
+      path: '/report',
+      method: 'HEAD'
+    });
+
+    server.close();
+
+    assert.strictEqual(res.headers['x-handler'], 'head');
+  });
+
+  it('should auto-answer OPTIONS with an Allow header', async () => {
+    const router = express.Router();
+    router.delete('/:id', (req, res) => res.sendStatus(204));
+
+    app.route('/items/:id')
+      .get((req, res) => res.json({}))
+      .put((req, res) => res.json({}));
+    app.use('/items', router);
+
+    server = app.listen(0);
+    port = server.address().port;
+
+    const res = await request({
+      hostname: 'localhost',
+      port,
+      path: '/items/1',
+      method: 'OPTIONS'
+    });
+
+    server.close();
+
+    assert.strictEqual(res.statusCode, 200);
+    assert.strictEqual(res.headers['allow'], 'GET, PUT, HEAD, DELETE');
+    assert.strictEqual(res.rawBody, 'GET, PUT, HEAD, DELETE');
+  });
+
+  it('should let user routes handle OPTIONS', async () => {
+    app.get('/cors', (req, res) => res.json({}));
+    app.options('/cors', (req, res) => {
+      res.set('Access-Control-Allow-Methods', 'GET').status(204).end();
+    });
+
+    server = app.listen(0);
+    port = server.address().port;
+
+    const res = await request({
+      hostname: 'localhost',
+      port,
+      path: '/cors',
+      method: 'OPTIONS'
+    });
+
+    server.close();
+
+    assert.strictEqual(res.statusCode, 204);
+    assert.strictEqual(res.headers['access-control-allow-methods'], 'GET');
+    assert.strictEqual(res.headers['allow'], undefined);
+  });
+
+  it('should return 404 for OPTIONS on unknown paths', async () => {
+    app.get('/known', (req, res) => res.json({}));
+
+    server = app.listen(0);
+    port = server.address().port;
+
+    const res = await request({
+      hostname: 'localhost',
+      port,
+      path: '/unknown',
+      method: 'OPTIONS'
+    });
+
+    server.close();
+
+    assert.strictEqual(res.statusCode, 404);
+  });
+});
+
+describe('Route Tree Matcher', () => {
+  const RouteTree = require('../lib/route-tree');
+  let app;
+  let server;
+  let port;
+
+  beforeEach(() => {
+    app = express();
+    app.set('route matcher', 'tree');
+  });
+
+  after(() => {
+    if (server) {
+      server.close();
+    }
+  });
+
+  it('should return middleware and candidate routes in stack order', () => {
+    const router = express.Router();
+    router.use((req, res, next) => next());
+    router.get('/users', () => {});
+    router.get('/users/:id', () => {});
+    router.use('/admin', (req, res, next) => next());
+    router.get('/users/:id/posts', () => {});
+    router.get('/files/*', () => {});
+    router.get('/users/me', () => {});
+
+    const tree = new RouteTree(router.stack);
+
+    assert.deepStrictEqual(tree.lookup('/users/42'), [0, 2, 3]);
+    assert.deepStrictEqual(tree.lookup('/users/me'), [0, 2, 3, 6]);
+    assert.deepStrictEqual(tree.lookup('/USERS'), [0, 1, 3]);
+    assert.deepStrictEqual(tree.lookup('/files/a/b'), [0, 3, 5]);
+    assert.deepStrictEqual(tree.lookup('/nothing'), [0, 3]);
+  });
+
+  it('should respect case sensitivity', () => {
+    const router = express.Router({ caseSensitive: true });
+    router.get('/Users', () => {});
+
+    const tree = new RouteTree(router.stack, { caseSensitive: true });
+
+    assert.deepStrictEqual(tree.lookup('/Users'), [0]);
+    assert.deepStrictEqual(tree.lookup('/users'), []);
+  });
+
+  it('should route requests through the tree', async () => {
+    const order = [];
+
+    app.use((req, res, next) => {
+      order.push('logger');
+      next();
+    });
+
+    for (let i = 0; i < 50; i++) {
+      app.get(`/resource${i}/:id`, (req, res) => {
+        res.json({ resource: i, id: req.params.id, order });
+      });
+    }
+
+    app.get('/resource7/special', (req, res) => {
+      res.json({ special: true });
+    });
+
+    server = app.listen(0);
+    port = server.address().port;
+
+    const res = await request({
+      hostname: 'localhost',
+      port,
+      path: '/resource7/abc',
+      method: 'GET'
+    });
+
+    const special = await request({
+      hostname: 'localhost',
+      port,
+      path: '/resource7/special',
+      method: 'GET'
+    });
+
+    server.close();
+
+    assert.deepStrictEqual(res.body, { resource: 7, id: 'abc', order: ['logger'] });
+    // Earlier param route wins, as with the linear matcher
+    assert.strictEqual(special.body.resource, 7);
+  });
+
+  it('should keep 405 handling and nested routers working', async () => {
+    const router = express.Router({ matcher: 'tree' });
+    router.get('/:id', (req, res) => res.json({ id: req.params.id }));
+
+    app.use('/items', router);
+    app.post('/items', (req, res) => res.status(201).json({}));
+
+    server = app.listen(0);
+    port = server.address().port;
+
+    const itemRes = await request({
+      hostname: 'localhost',
+      port,
+      path: '/items/5',
+      method: 'GET'
+    });
+
+    const notAllowed = await request({
+      hostname: 'localhost',
+      port,
+      path: '/items',
+      method: 'GET'
+    });
+
+    server.close();
+
+    assert.strictEqual(itemRes.body.id, '5');
+    assert.strictEqual(notAllowed.statusCode, 405);
+    assert.strictEqual(notAllowed.headers['allow'], 'POST');
+  });
+
+  it('should pick up routes added after the first request', async () => {
+    app.get('/first', (req, res) => res.json({ route: 'first' }));
+
+    server = app.listen(0);
+    port = server.address().port;
+
+    await request({ hostname: 'localhost', port, path: '/first', method: 'GET' });
+
+    app.get('/second', (req, res) => res.json({ route: 'second' }));
+
+    const res = await request({
+      hostname: 'localhost',
+      port,
+      path: '/second',
+      method: 'GET'
+    });
+
+    server.close();
+
+    assert.strictEqual(res.body.route, 'second');
+  });
+
+  it('should dispatch bare request objects without a url', async () => {
+    // As the route-matcher benchmark does
+    const Router = require('../lib/router');
+    const router = new Router({ matcher: 'tree' });
+    router.get('/items/:id', (req, res) => res.end(req.params.id));
+
+    const id = await new Promise((resolve, reject) => {
+      router.handle({ method: 'GET', path: '/items/5', params: {} }, { end: resolve }, reject);
+    });
+
+    assert.strictEqual(id, '5');
+  });
+});
+
+describe('Route Path Syntax', () => {
+  let app;
+  let server;
+  let port;
+
+  beforeEach(() => {
+    app = express();
+  });
+
+  after(() => {
+    if (server) {
+      server.close();
+    }
+  });
+
+  it('should enforce inline param patterns and return repeated params as arrays', async () => {
+    app.get('/orders/:id(\\d+)', (req, res) => res.json({ id: req.params.id }));
+    app.get('/docs/:segments+', (req, res) => res.json({ segments: req.params.segments }));
+    app.get('/wiki/:segments*', (req, res) => res.json({ segments: req.params.segments }));
+
+    server = app.listen(0);
+    port = server.address().port;
+
+    const numeric = await request({ hostname: 'localhost', port, path: '/orders/17', method: 'GET' });
+    const text = await request({ hostname: 'localhost', port, path: '/orders/abc', method: 'GET' });
+    const docs = await request({ hostname: 'localhost', port, path: '/docs/api/routing', method: 'GET' });
+    const wiki = await request({ hostname: 'localhost', port, path: '/wiki', method: 'GET' });
+
+    server.close();
+
+    assert.strictEqual(numeric.body.id, '17');
+    assert.strictEqual(text.statusCode, 404);
+    assert.deepStrictEqual(docs.body.segments, ['api', 'routing']);
+    assert.deepStrictEqual(wiki.body.segments, []);
+  });
+});
+
+describe('Named Routes', () => {
+  let app;
+  let server;
+  let port;
+
+  beforeEach(() => {
+    app = express();
+  });
+
+  after(() => {
+    if (server) {
+      server.close();
+    }
+  });
+
+  it('should build URLs for named routes', () => {
+    app.get('/users/:id', { name: 'user' }, (req, res) => res.json({}));
+    app.route('/files/:name{.:ext}', { name: 'file' }).get((req, res) => res.json({}));
+
+    assert.strictEqual(app.url('user', { id: 42 }), '/users/42');
+    assert.strictEqual(app.url('user', { id: 'a b/c' }), '/users/a%20b%2Fc');
+    assert.strictEqual(app.url('file', { name: 'report' }), '/files/report');
+    assert.strictEqual(app.url('file', { name: 'report', ext: 'pdf' }), '/files/report.pdf');
+  });
+
+  it('should append query strings', () => {
+    app.get('/search', { name: 'search' }, (req, res) => res.json({}));
+
+    assert.strictEqual(
+      app.url('search', {}, { q: 'mini express', tag: ['a', 'b'] }),
+      '/search?q=mini%20express&tag=a&tag=b'
+    );
+  });
+
+  it('should include mounted router and sub-app prefixes', () => {
+    const router = express.Router();
+    router.get('/:postId', { name: 'post' }, (req, res) => res.json({}));
+    app.use('/users/:id/posts', router);
+
+    const admin = express();
+    admin.get('/dashboard', { name: 'dashboard' }, (req, res) => res.json({}));
+    app.use('/admin', admin);
+
+    assert.strictEqual(app.url('post', { id: 1, postId: 2 }), '/users/1/posts/2');
+    assert.strictEqual(admin.url('dashboard'), '/admin/dashboard');
+  });
+
+  it('should throw on unknown names and missing params', () => {
+    app.get('/users/:id(\\d+)', { name: 'user' }, (req, res) => res.json({}));
+
+    assert.throws(() => app.url('nope'), /No route named "nope"/);
+    assert.throws(() => app.url('user'), TypeError);
+    assert.throws(() => app.url('user', { id: 'abc' }), TypeError);
+  });
+
+  it('should reject duplicate route names', () => {
+    app.get('/a', { name: 'dup' }, (req, res) => res.json({}));
+
+    assert.throws(() => app.get('/b', { name: 'dup' }, (req, res) => res.json({})), /already registered/);
+  });
+
+  it('should expose res.locals.url to handlers and views', async () => {
+    app.get('/users/:id', { name: 'user' }, (req, res) => {
+      res.json({ self: res.locals.url('user', { id: req.params.id }) });
+    });
+
+    server = app.listen(0);
+    port = server.address().port;
+
+    const res = await request({
+      hostname: 'localhost',
+      port,
+      path: '/users/9',
+      method: 'GET'
+    });
+
+    server.close();
+
+    assert.strictEqual(res.body.self, '/users/9');
+  });
+});
+
+describe('Route Introspection', () => {
+  it('should list middleware and routes with full mounted paths', () => {
+    const app = express();
+    const api = express.Router();
+    const posts = express.Router();
+    const admin = express();
+
+    function logger(req, res, next) { next(); }
+    function loadUser(req, res, next) { next(); }
+    function showUser(req, res) { res.json({}); }
+    function listPosts(req, res) { res.json([]); }
+    function dashboard(req, res) { res.json({}); }
+
+    app.use(logger);
+    api.route('/users/:id', { name: 'user' }).all(loadUser).get(showUser);
+    posts.get('/', listPosts);
+    api.use('/users/:id/posts', posts);
+    app.use('/api', api);
+    admin.get('/dashboard', dashboard);
+    app.use('/admin', admin);
+
+    const rows = app.routes();
+
+    assert.deepStrictEqual(rows.map(r => [r.method, r.path, r.handlers]), [
+      ['USE', '/', ['logger']],
+      ['ALL', '/api/users/:id', ['loadUser']],
+      ['GET', '/api/users/:id', ['loadUser', 'showUser']],
+      ['GET', '/api/users/:id/posts', ['listPosts']],
+      ['GET', '/admin/dashboard', ['dashboard']]
+    ]);
+
+    assert.strictEqual(rows[2].name, 'user');
+    assert.deepStrictEqual(rows[3].mounts, [
+      { type: 'router', path: '/api' },
+      { type: 'router', path: '/users/:id/posts' }
+    ]);
+    assert.deepStrictEqual(rows[4].mounts, [{ type: 'app', path: '/admin' }]);
+  });
+
+  it('should print an aligned route table', () => {
+    const app = express();
+    app.get('/users', function listUsers(req, res) { res.json([]); });
+    app.post('/users', { name: 'createUser' }, function createUser(req, res) { res.json({}); });
+
+    let output = '';
+    const table = express.printRoutes(app, (text) => { output = text; });
+
+    assert.strictEqual(table, output);
+    assert.deepStrictEqual(output.split('\n'), [
+      'METHOD  PATH    HANDLERS    NAME        MOUNTED VIA',
+      'GET     /users  listUsers   -           -',
+      'POST    /users  createUser  createUser  -'
+    ]);
+  });
+
+  it('should print routes from the bin script without starting a server', async () => {
+    const { execFile } = require('node:child_process');
+    const path = require('node:path');
+
+    const output = await new Promise((resolve, reject) => {
+      execFile(process.execPath, [
+        path.join(__dirname, '../bin/routes.js'),
+        path.join(__dirname, '../examples/02-api-server.js')
+      ], (err, stdout) => (err ? reject(err) : resolve(stdout)));
+    });
+
+    assert.ok(output.startsWith('METHOD'));
+    assert.ok(output.includes('/api/users/:id'));
+  });
+});
+
+describe('Sub-application Mounting', () => {
+  let app;
+  let server;
+  let port;
+
+  beforeEach(() => {
+    app = express();
+  });
+
+  after(() => {
+    if (server) {
+      server.close();
+    }
+  });
+
+  it('should strip the mount prefix for sub-apps', async () => {
+    const admin = express();
+
+    admin.get('/users/:id', (req, res) => {
+      res.json({
+        path: req.path,
+        url: req.url,
+        baseUrl: req.baseUrl,
+        originalUrl: req.originalUrl,
+        id: req.params.id
+      });
+    });
+
+    app.use('/admin', admin);
+
+    server = app.listen(0);
+    port = server.address().port;
+
+    const res = await request({
+      hostname: 'localhost',
+      port,
+      path: '/admin/users/3?tab=1',
+      method: 'GET'
+    });
+
+    server.close();
+
+    assert.deepStrictEqual(res.body, {
+      path: '/users/3',
+      url: '/users/3?tab=1',
+      baseUrl: '/admin',
+      originalUrl: '/admin/users/3?tab=1',
+      id: '3'
+    });
+  });
+
+  it('should keep the parsed body and fall through to the parent', async () => {
+    const blog = express();
+    blog.post('/posts', (req, res) => res.status(201).json({ body: req.body }));
+
+    app.use(express.json());
+    app.use('/blog', blog);
+    app.get('/blog/about', (req, res) => res.json({ from: 'parent', path: req.path }));
+
+    server = app.listen(0);
+    port = server.address().port;
+
+    const body = JSON.stringify({ title: 'Hello' });
+    const postRes = await request({
+      hostname: 'localhost',
+      port,
+      path: '/blog/posts',
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'Content-Length': Buffer.byteLength(body)
+      }
+    }, body);
+
+    const aboutRes = await request({
+      hostname: 'localhost',
+      port,
+      path: '/blog/about',
+      method: 'GET'
+    });
+
+    server.close();
+
+    assert.deepStrictEqual(postRes.body.body, { title: 'Hello' });
+    assert.deepStrictEqual(aboutRes.body, { from: 'parent', path: '/blog/about' });
+  });
+
+  it('should inherit settings, engines and locals through prototypes', () => {
+    const sub = express();
+    const engine = () => {};
+
+    app.set('title', 'Parent');
+    app.set('views', '/parent/views');
+    app.engine('pug', engine);
+    app.locals.siteName = 'Example';
+
+    sub.set('title', 'Child');
+    app.use('/sub', sub);
+
+    assert.strictEqual(sub.get('title'), 'Child');
+    assert.strictEqual(sub.get('views'), '/parent/views');
+    assert.strictEqual(sub.engines['.pug'], engine);
+    assert.strictEqual(sub.locals.siteName, 'Example');
+
+    // Later parent changes are visible too
+    app.enable('trust proxy');
+    assert.strictEqual(sub.enabled('trust proxy'), true);
+    assert.strictEqual(app.get('title'), 'Parent');
+  });
+
+  it('should emit mount with the parent app', () => {
+    const sub = express();
+    let mountedOn = null;
+
+    sub.on('mount', (parent) => {
+      mountedOn = parent;
+    });
+
+    app.use('/sub', sub);
+
+    assert.ok(sub instanceof require('node:events'));
+    assert.strictEqual(mountedOn, app);
+    assert.strictEqual(sub.parent, app);
+    assert.strictEqual(sub.mountpath, '/sub');
+  });
+
+  it('should mount on an array of paths', async () => {
+    const docs = express();
+    docs.get('/', (req, res) => res.json({ baseUrl: req.baseUrl }));
+
+    app.use(['/docs', '/help'], docs);
+
+    server = app.listen(0);
+    port = server.address().port;
+
+    const docsRes = await request({ hostname: 'localhost', port, path: '/docs', method: 'GET' });
+    const helpRes = await request({ hostname: 'localhost', port, path: '/help', method: 'GET' });
+
+    server.close();
+
+    assert.strictEqual(docsRes.body.baseUrl, '/docs');
+    assert.strictEqual(helpRes.body.baseUrl, '/help');
+    assert.deepStrictEqual(docs.mountpath, ['/docs', '/help']);
+    assert.strictEqual(docs.path(), '/docs');
+  });
+
+  it('should build sub-app URLs with its mount path', async () => {
+    const shop = express();
+    shop.get('/items/:id', { name: 'item' }, (req, res) => {
+      res.json({ self: res.locals.url('item', { id: req.params.id }) });
+    });
+
+    app.use('/shop', shop);
+
+    server = app.listen(0);
+    port = server.address().port;
+
+    const res = await request({ hostname: 'localhost', port, path: '/shop/items/4', method: 'GET' });
+
+    server.close();
+
+    assert.strictEqual(res.body.self, '/shop/items/4');
+  });
+
+  it('should mount sub-apps and routers without a path', async () => {
+    const sub = express();
+    const router = express.Router();
+    sub.get('/from-app', (req, res) => res.json({ from: 'app' }));
+    router.get('/from-router', (req, res) => res.json({ from: 'router' }));
+
+    app.use(sub);
+    app.use(router);
+
+    server = app.listen(0);
+    port = server.address().port;
+
+    const appRes = await request({ hostname: 'localhost', port, path: '/from-app', method: 'GET' });
+    const routerRes = await request({ hostname: 'localhost', port, path: '/from-router', method: 'GET' });
+
+    server.close();
+
+    assert.strictEqual(appRes.body.from, 'app');
+    assert.strictEqual(routerRes.body.from, 'router');
+  });
+});
+
+describe('ETags and Freshness', () => {
+  let app;
+  let server;
+  let port;
+
+  beforeEach(() => {
+    app = express();
+  });
+
+  after(() => {
+    if (server) {
+      server.close();
+    }
+  });
+
+  it('should set a weak ETag by default', async () => {
+    app.get('/', (req, res) => res.json({ hello: 'world' }));
+
+    server = app.listen(0);
+    port = server.address().port;
+
+    const res = await request({ hostname: 'localhost', port, path: '/', method: 'GET' });
+
+    server.close();
+
+    assert.strictEqual(res.statusCode, 200);
+    assert.match(res.headers.etag, /^W\/"[0-9a-f]+-[A-Za-z0-9+/]{27}"$/);
+  });
+
+  it('should support strong, custom and disabled ETags', () => {
+    const body = 'hello';
+
+    app.set('etag', 'strong');
+    assert.match(app.get('etag fn')(body), /^"5-/);
+
+    app.set('etag', (chunk) => `"v-${chunk.length}"`);
+    assert.strictEqual(app.get('etag fn')(body), '"v-5"');
+
+    app.disable('etag');
+    assert.strictEqual(app.get('etag fn'), undefined);
+
+    assert.throws(() => app.set('etag', 'sometimes'), TypeError);
+    assert.strictEqual(app.get('etag'), false);
+  });
+
+  it('should answer 304 without a body when If-None-Match matches', async () => {
+    app.get('/', (req, res) => res.send('cached body'));
+
+    server = app.listen(0);
+    port = server.address().port;
+
+    const first = await request({ hostname: 'localhost', port, path: '/', method: 'GET' });
+    const second = await request({
+      hostname: 'localhost', port, path: '/', method: 'GET',
+      headers: { 'If-None-Match': `"other", ${first.headers.etag}` }
+    });
+
+    server.close();
+
+    assert.strictEqual(second.statusCode, 304);
+    assert.strictEqual(second.rawBody, '');
+    assert.strictEqual(second.headers.etag, first.headers.etag);
+    assert.strictEqual(second.headers['content-type'], undefined);
+    assert.strictEqual(second.headers['content-length'], undefined);
+  });
+
+  it('should send the full body when the ETag changed or no-cache is sent', async () => {
+    app.get('/', (req, res) => res.send('current'));
+
+    server = app.listen(0);
+    port = server.address().port;
+
+    const changed = await request({
+      hostname: 'localhost', port, path: '/', method: 'GET',
+      headers: { 'If-None-Match': 'W/"0-stale"' }
+    });
+    const first = await request({ hostname: 'localhost', port, path: '/', method: 'GET' });
+    const reload = await request({
+      hostname: 'localhost', port, path: '/', method: 'GET',
+      headers: { 'If-None-Match': first.headers.etag, 'Cache-Control': 'no-cache' }
+    });
+
+    server.close();
+
+    assert.strictEqual(changed.statusCode, 200);
+    assert.strictEqual(changed.rawBody, 'current');
+    assert.strictEqual(reload.statusCode, 200);
+    assert.strictEqual(reload.rawBody, 'current');
+  });
+
+  it('should use If-Modified-Since against Last-Modified', async () => {
+    const modified = new Date('2024-01-01T00:00:00Z');
+
+    app.disable('etag');
+    app.get('/', (req, res) => {
+      res.set('Last-Modified', modified.toUTCString());
+      res.send('dated');
+    });
+
+    server = app.listen(0);
+    port = server.address().port;
+
+    const later = await request({
+      hostname: 'localhost', port, path: '/', method: 'GET',
+      headers: { 'If-Modified-Since': new Date('2024-06-01T00:00:00Z').toUTCString() }
+    });
+    const earlier = await request({
+      hostname: 'localhost', port, path: '/', method: 'GET',
+      headers: { 'If-Modified-Since': new Date('2023-06-01T00:00:00Z').toUTCString() }
+    });
+
+    server.close();
+
+    assert.strictEqual(later.statusCode, 304);
+    assert.strictEqual(earlier.statusCode, 200);
+    assert.strictEqual(earlier.rawBody, 'dated');
+  });
+
+  it('should expose req.fresh and req.stale', async () => {
+    app.get('/', (req, res) => {
+      res.set('ETag', '"abc"');
+      res.json({ fresh: req.fresh, stale: req.stale });
+    });
+    app.post('/', (req, res) => {
+      res.set('ETag', '"abc"');
+      res.json({ fresh: req.fresh });
+    });
+
+    server = app.listen(0);
+    port = server.address().port;
+
+    const plain = await request({ hostname: 'localhost', port, path: '/', method: 'GET' });
+    const post = await request({
+      hostname: 'localhost', port, path: '/', method: 'POST',
+      headers: { 'If-None-Match': '"abc"' }
+    });
+
+    server.close();
+
+    assert.deepStrictEqual(plain.body, { fresh: false, stale: true });
+    assert.strictEqual(post.statusCode, 200);
+    assert.deepStrictEqual(post.body, { fresh: false });
+  });
+
+  it('should not turn error responses into 304', async () => {
+    app.get('/', (req, res) => res.status(404).send('missing'));
+
+    server = app.listen(0);
+    port = server.address().port;
+
+    const res = await request({
+      hostname: 'localhost', port, path: '/', method: 'GET',
+      headers: { 'If-None-Match': '*' }
+    });
+
+    server.close();
+
+    assert.strictEqual(res.statusCode, 404);
+    assert.strictEqual(res.rawBody, 'missing');
+  });
+});
+
+describe('Trust Proxy', () => {
+  let app;
+  let server;
+  let port;
+
+  beforeEach(() => {
+    app = express();
+    app.get('/', (req, res) => {
+      res.json({
+        ip: req.ip,
+        ips: req.ips,
+        protocol: req.protocol,
+        secure: req.secure,
+        hostname: req.hostname,
+        subdomains: req.subdomains
+      });
+    });
+  });
+
+  after(() => {
+    if (server) {
+      server.close();
+    }
+  });
+
+  async function get(headers) {
+    server = app.listen(0);
+    port = server.address().port;
+
+    const res = await request({ hostname: 'localhost', port, path: '/', method: 'GET', headers });
+
+    server.close();
+    return res.body;
+  }
+
+  it('should ignore forwarding headers by default', async () => {
+    const body = await get({
+      'Host': 'api.example.com',
+      'X-Forwarded-For': '203.0.113.7',
+      'X-Forwarded-Proto': 'https',
+      'X-Forwarded-Host': 'evil.example'
+    });
+
+    assert.match(body.ip, /127\.0\.0\.1|::1/);
+    assert.deepStrictEqual(body.ips, []);
+    assert.strictEqual(body.protocol, 'http');
+    assert.strictEqual(body.secure, false);
+    assert.strictEqual(body.hostname, 'api.example.com');
+  });
+
+  it('should use X-Forwarded-* when the proxy is trusted', async () => {
+    app.set('trust proxy', true);
+
+    const body = await get({
+      'Host': 'internal:8080',
+      'X-Forwarded-For': '203.0.113.7, 198.51.100.2',
+      'X-Forwarded-Proto': 'https',
+      'X-Forwarded-Host': 'shop.eu.example.com'
+    });
+
+    assert.strictEqual(body.ip, '203.0.113.7');
+    assert.deepStrictEqual(body.ips, ['203.0.113.7', '198.51.100.2']);
+    assert.strictEqual(body.protocol, 'https');
+    assert.strictEqual(body.secure, true);
+    assert.strictEqual(body.hostname, 'shop.eu.example.com');
+    assert.deepStrictEqual(body.subdomains, ['eu', 'shop']);
+  });
+
+  it('should stop at the first untrusted address of a CIDR list', async () => {
+    app.set('trust proxy', 'loopback, 10.0.0.0/8');
+
+    const body = await get({ 'X-Forwarded-For': '203.0.113.7, 198.51.100.2, 10.1.2.3' });
+
+    assert.strictEqual(body.ip, '198.51.100.2');
+    assert.deepStrictEqual(body.ips, ['198.51.100.2', '10.1.2.3']);
+  });
+
+  it('should trust a number of hops', async () => {
+    app.set('trust proxy', 2);
+
+    // The socket peer and 10.1.2.3 are trusted
+    const body = await get({ 'X-Forwarded-For': '203.0.113.7, 198.51.100.2, 10.1.2.3' });
+
+    assert.strictEqual(body.ip, '198.51.100.2');
+  });
+
+  it('should accept a trust function', async () => {
+    app.set('trust proxy', (addr, i) => i === 0 || addr === '198.51.100.2');
+
+    const body = await get({ 'X-Forwarded-For': '203.0.113.7, 198.51.100.2' });
+
+    assert.strictEqual(body.ip, '203.0.113.7');
+  });
+
+  it('should read the RFC 7239 Forwarded header', async () => {
+    app.set('trust proxy', 'loopback');
+
+    const body = await get({
+      'Forwarded': 'for="[2001:db8::1]:4711";proto=https;host="Api.Example.com", for=127.0.0.1'
+    });
+
+    assert.strictEqual(body.ip, '2001:db8::1');
+    assert.strictEqual(body.protocol, 'https');
+    assert.strictEqual(body.hostname, 'Api.Example.com');
+  });
+
+  it('should only use Forwarded elements added by trusted proxies', async () => {
+    app.set('trust proxy', 'loopback');
+
+    const body = await get({
+      'Host': 'real.example.com',
+      'Forwarded': 'for=198.51.100.9;proto=https;host=spoofed.example, for=203.0.113.7;proto=http'
+    });
+
+    assert.strictEqual(body.ip, '203.0.113.7');
+    assert.strictEqual(body.protocol, 'http');
+    assert.strictEqual(body.hostname, 'real.example.com');
+  });
+
+  it('should keep IPv6 literal hostnames and return no subdomains for IPs', async () => {
+    const ipv6 = await get({ 'Host': '[::1]:3000' });
+    const ipv4 = await get({ 'Host': '192.168.0.10:3000' });
+
+    assert.strictEqual(ipv6.hostname, '[::1]');
+    assert.deepStrictEqual(ipv6.subdomains, []);
+    assert.deepStrictEqual(ipv4.subdomains, []);
+  });
+
+  it('should honour the subdomain offset setting', async () => {
+    app.set('subdomain offset', 3);
+
+    const body = await get({ 'Host': 'tobi.ferrets.example.co.uk' });
+
+    assert.deepStrictEqual(body.subdomains, ['ferrets', 'tobi']);
+  });
+
+  it('should reject invalid trust proxy addresses', () => {
+    assert.throws(() => app.set('trust proxy', 'not-an-ip'), /invalid IP address/);
+    assert.throws(() => app.set('trust proxy', '10.0.0.0/33'), /invalid range/);
+    assert.strictEqual(app.get('trust proxy'), false);
+  });
+});
+
+describe('Query Parser', () => {
+  let app;
+  let server;
+  let port;
+
+  beforeEach(() => {
+    app = express();
+    app.get('/', (req, res) => {
+      res.json({ query: req.query });
+    });
+  });
+
+  after(() => {
+    if (server) {
+      server.close();
+    }
+  });
+
+  const get = (path) => request({ hostname: 'localhost', port, path, method: 'GET' });
+
+  it('should use simple parsing by default', async () => {
+    server = app.listen(0);
+    port = server.address().port;
+
+    const res = await get('/?a=1&a=2&user[name]=John&q=hello+world');
+
+    server.close();
+
+    assert.strictEqual(app.get('query parser'), 'simple');
+    assert.deepStrictEqual(res.body.query, { a: ['1', '2'], 'user[name]': 'John', q: 'hello world' });
+  });
+
+  it('should parse nested keys with extended', async () => {
+    app.set('query parser', 'extended');
+
+    server = app.listen(0);
+    port = server.address().port;
+
+    const res = await get('/?user[name]=John&tags[]=a&tags[]=b&__proto__[admin]=1&bad=%E0%A4%A');
+
+    server.close();
+
+    assert.deepStrictEqual(res.body.query, {
+      user: { name: 'John' },
+      tags: ['a', 'b'],
+      bad: '%E0%A4%A'
+    });
+  });
+
+  it('should accept extended parsing options', async () => {
+    app.set('query parser', { allowDots: true, depth: 1, duplicates: 'first' });
+
+    server = app.listen(0);
+    port = server.address().port;
+
+    const res = await get('/?filter.status=open&filter.status=closed&a[b][c]=1');
+
+    server.close();
+
+    assert.deepStrictEqual(res.body.query, { filter: { status: 'open' }, a: { b: { '[c]': '1' } } });
+  });
+
+  it('should support custom and disabled parsers', async () => {
+    const custom = express();
+    custom.set('query parser', (str) => ({ raw: str }));
+    custom.get('/', (req, res) => res.json({ query: req.query }));
+
+    app.set('query parser', false);
+    app.use('/custom', custom);
+
+    server = app.listen(0);
+    port = server.address().port;
+
+    const disabled = await get('/?a=1');
+    const mounted = await get('/custom?a=1');
+
+    server.close();
+
+    assert.deepStrictEqual(disabled.body.query, {});
+    assert.deepStrictEqual(mounted.body.query, { raw: 'a=1' });
+  });
+
+  it('should keep changes to req.query', async () => {
+    app.get('/mutated', (req, res, next) => {
+      req.query.extra = 'yes';
+      next();
+    }, (req, res) => {
+      res.json({ query: req.query });
+    });
+    app.get('/replaced', (req, res, next) => {
+      req.query = { replaced: true };
+      next();
+    }, (req, res) => {
+      res.json({ query: req.query });
+    });
+
+    server = app.listen(0);
+    port = server.address().port;
+
+    const mutated = await get('/mutated?a=1');
+    const replaced = await get('/replaced?a=1');
+
+    server.close();
+
+    assert.deepStrictEqual(mutated.body.query, { a: '1', extra: 'yes' });
+    assert.deepStrictEqual(replaced.body.query, { replaced: true });
+  });
+
+  it('should report parameter limits as errors', async () => {
+    app.set('env', 'test');
+    app.set('query parser', { parameterLimit: 2 });
+
+    server = app.listen(0);
+    port = server.address().port;
+
+    const res = await get('/?a=1&b=2&c=3');
+
+    server.close();
+
+    assert.strictEqual(res.statusCode, 413);
+  });
+
+  it('should reject unknown values', () => {
+    assert.throws(() => app.set('query parser', 'fancy'), TypeError);
+    assert.throws(() => app.set('query parser', { duplicates: 'merge' }), TypeError);
+    assert.strictEqual(app.get('query parser'), 'simple');
+  });
+});
+
+describe('Content Negotiation', () => {
+  let app;
+  let server;
+  let port;
+
+  beforeEach(() => {
+    app = express();
+  });
+
+  after(() => {
+    if (server) {
+      server.close();
+    }
+  });
+
+  it('should rank req.accepts() by q-value', async () => {
+    app.get('/', (req, res) => {
+      res.json({
+        best: req.accepts('json', 'html'),
+        all: req.accepts(),
+        charset: req.acceptsCharsets('iso-8859-1', 'utf-8'),
+        encoding: req.acceptsEncodings('gzip', 'br'),
+        language: req.acceptsLanguages('de', 'en-GB')
+      });
+    });
+
+    server = app.listen(0);
+    port = server.address().port;
+
+    const res = await request({
+      hostname: 'localhost', port, path: '/', method: 'GET',
+      headers: {
+        'Accept': 'application/json;q=0.5, text/html',
+        'Accept-Charset': 'utf-8, iso-8859-1;q=0.2',
+        'Accept-Encoding': 'gzip;q=0.5, br',
+        'Accept-Language': 'en;q=0.9, fr'
+      }
+    });
+
+    server.close();
+
+    assert.deepStrictEqual(res.body, {
+      best: 'html',
+      all: ['text/html', 'application/json'],
+      charset: 'utf-8',
+      encoding: 'br',
+      language: 'en-GB'
+    });
+  });
+
+  it('should pick the res.format() handler by client preference', async () => {
+    app.get('/', (req, res) => {
+      res.format({
+        html: () => res.send('<p>hi</p>'),
+        json: () => res.json({ message: 'hi' }),
+        'text/plain': () => res.send('hi')
+      });
+    });
+
+    server = app.listen(0);
+    port = server.address().port;
+
+    const json = await request({
+      hostname: 'localhost', port, path: '/', method: 'GET',
+      headers: { 'Accept': 'text/*;q=0.5, application/json' }
+    });
+    const text = await request({
+      hostname: 'localhost', port, path: '/', method: 'GET',
+      headers: { 'Accept': 'text/plain, text/html;q=0.9' }
+    });
+
+    server.close();
+
+    assert.deepStrictEqual(json.body, { message: 'hi' });
+    assert.strictEqual(json.headers.vary, 'Accept');
+    assert.strictEqual(text.rawBody, 'hi');
+    assert.strictEqual(text.headers['content-type'], 'text/plain');
+  });
+
+  it('should use default or 406 when nothing is acceptable', async () => {
+    app.get('/with-default', (req, res) => {
+      res.format({
+        json: () => res.json({}),
+        default: () => res.status(406).send('JSON only')
+      });
+    });
+    app.get('/without-default', (req, res) => {
+      res.format({ json: () => res.json({}) });
+    });
+
+    server = app.listen(0);
+    port = server.address().port;
+
+    const withDefault = await request({
+      hostname: 'localhost', port, path: '/with-default', method: 'GET',
+      headers: { 'Accept': 'image/png' }
+    });
+    const withoutDefault = await request({
+      hostname: 'localhost', port, path: '/without-default', method: 'GET',
+      headers: { 'Accept': 'image/png' }
+    });
+
+    server.close();
+
+    assert.strictEqual(withDefault.statusCode, 406);
+    assert.strictEqual(withDefault.rawBody, 'JSON only');
+    assert.strictEqual(withoutDefault.statusCode, 406);
+    assert.strictEqual(withoutDefault.headers.vary, 'Accept');
+  });
+
+  it('should not repeat Vary fields', async () => {
+    app.get('/', (req, res) => {
+      res.vary('Accept').vary('accept').vary('Origin');
+      res.send('ok');
+    });
+
+    server = app.listen(0);
+    port = server.address().port;
+
+    const res = await request({ hostname: 'localhost', port, path: '/', method: 'GET' });
+
+    server.close();
+
+    assert.strictEqual(res.headers.vary, 'Accept, Origin');
+  });
+});
+
+describe('JSON and JSONP', () => {
+  let app;
+  let server;
+  let port;
+
+  beforeEach(() => {
+    app = express();
+  });
+
+  after(() => {
+    if (server) {
+      server.close();
+    }
+  });
+
+  it('should apply json spaces, replacer and escape', async () => {
+    app.set('json spaces', 2);
+    app.set('json replacer', (key, value) => key === 'password' ? undefined : value);
+    app.enable('json escape');
+    app.get('/', (req, res) => res.json({ name: '<b>&</b>', password: 'secret' }));
+
+    server = app.listen(0);
+    port = server.address().port;
+
+    const res = await request({ hostname: 'localhost', port, path: '/', method: 'GET' });
+
+    server.close();
+
+    assert.strictEqual(res.rawBody, '{\n  "name": "\\u003cb\\u003e\\u0026\\u003c/b\\u003e"\n}');
+    assert.deepStrictEqual(res.body, { name: '<b>&</b>' });
+  });
+
+  it('should serialize BigInt, Map and Set', async () => {
+    app.get('/', (req, res) => {
+      res.json({ id: 9007199254740993n, tags: new Set(['a', 'b']), counts: new Map([['x', 1]]) });
+    });
+
+    server = app.listen(0);
+    port = server.address().port;
+
+    const res = await request({ hostname: 'localhost', port, path: '/', method: 'GET' });
+
+    server.close();
+
+    assert.deepStrictEqual(res.body, { id: '9007199254740993', tags: ['a', 'b'], counts: { x: 1 } });
+  });
+
+  it('should use custom json serializers', async () => {
+    app.set('json serializers', { bigint: n => Number(n), map: m => [...m] });
+    app.set('json replacer', ['id', 'counts']);
+    app.get('/', (req, res) => {
+      res.json({ id: 5n, counts: new Map([['x', 1]]), hidden: true });
+    });
+
+    server = app.listen(0);
+    port = server.address().port;
+
+    const res = await request({ hostname: 'localhost', port, path: '/', method: 'GET' });
+
+    server.close();
+
+    assert.deepStrictEqual(res.body, { id: 5, counts: [['x', 1]] });
+  });
+
+  it('should wrap JSONP with a sanitized callback and nosniff', async () => {
+    app.get('/', (req, res) => res.jsonp({ line: '\u2028' }));
+
+    server = app.listen(0);
+    port = server.address().port;
+
+    const res = await request({
+      hostname: 'localhost', port, method: 'GET',
+      path: '/?callback=' + encodeURIComponent('alert(1);cb.handle[0]')
+    });
+
+    server.close();
+
+    assert.strictEqual(res.headers['content-type'], 'text/javascript');
+    assert.strictEqual(res.headers['x-content-type-options'], 'nosniff');
+    assert.strictEqual(
+      res.rawBody,
+      '/**/ typeof alert1cb.handle[0] === \'function\' && alert1cb.handle[0]({"line":"\\u2028"});'
+    );
+  });
+
+  it('should honour jsonp callback name and fall back to JSON', async () => {
+    app.set('jsonp callback name', 'cb');
+    app.get('/', (req, res) => res.jsonp({ ok: true }));
+
+    server = app.listen(0);
+    port = server.address().port;
+
+    const wrapped = await request({ hostname: 'localhost', port, path: '/?cb=done', method: 'GET' });
+    const ignored = await request({ hostname: 'localhost', port, path: '/?callback=done', method: 'GET' });
+    const stripped = await request({ hostname: 'localhost', port, path: '/?cb=%28%29', method: 'GET' });
+
+    server.close();
+
+    assert.strictEqual(wrapped.rawBody, '/**/ typeof done === \'function\' && done({"ok":true});');
+    assert.deepStrictEqual(ignored.body, { ok: true });
+    assert.strictEqual(ignored.headers['content-type'], 'application/json');
+    assert.deepStrictEqual(stripped.body, { ok: true });
+  });
+});
+
+describe('Sending Files', () => {
+  const fs = require('node:fs');
+  const os = require('node:os');
+  const path = require('node:path');
+
+  let app;
+  let server;
+  let port;
+  let root;
+
+  before(() => {
+    root = fs.mkdtempSync(path.join(os.tmpdir(), 'mini-express-files-'));
+    fs.writeFileSync(path.join(root, 'alphabet.txt'), 'abcdefghijklmnopqrstuvwxyz');
+    fs.writeFileSync(path.join(root, '.secret'), 'hidden');
+    fs.writeFileSync(path.join(root, 'rapport é.txt'), 'report');
+  });
+
+  beforeEach(() => {
+    app = express();
+  });
+
+  after(() => {
+    if (server) {
+      server.close();
+    }
+    fs.rmSync(root, { recursive: true, force: true });
+  });
+
+  async function get(pathname, headers = {}) {
+    server = app.listen(0);
+    port = server.address().port;
+
+    const res = await request({ hostname: 'localhost', port, path: pathname, method: 'GET', headers });
+
+    server.close();
+    return res;
+  }
+
+  it('should send a file with caching headers', async () => {
+    app.get('/file', (req, res) => res.sendFile('alphabet.txt', { root, maxAge: '1d', immutable: true }));
+
+    const res = await get('/file');
+
+    assert.strictEqual(res.statusCode, 200);
+    assert.strictEqual(res.rawBody, 'abcdefghijklmnopqrstuvwxyz');
+    assert.match(res.headers['content-type'], /^text\/plain/);
+    assert.ok(res.headers.etag);
+    assert.ok(res.headers['last-modified']);
+    assert.strictEqual(res.headers['accept-ranges'], 'bytes');
+    assert.strictEqual(res.headers['cache-control'], 'public, max-age=86400, immutable');
+  });
+
+  it('should answer conditional requests with 304', async () => {
+    app.get('/file', (req, res) => res.sendFile('alphabet.txt', { root }));
+
+    const first = await get('/file');
+    const second = await get('/file', { 'If-None-Match': first.headers.etag });
+
+    assert.strictEqual(second.statusCode, 304);
+    assert.strictEqual(second.rawBody, '');
+  });
+
+  it('should serve single and multiple byte ranges', async () => {
+    app.get('/file', (req, res) => res.sendFile('alphabet.txt', { root }));
+
+    const single = await get('/file', { 'Range': 'bytes=0-4' });
+    const suffix = await get('/file', { 'Range': 'bytes=-3' });
+    const multi = await get('/file', { 'Range': 'bytes=0-1, 24-' });
+    const invalid = await get('/file', { 'Range': 'bytes=100-200' });
+    const reversed = await get('/file', { 'Range': 'bytes=20-10' });
+
+    assert.strictEqual(single.statusCode, 206);
+    assert.strictEqual(single.rawBody, 'abcde');
+    assert.strictEqual(single.headers['content-range'], 'bytes 0-4/26');
+    assert.strictEqual(suffix.rawBody, 'xyz');
+
+    assert.strictEqual(multi.statusCode, 206);
+    const boundary = multi.headers['content-type'].match(/^multipart\/byteranges; boundary=(\w+)$/)[1];
+    assert.strictEqual(Number(multi.headers['content-length']), Buffer.byteLength(multi.rawBody));
+    assert.ok(multi.rawBody.includes('Content-Range: bytes 0-1/26\r\n\r\nab\r\n'));
+    assert.ok(multi.rawBody.includes('Content-Range: bytes 24-25/26\r\n\r\nyz\r\n'));
+    assert.ok(multi.rawBody.endsWith(`--${boundary}--\r\n`));
+
+    assert.strictEqual(invalid.statusCode, 416);
+    assert.strictEqual(invalid.headers['content-range'], 'bytes */26');
+
+    assert.strictEqual(reversed.statusCode, 200);
+    assert.strictEqual(reversed.rawBody, 'abcdefghijklmnopqrstuvwxyz');
+  });
+
+  it('should ignore a Range when If-Range does not match', async () => {
+    app.get('/file', (req, res) => res.sendFile('alphabet.txt', { root }));
+
+    const res = await get('/file', { 'Range': 'bytes=0-4', 'If-Range': '"stale"' });
+
+    assert.strictEqual(res.statusCode, 200);
+    assert.strictEqual(res.rawBody.length, 26);
+  });
+
+  it('should keep paths inside root and hide dotfiles', async () => {
+    app.get('/file', (req, res) => {
+      res.sendFile(req.query.name, { root }, (err) => {
+        if (err) res.status(err.status || 500).send(String(err.status));
+      });
+    });
+
+    const traversal = await get('/file?name=' + encodeURIComponent('../../etc/passwd'));
+    const dotfile = await get('/file?name=.secret');
+    const missing = await get('/file?name=nope.txt');
+
+    assert.strictEqual(traversal.statusCode, 403);
+    assert.strictEqual(dotfile.statusCode, 404);
+    assert.strictEqual(missing.statusCode, 404);
+  });
+
+  it('should hand promise-form errors to the error handlers', async () => {
+    let settled = false;
+
+    app.get('/file', async (req, res) => {
+      await res.sendFile('nope.txt', { root });
+      settled = true;
+    });
+    app.use((err, req, res, next) => res.status(err.status).json({ status: err.status }));
+
+    const res = await get('/file');
+
+    assert.strictEqual(res.statusCode, 404);
+    assert.deepStrictEqual(res.body, { status: 404 });
+    assert.strictEqual(settled, true);
+  });
+
+  it('should send 404 for a missing file without a callback', async () => {
+    app.get('/file', (req, res) => {
+      res.sendFile('nope.txt', { root });
+    });
+    app.get('/download', (req, res) => {
+      res.download('nope.txt', { root });
+    });
+
+    const file = await get('/file');
+    const download = await get('/download');
+
+    assert.strictEqual(file.statusCode, 404);
+    assert.strictEqual(download.statusCode, 404);
+  });
+
+  it('should hand errors to the error handlers only once', async () => {
+    let calls = 0;
+
+    app.get('/file', async (req, res) => {
+      await res.sendFile('nope.txt', { root });
+    });
+    app.use((err, req, res, next) => {
+      calls++;
+      res.status(err.status).json({ status: err.status });
+    });
+
+    const res = await get('/file');
+    await new Promise(resolve => setImmediate(resolve));
+
+    assert.strictEqual(res.statusCode, 404);
+    assert.strictEqual(calls, 1);
+  });
+
+  it('should let exceptions from the callback surface as uncaught', async () => {
+    const { execFile } = require('node:child_process');
+    const script = `
+      const express = require(${JSON.stringify(require.resolve('../lib/index'))});
+      const app = express();
+      app.get('/', (req, res) => res.sendFile('nope.txt', { root: __dirname }, () => {
+        throw new Error('callback failed');
+      }));
+      process.on('uncaughtException', (err) => { console.log('uncaught ' + err.message); process.exit(); });
+      process.on('unhandledRejection', (err) => { console.log('unhandled ' + err.message); process.exit(); });
+      const server = app.listen(0, () => {
+        require('node:http').get({ port: server.address().port, path: '/' }, () => {});
+      });
+    `;
+
+    const output = await new Promise((resolve, reject) => {
+      execFile(process.execPath, ['-e', script], { timeout: 10000 }, (err, stdout) => (err ? reject(err) : resolve(stdout)));
+    });
+
+    assert.strictEqual(output.trim(), 'uncaught callback failed');
+  });
+
+  it('should download with an RFC 5987 filename', async () => {
+    app.get('/download', (req, res) => res.download(path.join(root, 'rapport é.txt'), { headers: { 'X-Download': '1' } }));
+    app.get('/renamed', (req, res) => res.download('alphabet.txt', 'letters.txt', { root }));
+
+    const unicode = await get('/download');
+    const renamed = await get('/renamed');
+
+    assert.strictEqual(unicode.rawBody, 'report');
+    assert.strictEqual(unicode.headers['x-download'], '1');
+    assert.strictEqual(
+      unicode.headers['content-disposition'],
+      'attachment; filename="rapport ?.txt"; filename*=UTF-8\'\'rapport%20%C3%A9.txt'
+    );
+    assert.strictEqual(renamed.headers['content-disposition'], 'attachment; filename="letters.txt"');
+  });
+});
+
+describe('Compression', () => {
+  const zlib = require('node:zlib');
+
+  let app;
+  let server;
+  let port;
+
+  const large = 'mini-express '.repeat(200);
+
+  beforeEach(() => {
+    app = express();
+  });
+
+  after(() => {
+    if (server) {
+      server.close();
+    }
+  });
+
+  // Collects the raw (possibly compressed) body
+  async function get(pathname, headers = {}) {
+    server = app.listen(0);
+    port = server.address().port;
+
+    const res = await new Promise((resolve, reject) => {
+      http.get({ hostname: 'localhost', port, path: pathname, headers }, (response) => {
+        const chunks = [];
+        response.on('data', chunk => chunks.push(chunk));
+        response.on('end', () => resolve({ headers: response.headers, body: Buffer.concat(chunks) }));
+      }).on('error', reject);
+    });
+
+    server.close();
+    return res;
+  }
+
+  it('should gzip large compressible responses', async () => {
+    app.use(express.compress());
+    app.get('/', (req, res) => res.send(large));
+
+    const res = await get('/', { 'Accept-Encoding': 'gzip' });
+
+    assert.strictEqual(res.headers['content-encoding'], 'gzip');
+    assert.strictEqual(res.headers['content-length'], undefined);
+    assert.strictEqual(res.headers.vary, 'Accept-Encoding');
+    assert.strictEqual(zlib.gunzipSync(res.body).toString(), large);
+  });
+
+  it('should follow Accept-Encoding preferences', async () => {
+    app.use(express.compress());
+    app.get('/', (req, res) => res.send(large));
+
+    const br = await get('/', { 'Accept-Encoding': 'gzip;q=0.5, br' });
+    const deflate = await get('/', { 'Accept-Encoding': 'deflate' });
+    const none = await get('/', { 'Accept-Encoding': 'identity' });
+
+    assert.strictEqual(br.headers['content-encoding'], 'br');
+    assert.strictEqual(zlib.brotliDecompressSync(br.body).toString(), large);
+    assert.strictEqual(deflate.headers['content-encoding'], 'deflate');
+    assert.strictEqual(zlib.inflateSync(deflate.body).toString(), large);
+    assert.strictEqual(none.headers['content-encoding'], undefined);
+    assert.strictEqual(none.body.toString(), large);
+  });
+
+  it('should skip small, incompressible and no-transform responses', async () => {
+    app.use(express.compress({ threshold: '1kb' }));
+    app.get('/small', (req, res) => res.send('tiny'));
+    app.get('/image', (req, res) => res.type('png').send(Buffer.alloc(4096)));
+    app.get('/no-transform', (req, res) => {
+      res.set('Cache-Control', 'no-transform');
+      res.send(large);
+    });
+
+    const small = await get('/small', { 'Accept-Encoding': 'gzip' });
+    const image = await get('/image', { 'Accept-Encoding': 'gzip' });
+    const noTransform = await get('/no-transform', { 'Accept-Encoding': 'gzip' });
+
+    assert.strictEqual(small.headers['content-encoding'], undefined);
+    assert.strictEqual(small.headers.vary, 'Accept-Encoding');
+    assert.strictEqual(image.headers['content-encoding'], undefined);
+    assert.strictEqual(image.headers.vary, undefined);
+    assert.strictEqual(noTransform.headers['content-encoding'], undefined);
+  });
+
+  it('should stream writes of unknown length and support a custom filter', async () => {
+    const written = [];
+    app.use(express.compress({ filter: (req) => req.path !== '/raw' }));
+    app.get('/stream', (req, res) => {
+      res.type('text');
+      res.write('first ', () => written.push('first'));
+      res.write(Buffer.from('second '), 'utf8', () => written.push('second'));
+      res.end('third');
+    });
+    app.get('/raw', (req, res) => res.send(large));
+
+    const streamed = await get('/stream', { 'Accept-Encoding': 'gzip' });
+    const raw = await get('/raw', { 'Accept-Encoding': 'gzip' });
+
+    assert.strictEqual(streamed.headers['content-encoding'], 'gzip');
+    assert.strictEqual(zlib.gunzipSync(streamed.body).toString(), 'first second third');
+    assert.deepStrictEqual(written, ['first', 'second']);
+    assert.strictEqual(raw.headers['content-encoding'], undefined);
+  });
+
+  it('should leave byte ranges alone and weaken strong ETags', async () => {
+    app.use(express.compress());
+    app.get('/range', (req, res) => {
+      res.status(206).set({ 'Content-Type': 'text/plain', 'Content-Range': `bytes 0-${large.length - 1}/${large.length * 2}` });
+      res.end(large);
+    });
+    app.get('/tagged', (req, res) => {
+      res.set({ 'Content-Type': 'text/plain', 'ETag': '"v1"' });
+      res.end(large);
+    });
+
+    const range = await get('/range', { 'Accept-Encoding': 'gzip' });
+    const tagged = await get('/tagged', { 'Accept-Encoding': 'gzip' });
+
+    assert.strictEqual(range.headers['content-encoding'], undefined);
+    assert.strictEqual(range.body.toString(), large);
+    assert.strictEqual(tagged.headers['content-encoding'], 'gzip');
+    assert.strictEqual(tagged.headers.etag, 'W/"v1"');
+  });
+
+  it('should let drain listeners be removed and registered once', async () => {
+    let removedCalls = 0;
+    let onceCalls = 0;
+    const chunk = Buffer.alloc(256 * 1024, 'a').toString();
+
+    app.use(express.compress());
+    app.get('/big', (req, res) => {
+      const removed = () => removedCalls++;
+      res.type('text/plain');
+      res.on('drain', removed);
+      res.off('drain', removed);
+
+      if (res.write(chunk)) {
+        res.end();
+      } else {
+        res.once('drain', () => {
+          onceCalls++;
+          res.write(chunk);
+          res.end();
+        });
+      }
+    });
+
+    const res = await get('/big', { 'Accept-Encoding': 'gzip' });
+
+    assert.strictEqual(zlib.gunzipSync(res.body).length, chunk.length * 2);
+    assert.strictEqual(removedCalls, 0);
+    assert.strictEqual(onceCalls, 1);
+  });
+
+  it('should destroy the response when the compressor fails', async () => {
+    let handled = 0;
+
+    zlib.Gzip.prototype._transform = (chunk, encoding, callback) => callback(new Error('compressor failed'));
+    app.use(express.compress());
+    app.get('/', (req, res) => {
+      res.type('text/plain');
+      res.end(large);
+    });
+    app.use((err, req, res, next) => {
+      handled++;
+      next(err);
+    });
+
+    try {
+      await assert.rejects(get('/', { 'Accept-Encoding': 'gzip' }));
+    } finally {
+      delete zlib.Gzip.prototype._transform;
+      server.close();
+    }
+
+    assert.strictEqual(handled, 0);
+  });
+
+  it('should flush compressed data before the response ends', async () => {
+    app.use(express.compress());
+    app.get('/events', (req, res) => {
+      res.writeHead(200, { 'Content-Type': 'text/event-stream' });
+      res.write('data: one\n\n');
+      res.flush();
+    });
+
+    server = app.listen(0);
+    port = server.address().port;
+
+    const first = await new Promise((resolve, reject) => {
+      const clientReq = http.get({ hostname: 'localhost', port, path: '/events', headers: { 'Accept-Encoding': 'gzip' } }, (res) => {
+        const gunzip = zlib.createGunzip();
+        res.pipe(gunzip);
+        gunzip.once('data', (chunk) => {
+          resolve({ encoding: res.headers['content-encoding'], data: chunk.toString() });
+          clientReq.destroy();
+        });
+      });
+      clientReq.on('error', reject);
+    });
+
+    server.close();
+
+    assert.strictEqual(first.encoding, 'gzip');
+    assert.strictEqual(first.data, 'data: one\n\n');
+  });
+});
+
+describe('Streaming Responses', () => {
+  const { Readable } = require('node:stream');
+
+  let app;
+  let server;
+  let port;
+
+  beforeEach(() => {
+    app = express();
+  });
+
+  after(() => {
+    if (server) {
+      server.close();
+    }
+  });
+
+  async function get(pathname, method = 'GET') {
+    server = app.listen(0);
+    port = server.address().port;
+
+    const res = await request({ hostname: 'localhost', port, path: pathname, method });
+    server.close();
+    return res;
+  }
+
+  it('should send Readable streams chunked from res.send()', async () => {
+    app.get('/', (req, res) => {
+      res.type('txt').send(Readable.from(['a', 'b', 'c']));
+    });
+
+    const res = await get('/');
+
+    assert.strictEqual(res.statusCode, 200);
+    assert.strictEqual(res.headers['content-type'], 'text/plain');
+    assert.strictEqual(res.headers['transfer-encoding'], 'chunked');
+    assert.strictEqual(res.rawBody, 'abc');
+  });
+
+  it('should stream async iterables and Web ReadableStreams', async () => {
+    app.get('/generator', (req, res) => {
+      res.stream((async function* () {
+        yield 'one,';
+        yield Buffer.from('two');
+      })());
+    });
+    app.get('/web', (req, res) => {
+      res.type('txt').stream(new ReadableStream({
+        start(controller) {
+          controller.enqueue(new TextEncoder().encode('web '));
+          controller.enqueue(new TextEncoder().encode('stream'));
+          controller.close();
+        }
+      }));
+    });
+
+    const generator = await get('/generator');
+    const web = await get('/web');
+
+    assert.strictEqual(generator.headers['content-type'], 'application/octet-stream');
+    assert.strictEqual(generator.rawBody, 'one,two');
+    assert.strictEqual(web.rawBody, 'web stream');
+  });
+
+  it('should not read the source for HEAD requests', async () => {
+    let read = false;
+    app.get('/', (req, res) => {
+      res.stream((async function* () {
+        read = true;
+        yield 'body';
+      })());
+    });
+
+    const res = await get('/', 'HEAD');
+
+    assert.strictEqual(res.statusCode, 200);
+    assert.strictEqual(res.rawBody, '');
+    assert.strictEqual(read, false);
+  });
+
+  it('should pass source errors to next(err)', async () => {
+    app.get('/', (req, res) => {
+      res.stream((async function* () {
+        throw new Error('database gone');
+      })());
+    });
+    app.use((err, req, res, next) => {
+      res.status(503).json({ error: err.message });
+    });
+
+    const res = await get('/');
+
+    assert.strictEqual(res.statusCode, 503);
+    assert.deepStrictEqual(res.body, { error: 'database gone' });
+  });
+
+  it('should cut the connection when the source fails mid-stream', async () => {
+    app.get('/', (req, res) => {
+      res.stream((async function* () {
+        yield 'partial';
+        await new Promise(resolve => setTimeout(resolve, 10));
+        throw new Error('late failure');
+      })());
+    });
+
+    server = app.listen(0);
+    port = server.address().port;
+
+    const outcome = await new Promise((resolve) => {
+      http.get({ hostname: 'localhost', port, path: '/' }, (res) => {
+        res.on('data', () => {});
+        res.on('end', () => resolve('end'));
+        res.on('error', () => resolve('error'));
+        res.on('aborted', () => resolve('aborted'));
+      }).on('error', () => resolve('error'));
+    });
+
+    server.close();
+    assert.notStrictEqual(outcome, 'end');
+  });
+
+  it('should apply backpressure and stop the source when the client aborts', async () => {
+    let produced = 0;
+    let cleanedUp;
+    const cleanup = new Promise(resolve => { cleanedUp = resolve; });
+
+    app.get('/', (req, res) => {
+      res.stream((async function* () {
+        try {
+          while (true) {
+            produced++;
+            yield Buffer.alloc(64 * 1024);
+          }
+        } finally {
+          cleanedUp();
+        }
+      })());
+    });
+
+    server = app.listen(0);
+    port = server.address().port;
+
+    await new Promise((resolve) => {
+      const clientReq = http.get({ hostname: 'localhost', port, path: '/' }, (res) => {
+        // Read nothing for a while, then hang up
+        res.pause();
+        setTimeout(() => {
+          clientReq.destroy();
+          resolve();
+        }, 100);
+      });
+      clientReq.on('error', () => {});
+    });
+
+    await cleanup;
+    server.close();
+
+    // Only socket buffers' worth was produced, not an endless stream
+    assert.ok(produced < 200, `produced ${produced} chunks`);
+  });
+
+  it('should stream NDJSON with res.ndjson()', async () => {
+    app.set('json spaces', 2);
+    app.get('/export', (req, res) => {
+      res.ndjson((async function* () {
+        yield { id: 1n, name: 'Ada' };
+        yield undefined;
+        yield { id: 2n, tags: new Set(['admin']) };
+      })());
+    });
+    app.get('/array', (req, res) => res.ndjson([1, 'two']));
+
+    const exported = await get('/export');
+    const array = await get('/array');
+
+    assert.strictEqual(exported.headers['content-type'], 'application/x-ndjson');
+    assert.strictEqual(exported.rawBody, '{"id":"1","name":"Ada"}\n{"id":"2","tags":["admin"]}\n');
+    assert.strictEqual(array.rawBody, '1\n"two"\n');
+  });
+});
+
+describe('Server-Sent Events', () => {
+  let app;
+  let server;
+  let port;
+
+  beforeEach(() => {
+    app = express();
+    if (server) {
+      server.close();
+    }
+  });
+
+  after(() => {
+    if (server) {
+      server.close();
+    }
+  });
+
+  function listen() {
+    server = app.listen(0);
+    port = server.address().port;
+  }
+
+  // Open an event stream; resolves once `until` matches the text so far
+  function readStream(pathname, { headers = {}, until }) {
+    return new Promise((resolve, reject) => {
+      const clientReq = http.get({ hostname: 'localhost', port, path: pathname, headers }, (res) => {
+        let text = '';
+        res.setEncoding('utf8');
+        res.on('data', (chunk) => {
+          text += chunk;
+          if (until && until(text)) {
+            resolve({ headers: res.headers, text, close: () => clientReq.destroy() });
+          }
+        });
+        res.on('end', () => resolve({ headers: res.headers, text, close: () => {} }));
+      });
+      clientReq.on('error', reject);
+    });
+  }
+
+  it('should write events in the text/event-stream format', async () => {
+    app.get('/events', (req, res) => {
+      const channel = res.sse({ retry: 3000, heartbeat: false });
+      channel.send('plain');
+      channel.send({ event: 'update', id: 7, data: { ok: true } });
+      channel.send({ data: 'line one\nline two' });
+      channel.close();
+    });
+    listen();
+
+    const { headers, text } = await readStream('/events', {});
+
+    assert.strictEqual(headers['content-type'], 'text/event-stream; charset=utf-8');
+    assert.strictEqual(headers['cache-control'], 'no-cache');
+    assert.strictEqual(headers.connection, 'keep-alive');
+    assert.strictEqual(text, [
+      'retry: 3000\n\n',
+      'data: plain\n\n',
+      'event: update\nid: 7\ndata: {"ok":true}\n\n',
+      'data: line one\ndata: line two\n\n'
+    ].join(''));
+  });
+
+  it('should expose Last-Event-ID for resuming', async () => {
+    const log = ['a', 'b', 'c', 'd'];
+
+    app.get('/events', (req, res) => {
+      const channel = res.sse({ heartbeat: false });
+      const from = req.lastEventId === undefined ? 0 : Number(req.lastEventId) + 1;
+
+      log.slice(from).forEach((data, i) => channel.send({ id: from + i, data }));
+      channel.close();
+    });
+    listen();
+
+    const { text } = await readStream('/events', { headers: { 'Last-Event-ID': '1' } });
+
+    assert.strictEqual(text, 'id: 2\ndata: c\n\nid: 3\ndata: d\n\n');
+  });
+
+  it('should send heartbeat comments', async () => {
+    app.get('/events', (req, res) => {
+      res.sse({ heartbeat: 20 });
+    });
+    listen();
+
+    const stream = await readStream('/events', { until: text => text.includes(': \n\n') });
+    stream.close();
+
+    assert.strictEqual(stream.text, ': \n\n');
+  });
+
+  it('should broadcast through a hub and drop disconnected clients', async () => {
+    const hub = express.eventHub();
+    let closed;
+    const channelClosed = new Promise(resolve => { closed = resolve; });
+
+    app.get('/events', (req, res) => {
+      const channel = hub.add(res.sse({ heartbeat: false }));
+      channel.on('close', closed);
+      channel.comment('joined');
+    });
+    app.post('/publish', (req, res) => {
+      res.json({ sent: hub.broadcast({ event: 'news', data: 'hello' }) });
+    });
+    listen();
+
+    const received = readStream('/events', { until: text => text.includes('event: news') });
+    await readStream('/events', { until: text => text.includes('joined') }).then(s => s.close());
+    await channelClosed;
+
+    // Wait for the first client to be registered too
+    while (hub.size !== 1) {
+      await new Promise(resolve => setImmediate(resolve));
+    }
+
+    const publish = await request({ hostname: 'localhost', port, path: '/publish', method: 'POST' });
+    const stream = await received;
+    stream.close();
+
+    assert.deepStrictEqual(publish.body, { sent: 1 });
+    assert.strictEqual(stream.text, ': joined\n\nevent: news\ndata: hello\n\n');
+  });
+});
+
+describe('WebSockets', () => {
+  const crypto = require('node:crypto');
+  const { OPCODES, FrameParser, encodeFrame, acceptKey } = require('../lib/websocket');
+
+  let app;
+  let server;
+  let port;
+
+  beforeEach(() => {
+    app = express();
+    if (server) {
+      server.close();
+    }
+  });
+
+  after(() => {
+    if (server) {
+      server.close();
+    }
+  });
+
+  function listen() {
+    server = app.listen(0);
+    port = server.address().port;
+  }
+
+  // Minimal client: masked frames out, frames in through a FrameParser
+  class TestClient {
+    constructor(res, socket, head) {
+      this.headers = res.headers;
+      this.socket = socket;
+      this.frames = [];
+      this.waiting = [];
+      this.parser = new FrameParser({ masked: false });
+      this.closed = new Promise(resolve => socket.on('close', resolve));
+
+      socket.on('data', chunk => this.receive(chunk));
+      if (head.length) this.receive(head);
+    }
+
+    receive(chunk) {
+      for (const frame of this.parser.push(chunk)) {
+        const waiter = this.waiting.shift();
+        if (waiter) waiter(frame); else this.frames.push(frame);
+      }
+    }
+
+    next() {
+      if (this.frames.length) return Promise.resolve(this.frames.shift());
+      return new Promise(resolve => this.waiting.push(resolve));
+    }
+
+    send(opcode, payload, options = {}) {
+      this.socket.write(encodeFrame(opcode, Buffer.from(payload), { mask: true, ...options }));
+    }
+
+    async text() {
+      const frame = await this.next();
+      return frame.payload.toString();
+    }
+  }
+
+  function connect(pathname, headers = {}) {
+    return new Promise((resolve, reject) => {
+      const req = http.request({
+        hostname: 'localhost',
+        port,
+        path: pathname,
+        headers: {
+          'Connection': 'Upgrade',
+          'Upgrade': 'websocket',
+          'Sec-WebSocket-Version': '13',
+          'Sec-WebSocket-Key': crypto.randomBytes(16).toString('base64'),
+          ...headers
+        }
+      });
+
+      req.on('upgrade', (res, socket, head) => resolve(new TestClient(res, socket, head)));
+      req.on('response', (res) => {
+        let body = '';
+        res.on('data', chunk => body += chunk);
+        res.on('end', () => resolve({ statusCode: res.statusCode, headers: res.headers, body }));
+      });
+      req.on('error', reject);
+      req.end();
+    });
+  }
+
+  it('should run middleware, complete the handshake and exchange messages', async () => {
+    app.use((req, res, next) => {
+      req.user = req.get('x-user');
+      res.set('X-Greeting', 'hi');
+      next();
+    });
+    app.ws('/echo', (ws, req) => {
+      ws.send(`welcome ${req.user}`);
+      ws.on('message', (data, isBinary) => ws.send(isBinary ? data : data.toUpperCase()));
+    });
+    listen();
+
+    const key = crypto.randomBytes(16).toString('base64');
+    const client = await connect('/echo', { 'X-User': 'ada', 'Sec-WebSocket-Key': key });
+
+    assert.strictEqual(client.headers['sec-websocket-accept'], acceptKey(key));
+    assert.strictEqual(client.headers['x-greeting'], 'hi');
+    assert.strictEqual(await client.text(), 'welcome ada');
+
+    client.send(OPCODES.TEXT, 'hello');
+    assert.strictEqual(await client.text(), 'HELLO');
+
+    client.send(OPCODES.BINARY, Buffer.from([1, 2, 3]));
+    const binary = await client.next();
+    assert.strictEqual(binary.opcode, OPCODES.BINARY);
+    assert.deepStrictEqual([...binary.payload], [1, 2, 3]);
+
+    client.socket.destroy();
+  });
+
+  it('should answer with HTTP when middleware rejects or no route matches', async () => {
+    app.use('/private', (req, res, next) => {
+      if (!req.get('authorization')) {
+        return res.status(401).json({ error: 'Unauthorized' });
+      }
+      next();
+    });
+    app.ws('/private/feed', (ws) => ws.send('secret'));
+    app.get('/private/feed', (req, res) => res.send('plain page'));
+    listen();
+
+    const rejected = await connect('/private/feed');
+    const missing = await connect('/nowhere');
+    const plain = await request({ hostname: 'localhost', port, path: '/private/feed', headers: { Authorization: 'x' } });
+    const accepted = await connect('/private/feed', { Authorization: 'x' });
+
+    assert.strictEqual(rejected.statusCode, 401);
+    assert.strictEqual(missing.statusCode, 404);
+    assert.strictEqual(plain.rawBody, 'plain page');
+    assert.strictEqual(await accepted.text(), 'secret');
+    accepted.socket.destroy();
+  });
+
+  it('should reject invalid handshakes', async () => {
+    app.ws('/socket', () => {});
+    listen();
+
+    const version = await connect('/socket', { 'Sec-WebSocket-Version': '8' });
+    const key = await connect('/socket', { 'Sec-WebSocket-Key': 'short' });
+
+    assert.strictEqual(version.statusCode, 426);
+    assert.strictEqual(version.headers['sec-websocket-version'], '13');
+    assert.strictEqual(key.statusCode, 400);
+  });
+
+  it('should reassemble fragments, answer pings and close cleanly', async () => {
+    let serverClose;
+    const closed = new Promise(resolve => { serverClose = resolve; });
+
+    app.ws('/echo', (ws) => {
+      ws.on('message', data => ws.send(data));
+      ws.on('close', (code, reason) => serverClose({ code, reason }));
+    });
+    listen();
+
+    const client = await connect('/echo');
+
+    client.send(OPCODES.TEXT, 'Hel', { fin: false });
+    client.send(OPCODES.PING, 'are you there');
+    client.send(OPCODES.CONTINUATION, 'lo');
+
+    const pong = await client.next();
+    assert.strictEqual(pong.opcode, OPCODES.PONG);
+    assert.strictEqual(pong.payload.toString(), 'are you there');
+    assert.strictEqual(await client.text(), 'Hello');
+
+    const goodbye = Buffer.concat([Buffer.from([0x03, 0xe8]), Buffer.from('bye')]);
+    client.send(OPCODES.CLOSE, goodbye);
+
+    const reply = await client.next();
+    assert.strictEqual(reply.opcode, OPCODES.CLOSE);
+    assert.strictEqual(reply.payload.readUInt16BE(0), 1000);
+    assert.deepStrictEqual(await closed, { code: 1000, reason: 'bye' });
+    await client.closed;
+  });
+
+  it('should fail the connection on protocol violations', async () => {
+    app.ws('/strict', { maxPayload: 16 }, (ws) => {
+      ws.on('message', data => ws.send(data));
+    });
+    listen();
+
+    const closeCode = async (write) => {
+      const client = await connect('/strict');
+      write(client);
+      const frame = await client.next();
+      await client.closed;
+      return frame.payload.readUInt16BE(0);
+    };
+
+    const unmasked = await closeCode(c => c.send(OPCODES.TEXT, 'hi', { mask: false }));
+    const badUtf8 = await closeCode(c => c.send(OPCODES.TEXT, Buffer.from([0xc3, 0x28])));
+    const tooLarge = await closeCode(c => c.send(OPCODES.TEXT, 'x'.repeat(17)));
+    const stray = await closeCode(c => c.send(OPCODES.CONTINUATION, 'x'));
+
+    assert.strictEqual(unmasked, 1002);
+    assert.strictEqual(badUtf8, 1007);
+    assert.strictEqual(tooLarge, 1009);
+    assert.strictEqual(stray, 1002);
+  });
+
+  it('should close with 1011 when a listener throws', async () => {
+    let serverError;
+    const errored = new Promise(resolve => { serverError = resolve; });
+
+    app.ws('/fragile', (ws) => {
+      ws.on('message', () => { throw new Error('listener failed'); });
+      ws.on('error', serverError);
+    });
+    listen();
+
+    const client = await connect('/fragile');
+    client.send(OPCODES.TEXT, 'hi');
+
+    const frame = await client.next();
+    assert.strictEqual(frame.opcode, OPCODES.CLOSE);
+    assert.strictEqual(frame.payload.readUInt16BE(0), 1011);
+    assert.strictEqual((await errored).message, 'listener failed');
+    await client.closed;
+  });
+
+  it('should log listener exceptions and keep serving when nobody listens for errors', async (t) => {
+    const logged = [];
+    t.mock.method(console, 'error', err => logged.push(err));
+
+    app.ws('/fragile', (ws) => {
+      ws.on('message', (data) => {
+        if (data === 'crash') throw new Error('listener failed');
+        ws.send(data);
+      });
+    });
+    app.get('/health', (req, res) => res.send('ok'));
+    listen();
+
+    const first = await connect('/fragile');
+    first.send(OPCODES.TEXT, 'crash');
+    const frame = await first.next();
+    await first.closed;
+
+    const second = await connect('/fragile');
+    second.send(OPCODES.TEXT, 'still here');
+    const health = await request({ hostname: 'localhost', port, path: '/health' });
+
+    assert.strictEqual(frame.payload.readUInt16BE(0), 1011);
+    assert.ok(logged[0].includes('listener failed'));
+    assert.strictEqual(await second.text(), 'still here');
+    assert.strictEqual(health.rawBody, 'ok');
+    second.socket.destroy();
+  });
+
+  it('should close with 1011 and report a rejected handler', async () => {
+    let serverError;
+    const errored = new Promise(resolve => { serverError = resolve; });
+
+    app.ws('/async', async (ws) => {
+      ws.on('error', serverError);
+      await Promise.resolve();
+      throw new Error('handler failed');
+    });
+    listen();
+
+    const client = await connect('/async');
+    const frame = await client.next();
+
+    assert.strictEqual(frame.payload.readUInt16BE(0), 1011);
+    assert.strictEqual((await errored).message, 'handler failed');
+    await client.closed;
+  });
+
+  it('should broadcast to rooms through a socket hub', async () => {
+    const hub = express.socketHub();
+
+    app.ws('/chat/:room', (ws, req) => {
+      hub.join(ws, req.params.room);
+      ws.on('message', data => hub.to(req.params.room).send(data, { except: ws }));
+      ws.send('joined');
+    });
+    listen();
+
+    const alice = await connect('/chat/lobby');
+    const bob = await connect('/chat/lobby');
+    const carol = await connect('/chat/kitchen');
+    await Promise.all([alice.text(), bob.text(), carol.text()]);
+
+    alice.send(OPCODES.TEXT, 'hi lobby');
+
+    assert.strictEqual(await bob.text(), 'hi lobby');
+    assert.deepStrictEqual([...hub.rooms.keys()].sort(), ['kitchen', 'lobby']);
+    assert.strictEqual(hub.broadcast('to everyone'), 3);
+    assert.strictEqual(await alice.text(), 'to everyone');
+    assert.strictEqual(await carol.text(), 'to everyone');
+    assert.strictEqual(alice.frames.length + carol.frames.length, 0);
+
+    carol.socket.destroy();
+    await new Promise(resolve => setTimeout(resolve, 20));
+    assert.strictEqual(hub.size, 2);
+    assert.strictEqual(hub.rooms.has('kitchen'), false);
+
+    alice.socket.destroy();
+    bob.socket.destroy();
+  });
+
+  it('should list WebSocket routes', () => {
+    app.ws('/live', function liveFeed() {});
+
+    const row = app.routes().find(r => r.path === '/live');
+
+    assert.strictEqual(row.method, 'WS');
+    assert.deepStrictEqual(row.handlers, ['liveFeed']);
+  });
+
+  it('should decode frames split across chunks', () => {
+    const parser = new FrameParser({ masked: false });
+    const payload = Buffer.alloc(70000, 'a');
+    const frame = encodeFrame(OPCODES.BINARY, payload);
+
+    assert.deepStrictEqual(parser.push(frame.subarray(0, 5)), []);
+    const [decoded] = parser.push(frame.subarray(5));
+
+    assert.strictEqual(decoded.payload.length, 70000);
+    assert.strictEqual(decoded.fin, true);
+  });
+});
+
+describe('Graceful Shutdown', () => {
+  let app;
+
+  beforeEach(() => {
+    app = express();
+  });
+
+  function listen() {
+    return new Promise((resolve) => {
+      const server = app.listen(0, () => resolve(server.address().port));
+    });
+  }
+
+  it('should finish requests in flight and refuse new connections', async () => {
+    const events = [];
+    app.on('closing', () => events.push('closing'));
+    app.on('close', () => events.push('close'));
+
+    let release;
+    const started = new Promise(resolve => {
+      app.get('/slow', (req, res) => {
+        resolve();
+        release = () => res.send('done');
+      });
+    });
+
+    const port = await listen();
+    const pending = request({ hostname: 'localhost', port, path: '/slow' });
+    await started;
+
+    const closed = app.close({ timeout: 5000 });
+    assert.strictEqual(app.closing, true);
+    assert.strictEqual(app.close(), closed);
+
+    await assert.rejects(request({ hostname: 'localhost', port, path: '/slow' }), { code: 'ECONNREFUSED' });
+
+    release();
+    const res = await pending;
+    await closed;
+
+    assert.strictEqual(res.rawBody, 'done');
+    assert.strictEqual(res.headers.connection, 'close');
+    assert.deepStrictEqual(events, ['closing', 'close']);
+  });
+
+  it('should close again after listening again', async () => {
+    let closings = 0;
+    app.on('closing', () => closings++);
+    app.get('/', (req, res) => res.send('ok'));
+
+    await listen();
+    await app.close({ timeout: 5000 });
+    assert.strictEqual(app.closing, false);
+
+    const port = await listen();
+    const agent = new http.Agent({ keepAlive: true });
+    const res = await request({ hostname: 'localhost', port, path: '/', agent });
+
+    const started = Date.now();
+    await app.close({ timeout: 5000 });
+    agent.destroy();
+
+    assert.strictEqual(res.rawBody, 'ok');
+    assert.strictEqual(closings, 2);
+    assert.ok(Date.now() - started < 1000);
+    await assert.rejects(request({ hostname: 'localhost', port, path: '/' }), { code: 'ECONNREFUSED' });
+  });
+
+  it('should close event streams opened while draining', async () => {
+    let release;
+    const started = new Promise(resolve => {
+      app.get('/events', (req, res) => {
+        resolve();
+        release = () => res.sse({ heartbeat: false }).close();
+      });
+    });
+
+    const port = await listen();
+    const pending = request({ hostname: 'localhost', port, path: '/events' });
+    await started;
+
+    const closed = app.close({ timeout: 5000 });
+    release();
+    const res = await pending;
+    await closed;
+
+    assert.strictEqual(res.headers['content-type'], 'text/event-stream; charset=utf-8');
+    assert.strictEqual(res.headers.connection, 'close');
+  });
+
+  it('should close idle keep-alive connections right away', async () => {
+    app.get('/', (req, res) => res.send('ok'));
+
+    const port = await listen();
+    const agent = new http.Agent({ keepAlive: true });
+    const res = await request({ hostname: 'localhost', port, path: '/', agent });
+    assert.strictEqual(res.headers.connection, 'keep-alive');
+
+    const started = Date.now();
+    await app.close({ timeout: 5000 });
+    agent.destroy();
+
+    assert.ok(Date.now() - started < 1000);
+  });
+
+  it('should destroy connections still open at the timeout', async () => {
+    app.get('/hang', () => {});
+
+    const port = await listen();
+    const pending = request({ hostname: 'localhost', port, path: '/hang' });
+    await new Promise(resolve => setTimeout(resolve, 20));
+
+    await app.close({ timeout: 50 });
+    await assert.rejects(pending, { code: 'ECONNRESET' });
+  });
+
+  it('should drain on SIGTERM when closeOnSignal() is enabled', async () => {
+    const { spawn } = require('node:child_process');
+    const script = `
+      const express = require(${JSON.stringify(require.resolve('../lib/index'))});
+      const app = express();
+      app.get('/slow', (req, res) => {
+        process.send('request');
+        setTimeout(() => res.send('finished'), 100);
+      });
+      app.closeOnSignal({ timeout: 2000 });
+      const server = app.listen(0, () => process.send(server.address().port));
+    `;
+    const child = spawn(process.execPath, ['-e', script], { stdio: ['ignore', 'ignore', 'inherit', 'ipc'] });
+    const messages = [];
+    const nextMessage = () => new Promise(resolve => child.once('message', resolve));
+
+    const port = await nextMessage();
+    const pending = request({ hostname: 'localhost', port, path: '/slow' });
+    messages.push(await nextMessage());
+
+    const exited = new Promise(resolve => child.once('exit', (code, signal) => resolve(signal)));
+    child.kill('SIGTERM');
+
+    const res = await pending;
+
+    assert.deepStrictEqual(messages, ['request']);
+    assert.strictEqual(res.rawBody, 'finished');
+    assert.strictEqual(await exited, 'SIGTERM');
+  });
+});